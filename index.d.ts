@@ -1,6 +1,7 @@
 export * from "./types/interfaces/IAggregate";
 export * from "./types/interfaces/IAggregateSnapshotStorage";
 export * from "./types/interfaces/ICommandBus";
+export * from "./types/interfaces/ICheckpointView";
 export * from "./types/interfaces/ICommandHandler";
 export * from "./types/interfaces/IConcurrentView";
 export * from "./types/interfaces/Identifier";
@@ -13,31 +14,52 @@ export * from "./types/interfaces/IMessageBus";
 export * from "./types/interfaces/IObserver";
 export * from "./types/interfaces/IProjection";
 export * from "./types/interfaces/ISaga";
+export * from "./types/interfaces/ISagaCorrelationIndex";
+export * from "./types/interfaces/ISagaRegistry";
+export * from "./types/interfaces/ISagaScheduler";
+export * from "./types/interfaces/TDeadLetter";
+export * from "./types/interfaces/TMessageSchemas";
+export * from "./types/interfaces/TRetryPolicy";
+export * from "./types/interfaces/TSnapshotPolicy";
+export * from "./types/interfaces/TValidationErrorDetails";
 export * from "./types/classes/AbstractAggregate";
 export * from "./types/classes/AbstractProjection";
 export * from "./types/classes/AbstractSaga";
 export * from "./types/classes/AggregateCommandHandler";
 export * from "./types/classes/CommandBus";
+export * from "./types/classes/ConcurrencyError";
 export * from "./types/classes/CqrsContainerBuilder";
 export * from "./types/classes/EventStore";
 export * from "./types/classes/EventStream";
 export * from "./types/classes/SagaEventHandler";
+export * from "./types/classes/ValidationError";
 
 export var AbstractAggregate: typeof NodeCqrs.AbstractAggregate;
 export var AbstractProjection: typeof NodeCqrs.AbstractProjection;
 export var AbstractSaga: typeof NodeCqrs.AbstractSaga;
 export var AggregateCommandHandler: typeof NodeCqrs.AggregateCommandHandler;
 export var CommandBus: typeof NodeCqrs.CommandBus;
+export var ConcurrencyError: typeof NodeCqrs.ConcurrencyError;
 export var ContainerBuilder: typeof NodeCqrs.CqrsContainerBuilder;
 export var EventStore: typeof NodeCqrs.EventStore;
 export var EventStream: typeof NodeCqrs.EventStream;
+export var FileEventStorage: typeof NodeCqrs.FileEventStorage;
+export var FileSnapshotStorage: typeof NodeCqrs.FileSnapshotStorage;
 export var InMemoryEventStorage: typeof NodeCqrs.InMemoryEventStorage;
 export var InMemoryMessageBus: typeof NodeCqrs.InMemoryMessageBus;
+export var InMemorySagaCorrelationIndex: typeof NodeCqrs.InMemorySagaCorrelationIndex;
+export var InMemorySagaRegistry: typeof NodeCqrs.InMemorySagaRegistry;
+export var InMemorySagaScheduler: typeof NodeCqrs.InMemorySagaScheduler;
 export var InMemorySnapshotStorage: typeof NodeCqrs.InMemorySnapshotStorage;
 export var InMemoryView: typeof NodeCqrs.InMemoryView;
 export var SagaEventHandler: typeof NodeCqrs.SagaEventHandler;
+export var SqliteEventStorage: typeof NodeCqrs.SqliteEventStorage;
+export var SqliteSagaScheduler: typeof NodeCqrs.SqliteSagaScheduler;
+export var SqliteSnapshotStorage: typeof NodeCqrs.SqliteSnapshotStorage;
+export var ValidationError: typeof NodeCqrs.ValidationError;
 
 export {
 	getMessageHandlerNames,
+	snapshotPolicies,
 	subscribe
 } from "./src";
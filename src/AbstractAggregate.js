@@ -40,6 +40,38 @@ class AbstractAggregate {
 		return undefined;
 	}
 
+	/**
+	 * Optional JSON Schemas of command and event payloads, keyed by message type.
+	 * Can be overridden in the aggregate implementation
+	 *
+	 * @type {TMessageSchemas}
+	 * @readonly
+	 * @static
+	 * @example
+	 * 	return {
+	 * 		commands: { createUser: { type: 'object', required: ['username'] } },
+	 * 		events: { userCreated: { type: 'object', required: ['username'] } }
+	 * 	};
+	 */
+	static get schemas() {
+		return undefined;
+	}
+
+	/**
+	 * Optional version of the state snapshot structure.
+	 * Should be incremented, when state structure changes, so that snapshots taken before
+	 * get discarded and the aggregate state gets restored from events instead
+	 *
+	 * @type {number}
+	 * @readonly
+	 * @static
+	 * @example
+	 * 	return 2;
+	 */
+	static get snapshotSchemaVersion() {
+		return undefined;
+	}
+
 	/**
 	 * Aggregate ID
 	 *
@@ -196,13 +228,19 @@ class AbstractAggregate {
 
 		if (sourceCommand) {
 			// augment event with command context
-			const { context, sagaId, sagaVersion } = sourceCommand;
+			const { id, correlationId, context, sagaId, sagaVersion, sagaDescriptor } = sourceCommand;
+			if (correlationId !== undefined)
+				event.correlationId = correlationId;
+			if (id !== undefined)
+				event.causationId = id;
 			if (context !== undefined)
 				event.context = context;
 			if (sagaId !== undefined)
 				event.sagaId = sagaId;
 			if (sagaVersion !== undefined)
 				event.sagaVersion = sagaVersion;
+			if (sagaDescriptor !== undefined)
+				event.sagaDescriptor = sagaDescriptor;
 		}
 
 		return event;
@@ -226,10 +264,30 @@ class AbstractAggregate {
 	}
 
 	/**
-	 * Take an aggregate state snapshot and add it to the changes queue
+	 * Clear the changes queue, once changes are committed
+	 */
+	resetChanges() {
+		this[_changes].length = 0;
+	}
+
+	/**
+	 * Take an aggregate state snapshot and add it to the changes queue.
+	 * Snapshot event gets `schemaVersion` assigned from the static `snapshotSchemaVersion` property, if defined,
+	 * and a `timestamp` of the moment it was taken, so that snapshot policies can determine its age.
+	 * Snapshot `aggregateVersion` is the version of the last event included in it,
+	 * so the snapshot does not occupy a version, which the next aggregate event is committed with
 	 */
 	takeSnapshot() {
-		this.emit(SNAPSHOT_EVENT_TYPE, this.makeSnapshot());
+		const snapshotEvent = this.makeEvent(SNAPSHOT_EVENT_TYPE, this.makeSnapshot(), this.command);
+		snapshotEvent.aggregateVersion = this.version - 1;
+		snapshotEvent.timestamp = Date.now();
+
+		const { snapshotSchemaVersion } = this.constructor;
+		if (snapshotSchemaVersion !== undefined)
+			snapshotEvent.schemaVersion = snapshotSchemaVersion;
+
+		this[_snapshotVersion] = snapshotEvent.aggregateVersion;
+		this[_changes].push(snapshotEvent);
 	}
 
 	/**
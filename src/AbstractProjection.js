@@ -3,7 +3,7 @@
 const subscribe = require('./subscribe');
 const InMemoryView = require('./infrastructure/InMemoryView');
 const getHandledMessageTypes = require('./utils/getHandledMessageTypes');
-const { validateHandlers, getHandler, getClassName } = require('./utils');
+const { validateHandlers, getHandler, getPatternHandler, getClassName } = require('./utils');
 const nullLogger = require('./utils/nullLogger');
 
 /**
@@ -20,6 +20,19 @@ const isConcurrentView = view =>
  */
 const asConcurrentView = view => (isConcurrentView(view) ? view : undefined);
 
+/**
+ * @param {any} view
+ */
+const isCheckpointView = view =>
+	typeof view.getCheckpoint === 'function' &&
+	typeof view.saveCheckpoint === 'function';
+
+/**
+ * @param {any} view
+ * @returns {ICheckpointView}
+ */
+const asCheckpointView = view => (isCheckpointView(view) ? view : undefined);
+
 /**
  * Base class for Projection definition
  *
@@ -53,6 +66,7 @@ class AbstractProjection {
 
 	/**
 	 * Indicates if view should be restored from EventStore on start.
+	 * Views that persist checkpoints are caught up from the last checkpoint.
 	 * Override for custom behavior.
 	 *
 	 * @type {boolean | Promise<boolean>}
@@ -60,7 +74,8 @@ class AbstractProjection {
 	 */
 	get shouldRestoreView() {
 		return (this.view instanceof Map)
-			|| (this.view instanceof InMemoryView);
+			|| (this.view instanceof InMemoryView)
+			|| isCheckpointView(this.view);
 	}
 
 	/**
@@ -86,13 +101,25 @@ class AbstractProjection {
 	 * @return {Promise<void>}
 	 */
 	async subscribe(eventStore) {
-		subscribe(eventStore, this, {
+		this._subscription = subscribe(eventStore, this, {
 			masterHandler: e => this.project(e)
 		});
 
 		await this.restore(eventStore);
 	}
 
+	/**
+	 * Unsubscribe projection from the event store, so that it stops receiving new events.
+	 * Projection can be subscribed again afterwards
+	 */
+	dispose() {
+		if (!this._subscription)
+			return;
+
+		this._subscription.unsubscribe();
+		this._subscription = undefined;
+	}
+
 	/**
 	 * Pass event to projection event handler
 	 *
@@ -100,10 +127,21 @@ class AbstractProjection {
 	 * @returns {Promise<void>}
 	 */
 	async project(event) {
+		// live events received while the view is being restored
+		// are projected after the restoring is complete
+		if (this._restoring)
+			await this._restoring;
+
 		const concurrentView = asConcurrentView(this.view);
 		if (concurrentView && !concurrentView.ready)
 			await concurrentView.once('ready');
 
+		// event has been projected already, i.e. retrieved during restoring and then received as a live event.
+		// Live events after the restored position are not skipped, as they can be redelivered out of order after a failure.
+		// Events retrieved during restoring are not checked, since upcasted events may share the same position
+		if (this._restoredPosition !== undefined && event.position <= this._restoredPosition)
+			return undefined;
+
 		return this._project(event);
 	}
 
@@ -114,11 +152,46 @@ class AbstractProjection {
 	 * @returns {Promise<void>}
 	 */
 	async _project(event) {
-		const handler = getHandler(this, event.type);
+		const handler = getHandler(this, event.type) || getPatternHandler(this, event.type);
 		if (!handler)
 			throw new Error(`'${event.type}' handler is not defined or not a function`);
 
-		return handler.call(this, event);
+		const checkpointView = event.position !== undefined ?
+			asCheckpointView(this.view) :
+			undefined;
+
+		if (!checkpointView)
+			return handler.call(this, event);
+
+		const result = await handler.call(this, event);
+
+		await this._saveCheckpoint(checkpointView, event.position);
+
+		return result;
+	}
+
+	/**
+	 * Save position of the projected event as a checkpoint, unless a later position is saved already.
+	 * Checkpoints are saved one after another, so that concurrently projected events do not move it backwards
+	 *
+	 * @private
+	 * @param {ICheckpointView} checkpointView
+	 * @param {number} position
+	 * @returns {Promise<void>}
+	 */
+	_saveCheckpoint(checkpointView, position) {
+		const saving = (this._checkpointSaving || Promise.resolve()).then(async () => {
+			if (this._checkpoint !== undefined && position <= this._checkpoint)
+				return;
+
+			await checkpointView.saveCheckpoint(position);
+			this._checkpoint = position;
+		});
+
+		// failed save does not prevent the following ones
+		this._checkpointSaving = saving.catch(() => { });
+
+		return saving;
 	}
 
 	/**
@@ -127,7 +200,19 @@ class AbstractProjection {
 	 * @param {IEventStore} eventStore
 	 * @return {Promise<void>}
 	 */
-	async restore(eventStore) {
+	restore(eventStore) {
+		this._restoring = this._lockAndRestore(eventStore);
+		return this._restoring;
+	}
+
+	/**
+	 * Lock the view, if supported, and restore it, if needed
+	 *
+	 * @private
+	 * @param {IEventStore} eventStore
+	 * @return {Promise<void>}
+	 */
+	async _lockAndRestore(eventStore) {
 		// lock the view to ensure same restoring procedure
 		// won't be performed by another projection instance
 		const concurrentView = asConcurrentView(this.view);
@@ -158,8 +243,23 @@ class AbstractProjection {
 		this._logger.log('debug', 'retrieving events and restoring projection...', { service });
 
 		const messageTypes = getHandledMessageTypes(this);
-		const eventsIterable = eventStore.getAllEvents(messageTypes);
 
+		// catch up from the last checkpoint, if the view persists it
+		const checkpointView = asCheckpointView(this.view);
+		const checkpoint = checkpointView ?
+			await checkpointView.getCheckpoint() :
+			undefined;
+
+		this._checkpoint = typeof checkpoint === 'number' ? checkpoint : undefined;
+
+		if (this._checkpoint !== undefined)
+			this._logger.log('debug', `catching up from position ${this._checkpoint}...`, { service });
+
+		const eventsIterable = this._checkpoint !== undefined ?
+			eventStore.getAllEvents(messageTypes, { afterPosition: this._checkpoint }) :
+			eventStore.getAllEvents(messageTypes);
+
+		let restoredPosition = this._checkpoint;
 		for await (const event of eventsIterable) {
 			try {
 				await this._project(event);
@@ -167,8 +267,13 @@ class AbstractProjection {
 			catch (err) {
 				this._onRestoringError(err, event);
 			}
+
+			if (event.position !== undefined && (restoredPosition === undefined || event.position > restoredPosition))
+				restoredPosition = event.position;
 		}
 
+		this._restoredPosition = restoredPosition;
+
 		this._logger.log('info', `view restored (${this.view})`, { service });
 	}
 
@@ -1,10 +1,33 @@
 'use strict';
 
-const { validateHandlers, getHandler, getClassName } = require('./utils');
+const { validateHandlers, getHandler, getPatternHandler, getClassName } = require('./utils');
+const sagaStatusEventTypes = require('./utils/sagaStatusEventTypes');
 
 const _id = Symbol('id');
 const _version = Symbol('version');
 const _messages = Symbol('messages');
+const _timeouts = Symbol('timeouts');
+const _status = Symbol('status');
+const _failureReason = Symbol('failureReason');
+
+const SNAPSHOT_EVENT_TYPE = 'snapshot';
+
+/**
+ * Deep-clone simple JS object
+ *
+ * @param {object} obj
+ * @returns {object}
+ */
+const clone = obj => JSON.parse(JSON.stringify(obj));
+
+/**
+ * Get saga status recorded by an event
+ *
+ * @param {IEvent} event
+ * @returns {TSagaStatus} - undefined, if event does not record saga status change
+ */
+const getRecordedStatus = event => Object.keys(sagaStatusEventTypes)
+	.find(status => sagaStatusEventTypes[status] === event.type);
 
 /**
  * Base class for Saga definition
@@ -36,6 +59,89 @@ class AbstractSaga {
 		return [];
 	}
 
+	/**
+	 * Unique saga type name, which IDs of started sagas are kept under in `event.sagaOrigins`.
+	 * Defaults to the class name, which changes, when code gets minified,
+	 * so it should be defined explicitly for sagas persisted in a durable event storage
+	 *
+	 * @type {string}
+	 * @readonly
+	 * @static
+	 */
+	static get sagaDescriptor() {
+		return undefined;
+	}
+
+	/**
+	 * Business key getters of handled events, keyed by event type.
+	 * Allows saga to handle events, which do not carry sagaId, i.e. events from other bounded contexts.
+	 * Must include getters for saga starter events
+	 *
+	 * @type {TSagaCorrelations}
+	 * @readonly
+	 * @static
+	 * @example
+	 * 	static get correlations() {
+	 * 		return {
+	 * 			orderPlaced: e => e.aggregateId,
+	 * 			paymentReceived: e => e.payload.orderId
+	 * 		};
+	 * 	}
+	 */
+	static get correlations() {
+		return undefined;
+	}
+
+	/**
+	 * Compensating command getters, keyed by type of the command they compensate.
+	 * When a saga command fails, commands sent by the saga before are compensated in reverse order
+	 * and saga gets recorded as compensated
+	 *
+	 * @type {TSagaCompensations}
+	 * @readonly
+	 * @static
+	 * @example
+	 * 	static get compensations() {
+	 * 		return {
+	 * 			reserveStock: c => ({ type: 'releaseStock', aggregateId: c.aggregateId, payload: c.payload }),
+	 * 			chargeCard: c => ({ type: 'refundCard', aggregateId: c.aggregateId })
+	 * 		};
+	 * 	}
+	 */
+	static get compensations() {
+		return undefined;
+	}
+
+	/**
+	 * Defines when saga state snapshots are taken, snapshots are not taken by default.
+	 * Saga state must be kept in the `state` object passed to the constructor,
+	 * or makeSnapshot and restoreSnapshot methods must be overridden
+	 *
+	 * @type {TSnapshotPolicy}
+	 * @readonly
+	 * @static
+	 * @example
+	 * 	static get snapshotPolicy() {
+	 * 		return snapshotPolicies.everyNEvents(50);
+	 * 	}
+	 */
+	static get snapshotPolicy() {
+		return undefined;
+	}
+
+	/**
+	 * Optional version of the state snapshot structure.
+	 * Should be incremented, when state structure changes, so that snapshots taken before
+	 * get discarded and the saga state gets restored from events instead
+	 *
+	 * @type {number}
+	 * @readonly
+	 * @static
+	 */
+	static get snapshotSchemaVersion() {
+		return undefined;
+	}
+
 	/**
 	 * Saga ID
 	 *
@@ -56,6 +162,26 @@ class AbstractSaga {
 		return this[_version];
 	}
 
+	/**
+	 * Saga status, either "active", "completed", "failed" or "compensated"
+	 *
+	 * @type {TSagaStatus}
+	 * @readonly
+	 */
+	get status() {
+		return this[_status];
+	}
+
+	/**
+	 * Reason of saga failure, as passed to the fail method
+	 *
+	 * @type {string}
+	 * @readonly
+	 */
+	get failureReason() {
+		return this[_failureReason];
+	}
+
 	/**
 	 * Command execution queue
 	 *
@@ -66,6 +192,16 @@ class AbstractSaga {
 		return Array.from(this[_messages]);
 	}
 
+	/**
+	 * Timeouts scheduled or cancelled by saga, but not passed to scheduler yet
+	 *
+	 * @type {TSagaTimeoutRequest[]}
+	 * @readonly
+	 */
+	get uncommittedTimeouts() {
+		return Array.from(this[_timeouts]);
+	}
+
 	/**
 	 * Creates an instance of AbstractSaga
 	 *
@@ -74,17 +210,25 @@ class AbstractSaga {
 	constructor(options) {
 		if (!options) throw new TypeError('options argument required');
 		if (!options.id) throw new TypeError('options.id argument required');
+		if (options.state && typeof options.state !== 'object')
+			throw new TypeError('options.state argument, when provided, must be an Object');
 
 		this[_id] = options.id;
 		this[_version] = 0;
 		this[_messages] = [];
+		this[_timeouts] = [];
+		this[_status] = 'active';
 
 		validateHandlers(this, 'startsWith');
 		validateHandlers(this, 'handles');
 
+		if (options.state)
+			this.state = options.state;
+
 		if (options.events) {
 			options.events.forEach(e => this.apply(e));
 			this.resetUncommittedMessages();
+			this.resetUncommittedTimeouts();
 		}
 
 		Object.defineProperty(this, 'restored', { value: true });
@@ -100,7 +244,22 @@ class AbstractSaga {
 		if (!event) throw new TypeError('event argument required');
 		if (!event.type) throw new TypeError('event.type argument required');
 
-		const handler = getHandler(this, event.type);
+		if (event.type === SNAPSHOT_EVENT_TYPE) {
+			this.restoreSnapshot(event);
+			this[_version] = event.version;
+			return undefined;
+		}
+
+		// status changes recorded in the event store are restored without saga handlers
+		const recordedStatus = getRecordedStatus(event);
+		if (recordedStatus) {
+			this[_status] = recordedStatus;
+			this[_failureReason] = event.payload ? event.payload.reason : undefined;
+			this[_version] += 1;
+			return undefined;
+		}
+
+		const handler = getHandler(this, event.type) || getPatternHandler(this, event.type);
 		if (!handler)
 			throw new Error(`'${event.type}' handler is not defined or not a function`);
 
@@ -158,6 +317,102 @@ class AbstractSaga {
 		this[_messages].length = 0;
 	}
 
+	/**
+	 * Schedule an event to be delivered back to the saga after a given delay,
+	 * i.e. to cancel an order, if payment is not received in time.
+	 * Saga must handle the event type
+	 *
+	 * @protected
+	 * @param {string} timeoutType - type of the event to deliver
+	 * @param {number} delay - milliseconds to wait before delivery
+	 * @param {object} [payload]
+	 */
+	scheduleTimeout(timeoutType, delay, payload) {
+		if (typeof timeoutType !== 'string' || !timeoutType.length)
+			throw new TypeError('timeoutType argument must be a non-empty String');
+		if (typeof delay !== 'number' || !(delay >= 0))
+			throw new TypeError('delay argument must be a non-negative Number');
+
+		this[_timeouts].push({
+			type: timeoutType,
+			delay,
+			payload,
+			sagaVersion: this.version
+		});
+	}
+
+	/**
+	 * Cancel previously scheduled timeouts of a given type,
+	 * or all saga timeouts, when type is not specified
+	 *
+	 * @protected
+	 * @param {string} [timeoutType]
+	 */
+	cancelTimeout(timeoutType) {
+		if (timeoutType !== undefined && (typeof timeoutType !== 'string' || !timeoutType.length))
+			throw new TypeError('timeoutType argument, when provided, must be a non-empty String');
+
+		this[_timeouts].push({ type: timeoutType, cancel: true });
+	}
+
+	/**
+	 * Clear the list of scheduled timeouts
+	 */
+	resetUncommittedTimeouts() {
+		this[_timeouts].length = 0;
+	}
+
+	/**
+	 * Create a saga state snapshot
+	 *
+	 * @protected
+	 * @returns {object}
+	 */
+	makeSnapshot() {
+		if (!this.state)
+			throw new Error('state property is empty, either define state or override makeSnapshot method');
+
+		return clone(this.state);
+	}
+
+	/**
+	 * Restore saga state from a snapshot
+	 *
+	 * @protected
+	 * @param {IEvent} snapshotEvent
+	 */
+	restoreSnapshot(snapshotEvent) {
+		if (!snapshotEvent) throw new TypeError('snapshotEvent argument required');
+		if (!snapshotEvent.payload) throw new TypeError('snapshotEvent.payload argument required');
+
+		if (!this.state)
+			throw new Error('state property is empty, either define state or override restoreSnapshot method');
+
+		Object.assign(this.state, clone(snapshotEvent.payload));
+	}
+
+	/**
+	 * Mark saga as completed.
+	 * Saga timeouts get cancelled and events received afterwards are not passed to the saga
+	 *
+	 * @protected
+	 */
+	complete() {
+		this[_status] = 'completed';
+	}
+
+	/**
+	 * Mark saga as failed.
+	 * Saga timeouts get cancelled and events received afterwards are not passed to the saga
+	 *
+	 * @protected
+	 * @param {string} [reason]
+	 */
+	fail(reason) {
+		this[_status] = 'failed';
+		this[_failureReason] = reason;
+	}
+
 	/**
 	 * Get human-readable Saga name
 	 *
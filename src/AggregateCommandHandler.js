@@ -4,6 +4,39 @@ const subscribe = require('./subscribe');
 const { isClass, getClassName } = require('./utils');
 const getHandledMessageTypes = require('./utils/getHandledMessageTypes');
 const nullLogger = require('./utils/nullLogger');
+const retry = require('./utils/retry');
+const { validateRetryPolicy } = require('./utils/retry');
+const LruCache = require('./utils/LruCache');
+const ConcurrencyError = require('./errors/ConcurrencyError');
+
+const SNAPSHOT_EVENT_TYPE = 'snapshot';
+
+/**
+ * @typedef {object} TSnapshotStats
+ * @property {number} eventsSinceSnapshot - events committed after the latest snapshot
+ * @property {number} restoredEventsCount - events replayed to restore the aggregate for the current command
+ * @property {number} [lastSnapshotTimestamp]
+ */
+
+/**
+ * Get snapshot stats of an aggregate restored from a given event stream
+ *
+ * @param {IEventStream} events
+ * @returns {TSnapshotStats}
+ */
+function getRestoredSnapshotStats(events) {
+	const snapshot = events.find(e => e.type === SNAPSHOT_EVENT_TYPE);
+	const eventsCount = snapshot ? events.length - 1 : events.length;
+
+	// without a snapshot, the stream age is counted from the first event
+	const { timestamp } = snapshot || events[0] || {};
+
+	return {
+		eventsSinceSnapshot: eventsCount,
+		restoredEventsCount: eventsCount,
+		lastSnapshotTimestamp: timestamp !== undefined ? timestamp : Date.now()
+	};
+}
 
 /**
  * Aggregate command handler.
@@ -24,13 +57,47 @@ class AggregateCommandHandler {
 	 * @param {IEventStore} options.eventStore
 	 * @param {IAggregateConstructor | IAggregateFactory} options.aggregateType
 	 * @param {string[]} [options.handles]
+	 * @param {TMessageSchemas} [options.schemas] - JSON Schemas of command and event payloads,
+	 * 	taken from the aggregateType static `schemas` property by default
+	 * @param {number} [options.snapshotSchemaVersion] - aggregate snapshot structure version,
+	 * 	taken from the aggregateType static `snapshotSchemaVersion` property by default
+	 * @param {TRetryPolicy} [options.concurrencyRetryPolicy] - defines how commands rejected with ConcurrencyError
+	 * 	get re-executed on a freshly restored aggregate
+	 * @param {boolean} [options.serializeCommands] - execute commands targeting the same aggregate one after another,
+	 * 	commands targeting different aggregates are still executed in parallel
+	 * @param {object} [options.aggregateCache] - keep restored aggregate instances in memory between commands
+	 * @param {number} options.aggregateCache.maxSize - max number of cached aggregates
+	 * @param {number} [options.aggregateCache.ttl] - time in milliseconds a cached aggregate stays valid for
+	 * @param {TSnapshotPolicy} [options.snapshotPolicy] - defines when aggregate snapshots are taken,
+	 * 	replaces the aggregate `shouldTakeSnapshot` getter
+	 * @param {boolean} [options.asyncSnapshots] - take snapshots after events are committed
+	 * 	and save them in background, without delaying command execution result
 	 * @param {ILogger} [options.logger]
 	 */
 	constructor(options) {
 		if (!options.eventStore) throw new TypeError('eventStore argument required');
 		if (!options.aggregateType) throw new TypeError('aggregateType argument required');
+		if (options.concurrencyRetryPolicy)
+			validateRetryPolicy(options.concurrencyRetryPolicy);
+		if (options.snapshotPolicy !== undefined && typeof options.snapshotPolicy !== 'function')
+			throw new TypeError('snapshotPolicy argument, when provided, must be a Function');
 
 		this._eventStore = options.eventStore;
+		this._concurrencyRetryPolicy = options.concurrencyRetryPolicy;
+		this._serializeCommands = Boolean(options.serializeCommands);
+		this._snapshotPolicy = options.snapshotPolicy;
+		this._asyncSnapshots = Boolean(options.asyncSnapshots);
+
+		/** @type {WeakMap<IAggregate, TSnapshotStats>} */
+		this._snapshotStats = new WeakMap();
+
+		/** @type {Map<string, Promise<void>>} */
+		this._aggregateQueues = new Map();
+
+		/** @type {LruCache<IAggregate>} */
+		this._aggregateCache = options.aggregateCache ?
+			new LruCache(options.aggregateCache) :
+			undefined;
 		this._logger = options.logger || nullLogger;
 
 		if (isClass(options.aggregateType)) {
@@ -40,20 +107,37 @@ class AggregateCommandHandler {
 
 			this._aggregateFactory = params => new AggregateType(params);
 			this._handles = getHandledMessageTypes(AggregateType);
+			this._schemas = options.schemas || AggregateType.schemas;
+			this._snapshotSchemaVersion = options.snapshotSchemaVersion !== undefined ?
+				options.snapshotSchemaVersion :
+				AggregateType.snapshotSchemaVersion;
 		}
 		else {
 			this._aggregateFactory = options.aggregateType;
 			this._handles = options.handles;
+			this._schemas = options.schemas;
+			this._snapshotSchemaVersion = options.snapshotSchemaVersion;
 		}
 	}
 
 	/**
 	 * Subscribe to all command types handled by aggregateType
+	 * and register aggregate command and event schemas, if the commandBus and eventStore support them
 	 *
 	 * @param {ICommandBus} commandBus
 	 * @returns {any} - whatever EventEmitter.on returns for each messageType
 	 */
 	subscribe(commandBus) {
+		const { commands, events } = this._schemas || {};
+		if (commands && typeof commandBus.registerCommandSchema === 'function') {
+			for (const commandType of Object.keys(commands))
+				commandBus.registerCommandSchema(commandType, commands[commandType]);
+		}
+		if (events && typeof this._eventStore.registerEventSchema === 'function') {
+			for (const eventType of Object.keys(events))
+				this._eventStore.registerEventSchema(eventType, events[eventType]);
+		}
+
 		subscribe(commandBus, this, {
 			messageTypes: this._handles,
 			masterHandler: c => this.execute(c)
@@ -61,7 +145,7 @@ class AggregateCommandHandler {
 	}
 
 	/**
-	 * Restore aggregate from event store events
+	 * Restore aggregate from cache or from event store events
 	 *
 	 * @param {Identifier} id
 	 * @returns {Promise<IAggregate>}
@@ -69,10 +153,27 @@ class AggregateCommandHandler {
 	async _restoreAggregate(id) {
 		if (!id) throw new TypeError('id argument required');
 
-		const events = await this._eventStore.getAggregateEvents(id);
+		if (this._aggregateCache) {
+			// cached instance is taken out of the cache for the time of command execution,
+			// so that concurrent commands do not modify same instance and
+			// the instance does not return to the cache, if command execution fails
+			const cachedAggregate = this._aggregateCache.get(id);
+			if (cachedAggregate) {
+				this._aggregateCache.delete(id);
+				this._logger.log('debug', `${cachedAggregate} retrieved from cache`, { service: getClassName(cachedAggregate) });
+				return cachedAggregate;
+			}
+		}
+
+		const events = this._snapshotSchemaVersion !== undefined ?
+			await this._eventStore.getAggregateEvents(id, { snapshotSchemaVersion: this._snapshotSchemaVersion }) :
+			await this._eventStore.getAggregateEvents(id);
 		const aggregate = this._aggregateFactory.call(null, { id, events });
 		this._logger.log('info', `${aggregate} state restored from ${events}`, { service: getClassName(aggregate) });
 
+		if (this._snapshotPolicy)
+			this._snapshotStats.set(aggregate, getRestoredSnapshotStats(events));
+
 		return aggregate;
 	}
 
@@ -86,9 +187,106 @@ class AggregateCommandHandler {
 		const aggregate = this._aggregateFactory.call(null, { id });
 		this._logger.log('info', `${aggregate} created`, { service: getClassName(aggregate) });
 
+		if (this._snapshotPolicy) {
+			this._snapshotStats.set(aggregate, {
+				eventsSinceSnapshot: 0,
+				restoredEventsCount: 0,
+				lastSnapshotTimestamp: Date.now()
+			});
+		}
+
 		return aggregate;
 	}
 
+	/**
+	 * Put aggregate with committed changes to the cache, if caching is enabled and supported by the aggregate
+	 *
+	 * @private
+	 * @param {IAggregate} aggregate
+	 */
+	_cacheAggregate(aggregate) {
+		if (!this._aggregateCache || !aggregate.id || typeof aggregate.resetChanges !== 'function')
+			return;
+
+		aggregate.resetChanges();
+		this._aggregateCache.set(aggregate.id, aggregate);
+	}
+
+	/**
+	 * Check whether aggregate snapshot should be taken after a command produced given number of events
+	 *
+	 * @private
+	 * @param {IAggregate} aggregate
+	 * @param {number} newEventsCount
+	 * @returns {boolean}
+	 */
+	_shouldTakeSnapshot(aggregate, newEventsCount) {
+		if (!this._snapshotPolicy)
+			return Boolean(aggregate.shouldTakeSnapshot);
+
+		const stats = this._snapshotStats.get(aggregate) || { eventsSinceSnapshot: 0, restoredEventsCount: 0 };
+
+		return Boolean(this._snapshotPolicy({
+			aggregate,
+			eventsSinceSnapshot: stats.eventsSinceSnapshot + newEventsCount,
+			restoredEventsCount: stats.restoredEventsCount,
+			lastSnapshotTimestamp: stats.lastSnapshotTimestamp
+		}));
+	}
+
+	/**
+	 * Update snapshot stats of an aggregate after its changes are committed
+	 *
+	 * @private
+	 * @param {IAggregate} aggregate
+	 * @param {number} committedEventsCount
+	 * @param {boolean} snapshotTaken
+	 */
+	_updateSnapshotStats(aggregate, committedEventsCount, snapshotTaken) {
+		if (!this._snapshotPolicy)
+			return;
+
+		const stats = this._snapshotStats.get(aggregate);
+		this._snapshotStats.set(aggregate, snapshotTaken ? {
+			eventsSinceSnapshot: 0,
+			restoredEventsCount: 0,
+			lastSnapshotTimestamp: Date.now()
+		} : {
+			eventsSinceSnapshot: (stats ? stats.eventsSinceSnapshot : 0) + committedEventsCount,
+			restoredEventsCount: 0,
+			lastSnapshotTimestamp: stats ? stats.lastSnapshotTimestamp : Date.now()
+		});
+	}
+
+	/**
+	 * Take aggregate snapshot after its changes are committed and save it in background.
+	 * Failure to save the snapshot does not affect the command result, the next snapshot will replace it
+	 *
+	 * @private
+	 * @param {IAggregate} aggregate
+	 */
+	_takeSnapshotAsync(aggregate) {
+		const service = getClassName(aggregate);
+		const logFailure = err => {
+			this._logger.log('warn', `${aggregate} snapshot saving failed: ${err.message}`, { service, stack: err.stack });
+		};
+
+		// snapshot is taken right away, before the aggregate instance can be reused by the next command
+		let snapshotEvents;
+		try {
+			aggregate.takeSnapshot();
+			snapshotEvents = aggregate.changes.filter(e => e.type === SNAPSHOT_EVENT_TYPE);
+		}
+		catch (err) {
+			logFailure(err);
+			return;
+		}
+
+		this._eventStore.commit(snapshotEvents).then(() => {
+			this._logger.log('debug', `${aggregate} snapshot saved`, { service });
+		}, logFailure);
+	}
+
 	/**
 	 * Pass a command to corresponding aggregate
 	 *
@@ -99,27 +297,106 @@ class AggregateCommandHandler {
 		if (!cmd) throw new TypeError('cmd argument required');
 		if (!cmd.type) throw new TypeError('cmd.type argument required');
 
+		if (this._serializeCommands && cmd.aggregateId)
+			return this._enqueue(cmd.aggregateId, () => this._executeWithRetries(cmd));
+
+		return this._executeWithRetries(cmd);
+	}
+
+	/**
+	 * Execute operation after all operations previously enqueued for the same aggregate are complete
+	 *
+	 * @private
+	 * @template TResult
+	 * @param {Identifier} aggregateId
+	 * @param {function(): Promise<TResult>} operation
+	 * @returns {Promise<TResult>}
+	 */
+	_enqueue(aggregateId, operation) {
+		// IDs are compared loosely, same as in event storage
+		const key = String(aggregateId);
+		const previousOperations = this._aggregateQueues.get(key) || Promise.resolve();
+
+		const result = previousOperations.then(operation);
+
+		// failure of one command must not prevent execution of the next ones
+		const queueTail = result.catch(() => { });
+		this._aggregateQueues.set(key, queueTail);
+
+		queueTail.then(() => {
+			if (this._aggregateQueues.get(key) === queueTail)
+				this._aggregateQueues.delete(key);
+		});
+
+		return result;
+	}
+
+	/**
+	 * Execute command, retrying it according to the concurrency retry policy, if defined
+	 *
+	 * @private
+	 * @param {ICommand} cmd
+	 * @returns {Promise<IEventStream>}
+	 */
+	_executeWithRetries(cmd) {
+		if (!this._concurrencyRetryPolicy)
+			return this._execute(cmd);
+
+		return retry(() => this._execute(cmd), this._concurrencyRetryPolicy, {
+			shouldRetry: err => err instanceof ConcurrencyError,
+			onRetry: (err, retryNumber, retryDelay) => {
+				this._logger.log('warn', `"${cmd.type}" command execution failed: ${err.message}, `
+					+ `retry ${retryNumber} of ${this._concurrencyRetryPolicy.retries} in ${retryDelay}ms...`, {
+					service: getClassName(this)
+				});
+			}
+		});
+	}
+
+	/**
+	 * Restore aggregate, pass a command to it and commit produced events
+	 *
+	 * @protected
+	 * @param {ICommand} cmd - command to execute
+	 * @return {Promise<IEventStream>} events
+	 */
+	async _execute(cmd) {
 		const aggregate = cmd.aggregateId ?
 			await this._restoreAggregate(cmd.aggregateId) :
 			await this._createAggregate();
 
+		// version aggregate state was restored at, any events committed after it mean a concurrent modification
+		const expectedVersion = aggregate.version;
+
 		const handlerResponse = aggregate.handle(cmd);
 		if (handlerResponse instanceof Promise)
 			await handlerResponse;
 
 		let events = aggregate.changes;
 		this._logger.log('info', `${aggregate} "${cmd.type}" command processed, ${events} produced`, { service: getClassName(aggregate) });
-		if (!events.length)
+		if (!events.length) {
+			this._cacheAggregate(aggregate);
 			return [];
+		}
 
-		if (aggregate.shouldTakeSnapshot && this._eventStore.snapshotsSupported) {
+		const newEventsCount = events.length;
+		const takeSnapshot = this._shouldTakeSnapshot(aggregate, newEventsCount) && this._eventStore.snapshotsSupported;
+		if (takeSnapshot && !this._asyncSnapshots) {
 			aggregate.takeSnapshot();
 			events = aggregate.changes;
 		}
 
-		await this._eventStore.commit(events);
+		const committedEvents = typeof expectedVersion === 'number' ?
+			await this._eventStore.commit(events, { expectedVersions: { [aggregate.id]: expectedVersion } }) :
+			await this._eventStore.commit(events);
+
+		if (takeSnapshot && this._asyncSnapshots)
+			this._takeSnapshotAsync(aggregate);
+
+		this._updateSnapshotStats(aggregate, newEventsCount, takeSnapshot);
+		this._cacheAggregate(aggregate);
 
-		return events;
+		return committedEvents;
 	}
 }
 
@@ -2,6 +2,8 @@
 
 const InMemoryBus = require('./infrastructure/InMemoryMessageBus');
 const nullLogger = require('./utils/nullLogger');
+const { generateUuid } = require('./utils');
+const MessageSchemaValidator = require('./utils/MessageSchemaValidator');
 const service = 'CommandBus';
 
 /**
@@ -15,11 +17,24 @@ class CommandBus {
 	 *
 	 * @param {object} [options]
 	 * @param {IMessageBus} [options.messageBus]
+	 * @param {object} [options.commandSchemas] - JSON Schemas of command payloads, keyed by command type
 	 * @param {ILogger} [options.logger]
 	 */
 	constructor(options) {
-		this._bus = (options && options.messageBus) || new InMemoryBus();
 		this._logger = (options && options.logger) || nullLogger;
+		this._bus = (options && options.messageBus) || new InMemoryBus({ logger: this._logger });
+		this._commandSchemas = new MessageSchemaValidator(options && options.commandSchemas);
+	}
+
+	/**
+	 * Register JSON Schema of a given command type payload.
+	 * Commands not matching the schema are rejected with ValidationError before being sent to handlers
+	 *
+	 * @param {string} commandType
+	 * @param {object|boolean} schema
+	 */
+	registerCommandSchema(commandType, schema) {
+		this._commandSchemas.register(commandType, schema);
 	}
 
 	/**
@@ -67,7 +82,9 @@ class CommandBus {
 	}
 
 	/**
-	 * Send a command for execution
+	 * Send a command for execution.
+	 * A copy of the command gets sent, with a unique `id` and,
+	 * unless it is a part of an existing flow, a `correlationId` assigned
 	 *
 	 * @param {ICommand} command
 	 * @returns {Promise<IEventStream>} - produced events
@@ -76,9 +93,21 @@ class CommandBus {
 		if (!command) throw new TypeError('command argument required');
 		if (!command.type) throw new TypeError('command.type argument required');
 
+		const id = command.id !== undefined ? command.id : generateUuid();
+		const correlationId = command.correlationId !== undefined ? command.correlationId : id;
+		const sentCommand = { ...command, id, correlationId };
+
+		try {
+			this._commandSchemas.validate(sentCommand);
+		}
+		catch (error) {
+			this._logger.log('warn', `'${command.type}' rejected: ${error.message}`, { service });
+			return Promise.reject(error);
+		}
+
 		this._logger.log('debug', `sending '${command.type}' command...`, { service });
 
-		return this._bus.send(command).then(r => {
+		return this._bus.send(sentCommand).then(r => {
 			this._logger.log('debug', `'${command.type}' processed`, { service });
 			return r;
 		}, error => {
@@ -6,7 +6,11 @@ const AggregateCommandHandler = require('./AggregateCommandHandler');
 const SagaEventHandler = require('./SagaEventHandler');
 const CommandBus = require('./CommandBus');
 const EventStore = require('./EventStore');
-const getHandledMessageTypes = require('./utils/getHandledMessageTypes');
+const InMemorySagaCorrelationIndex = require('./infrastructure/InMemorySagaCorrelationIndex');
+const InMemorySagaScheduler = require('./infrastructure/InMemorySagaScheduler');
+const InMemorySagaRegistry = require('./infrastructure/InMemorySagaRegistry');
+const getAggregateCommandHandlerOptions = require('./utils/getAggregateCommandHandlerOptions');
+const getSagaEventHandlerOptions = require('./utils/getSagaEventHandlerOptions');
 
 function isClass(func) {
 	return typeof func === 'function'
@@ -29,6 +33,9 @@ class CqrsContainerBuilder extends ContainerBuilder {
 		super(options);
 		this.register(EventStore).as('eventStore');
 		this.register(CommandBus).as('commandBus');
+		this.register(InMemorySagaCorrelationIndex).as('sagaCorrelationIndex');
+		this.register(InMemorySagaScheduler).as('sagaScheduler');
+		this.register(InMemorySagaRegistry).as('sagaRegistry');
 	}
 
 	/**
@@ -94,17 +101,17 @@ class CqrsContainerBuilder extends ContainerBuilder {
 	 * Register aggregate type in the container
 	 *
 	 * @param {IAggregateConstructor} AggregateType
+	 * @param {object} [options]
+	 * @param {TSnapshotPolicy} [options.snapshotPolicy] - defines when aggregate snapshots are taken
+	 * @param {boolean} [options.asyncSnapshots] - take snapshots in background after events are committed
 	 */
-	registerAggregate(AggregateType) {
+	registerAggregate(AggregateType, options = {}) {
 		if (!isClass(AggregateType))
 			throw new TypeError('AggregateType argument must be a constructor function');
 
 		const commandHandlerFactory = container =>
-			container.createInstance(AggregateCommandHandler, {
-				aggregateType: options =>
-					container.createInstance(AggregateType, options),
-				handles: getHandledMessageTypes(AggregateType)
-			});
+			container.createInstance(AggregateCommandHandler, getAggregateCommandHandlerOptions(AggregateType, options,
+				aggregateOptions => container.createInstance(AggregateType, aggregateOptions)));
 
 		return this.registerCommandHandler(commandHandlerFactory);
 	}
@@ -114,18 +121,17 @@ class CqrsContainerBuilder extends ContainerBuilder {
 	 * Register saga type in the container
 	 *
 	 * @param {ISagaConstructor} SagaType
+	 * @param {object} [options]
+	 * @param {TSnapshotPolicy} [options.snapshotPolicy] - defines when saga snapshots are taken,
+	 * 	replaces the saga `snapshotPolicy` static getter
 	 */
-	registerSaga(SagaType) {
+	registerSaga(SagaType, options = {}) {
 		if (!isClass(SagaType))
 			throw new TypeError('SagaType argument must be a constructor function');
 
 		const eventReceptorFactory = container =>
-			container.createInstance(SagaEventHandler, {
-				sagaType: options => container.createInstance(SagaType, options),
-				handles: SagaType.handles,
-				startsWith: SagaType.startsWith,
-				queueName: SagaType.name
-			});
+			container.createInstance(SagaEventHandler, getSagaEventHandlerOptions(SagaType, options,
+				sagaOptions => container.createInstance(SagaType, sagaOptions)));
 
 		return this.registerEventReceptor(eventReceptorFactory);
 	}
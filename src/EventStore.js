@@ -3,12 +3,25 @@
 const InMemoryBus = require('./infrastructure/InMemoryMessageBus');
 const nullLogger = require('./utils/nullLogger');
 const EventStream = require('./EventStream');
+const UpcasterRegistry = require('./utils/UpcasterRegistry');
+const MessageSchemaValidator = require('./utils/MessageSchemaValidator');
+const retry = require('./utils/retry');
+const { validateRetryPolicy } = require('./utils/retry');
+const { generateUuid } = require('./utils');
+const { isMessageTypePattern, matchesMessageType } = require('./utils/messageTypePatterns');
 
 const SNAPSHOT_EVENT_TYPE = 'snapshot';
 const service = 'EventStore';
 
 const _defaults = {
-	publishAsync: true
+	publishAsync: true,
+	outbox: false,
+	outboxRetryPolicy: {
+		retries: 5,
+		delay: 100,
+		factor: 2,
+		maxDelay: 10000
+	}
 };
 
 /**
@@ -19,7 +32,7 @@ const _defaults = {
 function validateEvent(event) {
 	if (typeof event !== 'object' || !event) throw new TypeError('event must be an Object');
 	if (typeof event.type !== 'string' || !event.type.length) throw new TypeError('event.type must be a non-empty String');
-	if (!event.aggregateId && !event.sagaId) throw new TypeError('either event.aggregateId or event.sagaId is required');
+	if (!event.aggregateId && !event.sagaId && !event.sagaOrigins) throw new TypeError('either event.aggregateId or event.sagaId is required');
 	if (event.sagaId && typeof event.sagaVersion === 'undefined') throw new TypeError('event.sagaVersion is required, when event.sagaId is defined');
 }
 
@@ -126,9 +139,58 @@ function setupOneTimeEmitterSubscription(emitter, messageTypes, filter, handler,
 	});
 }
 
+/**
+ * Attach unique event ID, commit timestamp and current schema version (if upcasters are registered for the event type)
+ * to events that do not have them yet
+ *
+ * @param {IEventStream} events
+ * @param {UpcasterRegistry} upcasters
+ * @returns {IEventStream}
+ */
+function signEvents(events, upcasters) {
+	const timestamp = Date.now();
+
+	return new EventStream(events.map(event => {
+		if (event.type === SNAPSHOT_EVENT_TYPE)
+			return event;
+
+		const schemaVersion = upcasters.getCurrentVersion(event.type);
+		return schemaVersion ?
+			{ id: generateUuid(), timestamp, schemaVersion, ...event } :
+			{ id: generateUuid(), timestamp, ...event };
+	}));
+}
+
+/**
+ * Ensure expected aggregate versions are passed in the expected format
+ *
+ * @param {TExpectedAggregateVersions} expectedVersions
+ */
+function validateExpectedVersions(expectedVersions) {
+	if (typeof expectedVersions !== 'object' || !expectedVersions)
+		throw new TypeError('options.expectedVersions, when provided, must be an Object');
+	if (Object.values(expectedVersions).some(v => typeof v !== 'number'))
+		throw new TypeError('options.expectedVersions values must be Numbers');
+}
+
+/**
+ * Ensure storage supports outbox, when it is enabled
+ *
+ * @param {IEventStorage} storage
+ */
+function validateOutboxStorage(storage) {
+	if (typeof storage.getUnpublishedEvents !== 'function')
+		throw new TypeError('storage.getUnpublishedEvents must be a Function, when outbox is enabled');
+	if (typeof storage.markEventsPublished !== 'function')
+		throw new TypeError('storage.markEventsPublished must be a Function, when outbox is enabled');
+}
+
 /**
  * @typedef {object} EventStoreConfig
  * @property {boolean} [publishAsync]
+ * @property {boolean} [outbox] - storage records committed events as unpublished,
+ * 	until they are published to the messageBus
+ * @property {TRetryPolicy} [outboxRetryPolicy] - defines how failed outbox event publishing is retried
  */
 
 /**
@@ -167,6 +229,18 @@ class EventStore {
 		return Boolean(this._snapshotStorage);
 	}
 
+	/**
+	 * Whether snapshot storage supports saga snapshots
+	 *
+	 * @type {boolean}
+	 * @readonly
+	 */
+	get sagaSnapshotsSupported() {
+		return Boolean(this._snapshotStorage)
+			&& typeof this._snapshotStorage.getSagaSnapshot === 'function'
+			&& typeof this._snapshotStorage.saveSagaSnapshot === 'function';
+	}
+
 	/**
 	 * Creates an instance of EventStore.
 	 *
@@ -175,6 +249,7 @@ class EventStore {
 	 * @param {IAggregateSnapshotStorage} [options.snapshotStorage]
 	 * @param {IMessageBus} [options.messageBus]
 	 * @param {function(IEvent):void} [options.eventValidator]
+	 * @param {object} [options.eventSchemas] - JSON Schemas of event payloads, keyed by event type
 	 * @param {EventStoreConfig} [options.eventStoreConfig]
 	 * @param {ILogger} [options.logger]
 	 */
@@ -188,13 +263,26 @@ class EventStore {
 			throw new TypeError('eventValidator, when provided, must be a function');
 
 		this._config = Object.freeze(Object.assign({}, EventStore.defaults, options.eventStoreConfig));
+		if (this._config.outbox) {
+			validateOutboxStorage(options.storage);
+			validateRetryPolicy(this._config.outboxRetryPolicy);
+		}
+
 		this._storage = options.storage;
 		this._snapshotStorage = options.snapshotStorage;
 		this._validator = options.eventValidator || validateEvent;
+		this._eventSchemas = new MessageSchemaValidator(options.eventSchemas);
 		this._logger = options.logger || nullLogger;
 
-		/** @type {string[]} */
-		this._sagaStarters = [];
+		// descriptors of sagas started by each event type, undefined for sagas registered without descriptor
+		/** @type {Map<string, Set<string>>} */
+		this._sagaStarters = new Map();
+
+		this._upcasters = new UpcasterRegistry();
+
+		// IDs of outbox events being published at the moment
+		/** @type {Set<Identifier>} */
+		this._outboxEventsInFlight = new Set();
 
 		if (options.messageBus) {
 			this._publishTo = options.messageBus;
@@ -205,10 +293,13 @@ class EventStore {
 			this._eventEmitter = options.storage;
 		}
 		else {
-			const internalMessageBus = new InMemoryBus();
+			const internalMessageBus = new InMemoryBus({ logger: options.logger });
 			this._publishTo = internalMessageBus;
 			this._eventEmitter = internalMessageBus;
 		}
+
+		if (this._config.outbox && !this._publishTo)
+			throw new TypeError('messageBus argument required, when outbox is enabled');
 	}
 
 	/**
@@ -221,45 +312,128 @@ class EventStore {
 	}
 
 	/**
-	 * Retrieve all events of specific types
+	 * Retrieve all events of specific types.
+	 * Event types may include patterns, such as "*" or "user*", in which case events of all types are read from storage
 	 *
-	 * @param {string[]} eventTypes
+	 * @param {string[]} [eventTypes]
+	 * @param {object} [options]
+	 * @param {number} [options.afterPosition] - global position of the last processed event (checkpoint)
+	 * @param {number} [options.limit] - max number of events to retrieve, applied after events are upcasted and filtered
 	 * @returns {AsyncIterableIterator<IEvent>}
 	 */
-	async* getAllEvents(eventTypes) {
+	async* getAllEvents(eventTypes, options) {
 		if (eventTypes && !Array.isArray(eventTypes)) throw new TypeError('eventTypes, if specified, must be an Array');
 
-		this._logger.log('debug', `retrieving ${eventTypes ? eventTypes.join(', ') : 'all'} events...`, { service });
+		const { afterPosition, limit } = options || {};
+		if (afterPosition !== undefined && typeof afterPosition !== 'number')
+			throw new TypeError('options.afterPosition, when specified, must be a Number');
+		if (limit !== undefined && (!Number.isInteger(limit) || limit < 1))
+			throw new TypeError('options.limit, when specified, must be a positive Integer');
+
+		const description = `${eventTypes ? eventTypes.join(', ') : 'all'} events`
+			+ `${afterPosition !== undefined ? ` after position ${afterPosition}` : ''}`;
+
+		this._logger.log('debug', `retrieving ${description}...`, { service });
+
+		// events persisted with types that have upcasters may get upcasted to the requested types,
+		// patterns cannot be passed to storage, so all events are read and filtered afterwards
+		let storedEventTypes = eventTypes;
+		if (eventTypes && eventTypes.some(isMessageTypePattern)) {
+			storedEventTypes = undefined;
+		}
+		else if (eventTypes) {
+			const upcastedEventTypes = this._upcasters.eventTypes.filter(t => !eventTypes.includes(t));
+			if (upcastedEventTypes.length)
+				storedEventTypes = [...eventTypes, ...upcastedEventTypes];
+		}
+
+		if (limit === undefined) {
+			const eventsIterable = options ?
+				await this._storage.getEvents(storedEventTypes, { afterPosition }) :
+				await this._storage.getEvents(storedEventTypes);
 
-		const eventsIterable = await this._storage.getEvents(eventTypes);
+			for await (const storedEvent of eventsIterable)
+				yield* this._upcastAndFilter(storedEvent, eventTypes);
+		}
+		else {
+			// stored events may get filtered out after upcasting or pattern matching,
+			// so storage is paged until the limit is reached or no more events are stored
+			let position = afterPosition;
+			let yieldedCount = 0;
+			let pageFull = true;
+			while (pageFull && yieldedCount < limit) {
+				const pageSize = limit - yieldedCount;
+				const page = await this._storage.getEvents(storedEventTypes, { afterPosition: position, limit: pageSize });
+
+				let storedCount = 0;
+				for await (const storedEvent of page) {
+					// events produced by the same stored event share its position, so they are not split between pages
+					if (yieldedCount >= limit)
+						break;
+
+					storedCount += 1;
+					position = storedEvent.position;
+					for (const event of this._upcastAndFilter(storedEvent, eventTypes)) {
+						yieldedCount += 1;
+						yield event;
+					}
+				}
+
+				pageFull = storedCount === pageSize && position !== undefined;
+			}
+		}
 
-		yield* eventsIterable;
+		this._logger.log('debug', `${description} retrieved`, { service });
+	}
 
-		this._logger.log('debug', `${eventTypes ? eventTypes.join(', ') : 'all'} events retrieved`, { service });
+	/**
+	 * Upcast stored event and keep resulting events of the requested types only
+	 *
+	 * @private
+	 * @param {IEvent} storedEvent
+	 * @param {string[]} [eventTypes]
+	 * @returns {IEvent[]}
+	 */
+	_upcastAndFilter(storedEvent, eventTypes) {
+		return this._upcasters.upcast(storedEvent)
+			.filter(event => !eventTypes || eventTypes.some(t => matchesMessageType(t, event.type)));
 	}
 
 	/**
 	 * Retrieve all events of specific Aggregate
 	 *
 	 * @param {Identifier} aggregateId
+	 * @param {object} [options]
+	 * @param {number} [options.snapshotSchemaVersion] - snapshot structure version supported by the aggregate,
+	 * 	snapshots of other versions are discarded and all aggregate events are retrieved instead
 	 * @returns {Promise<IEventStream>}
 	 */
-	async getAggregateEvents(aggregateId) {
+	async getAggregateEvents(aggregateId, options) {
 		if (!aggregateId) throw new TypeError('aggregateId argument required');
 
+		const snapshotSchemaVersion = options && options.snapshotSchemaVersion;
+		if (snapshotSchemaVersion !== undefined && typeof snapshotSchemaVersion !== 'number')
+			throw new TypeError('options.snapshotSchemaVersion, when specified, must be a Number');
+
 		this._logger.log('debug', `retrieving event stream for aggregate ${aggregateId}...`, { service });
 
-		const snapshot = this.snapshotsSupported ?
+		let snapshot = this.snapshotsSupported ?
 			await this._snapshotStorage.getAggregateSnapshot(aggregateId) :
 			undefined;
 
+		if (snapshot && snapshotSchemaVersion !== undefined && (snapshot.schemaVersion || 0) !== snapshotSchemaVersion) {
+			this._logger.log('info', `aggregate ${aggregateId} snapshot v${snapshot.schemaVersion || 0} discarded, `
+				+ `v${snapshotSchemaVersion} expected`, { service });
+			snapshot = undefined;
+		}
+
 		const events = [];
 		if (snapshot)
 			events.push(snapshot);
 
 		const eventsIterable = await this._storage.getAggregateEvents(aggregateId, { snapshot });
 		for await (const event of eventsIterable)
-			events.push(event);
+			events.push(...this._upcasters.upcast(event));
 
 		const eventStream = new EventStream(events);
 		this._logger.log('debug', `${eventStream} retrieved`, { service });
@@ -273,7 +447,9 @@ class EventStore {
 	 * @param {Identifier} sagaId
 	 * @param {object} filter
 	 * @param {IEvent} filter.beforeEvent
-	 * @returns {Promise<IEventStream>}
+	 * @param {number} [filter.snapshotSchemaVersion] - snapshot structure version supported by the saga,
+	 * 	snapshots of other versions are discarded and all saga events are retrieved instead
+	 * @returns {Promise<IEventStream>} - saga snapshot, if any, followed by events not included in it
 	 */
 	async getSagaEvents(sagaId, filter) {
 		if (!sagaId) throw new TypeError('sagaId argument required');
@@ -281,12 +457,33 @@ class EventStore {
 		if (!filter.beforeEvent) throw new TypeError('filter.beforeEvent argument required');
 		if (filter.beforeEvent.sagaVersion === undefined) throw new TypeError('filter.beforeEvent.sagaVersion argument required');
 
-		this._logger.log('debug', `retrieving event stream for saga ${sagaId}, v${filter.beforeEvent.sagaVersion}...`, { service });
+		const { beforeEvent, snapshotSchemaVersion } = filter;
+		if (snapshotSchemaVersion !== undefined && typeof snapshotSchemaVersion !== 'number')
+			throw new TypeError('filter.snapshotSchemaVersion, when specified, must be a Number');
+
+		this._logger.log('debug', `retrieving event stream for saga ${sagaId}, v${beforeEvent.sagaVersion}...`, { service });
+
+		let snapshot = this.sagaSnapshotsSupported ?
+			await this._snapshotStorage.getSagaSnapshot(sagaId) :
+			undefined;
+
+		// snapshot taken after the event cannot be used to restore saga state the event is applied to
+		if (snapshot && snapshot.sagaVersion > beforeEvent.sagaVersion)
+			snapshot = undefined;
+
+		if (snapshot && snapshotSchemaVersion !== undefined && (snapshot.schemaVersion || 0) !== snapshotSchemaVersion) {
+			this._logger.log('info', `saga ${sagaId} snapshot v${snapshot.schemaVersion || 0} discarded, `
+				+ `v${snapshotSchemaVersion} expected`, { service });
+			snapshot = undefined;
+		}
 
 		const events = [];
-		const eventsIterable = await this._storage.getSagaEvents(sagaId, filter);
+		if (snapshot)
+			events.push(snapshot);
+
+		const eventsIterable = await this._storage.getSagaEvents(sagaId, { beforeEvent, snapshot });
 		for await (const event of eventsIterable)
-			events.push(event);
+			events.push(...this._upcasters.upcast(event));
 
 		const eventStream = new EventStream(events);
 		this._logger.log('debug', `${eventStream.toString()} retrieved`, { service });
@@ -294,33 +491,95 @@ class EventStore {
 		return eventStream;
 	}
 
+	/**
+	 * Save saga state snapshot, replacing the previous one.
+	 * Snapshot `sagaVersion` defines which saga events are included in it:
+	 * those with a lower `sagaVersion`, and the event that started the saga
+	 *
+	 * @param {IEvent} snapshotEvent
+	 * @returns {Promise<void>}
+	 */
+	async saveSagaSnapshot(snapshotEvent) {
+		if (!snapshotEvent) throw new TypeError('snapshotEvent argument required');
+		if (snapshotEvent.type !== SNAPSHOT_EVENT_TYPE) throw new TypeError(`snapshotEvent.type must be "${SNAPSHOT_EVENT_TYPE}"`);
+		if (!snapshotEvent.sagaId) throw new TypeError('snapshotEvent.sagaId argument required');
+		if (typeof snapshotEvent.sagaVersion !== 'number') throw new TypeError('snapshotEvent.sagaVersion must be a Number');
+		if (!this.sagaSnapshotsSupported)
+			throw new Error('saga snapshots are not supported by the snapshot storage');
+
+		this._logger.log('debug', `saving saga ${snapshotEvent.sagaId} snapshot, v${snapshotEvent.sagaVersion}...`, { service });
+
+		await this._snapshotStorage.saveSagaSnapshot(snapshotEvent);
+	}
+
 	/**
 	 * Register event types that start sagas.
-	 * Upon such event commit a new sagaId will be assigned
+	 * Upon such event commit a new saga ID will be assigned to event.sagaId
+	 * or, when sagaDescriptor is provided, to event.sagaOrigins[sagaDescriptor],
+	 * so that multiple sagas can be started by the same event type
 	 *
 	 * @param {string[]} eventTypes
+	 * @param {string} [sagaDescriptor] - unique name of the saga type
 	 * @memberof EventStore
 	 */
-	registerSagaStarters(eventTypes = []) {
-		const uniqueEventTypes = eventTypes.filter(e => !this._sagaStarters.includes(e));
-		this._sagaStarters.push(...uniqueEventTypes);
+	registerSagaStarters(eventTypes = [], sagaDescriptor) {
+		if (sagaDescriptor !== undefined && (typeof sagaDescriptor !== 'string' || !sagaDescriptor.length))
+			throw new TypeError('sagaDescriptor argument, when provided, must be a non-empty String');
+
+		for (const eventType of eventTypes) {
+			const sagaDescriptors = this._sagaStarters.get(eventType) || new Set();
+			sagaDescriptors.add(sagaDescriptor);
+			this._sagaStarters.set(eventType, sagaDescriptors);
+		}
+	}
+
+	/**
+	 * Register upcaster converting persisted events of a given type from a given schema version to the next one.
+	 * Upcasters are applied to events retrieved with getAllEvents, getAggregateEvents and getSagaEvents,
+	 * newly committed events of the given type get the current schema version assigned.
+	 *
+	 * @param {string} eventType
+	 * @param {number} fromVersion - schema version of the events to upcast, events without schemaVersion are v0
+	 * @param {TEventUpcaster} upcaster - returns a new event or an Array of events, must not modify the passed in one
+	 * @example
+	 * 	eventStore.registerUpcaster('userCreated', 0, e => ({
+	 * 		...e,
+	 * 		payload: { ...e.payload, email: e.payload.username }
+	 * 	}));
+	 */
+	registerUpcaster(eventType, fromVersion, upcaster) {
+		this._upcasters.register(eventType, fromVersion, upcaster);
+	}
+
+	/**
+	 * Register JSON Schema of a given event type payload.
+	 * Events not matching the schema are rejected on commit with ValidationError
+	 *
+	 * @param {string} eventType
+	 * @param {object|boolean} schema
+	 */
+	registerEventSchema(eventType, schema) {
+		this._eventSchemas.register(eventType, schema);
 	}
 
 	/**
 	 * Validate events, commit to storage and publish to messageBus, if needed
 	 *
 	 * @param {IEventStream} events - a set of events to commit
+	 * @param {object} [options]
+	 * @param {TExpectedAggregateVersions} [options.expectedVersions] - aggregate versions the events were produced upon,
+	 * 	commit is rejected with ConcurrencyError, if any of these aggregate streams was modified since
 	 * @returns {Promise<IEventStream>} - resolves to signed and committed events
 	 */
-	async commit(events) {
+	async commit(events, options) {
 		if (!Array.isArray(events)) throw new TypeError('events argument must be an Array');
 
-		const containsSagaStarters = this._sagaStarters.length && events.some(e => this._sagaStarters.includes(e.type));
+		const containsSagaStarters = this._sagaStarters.size && events.some(e => this._sagaStarters.has(e.type));
 		const augmentedEvents = containsSagaStarters ?
 			await this._attachSagaIdToSagaStarterEvents(events) :
 			events;
 
-		const eventStreamWithoutSnapshots = await this.save(augmentedEvents);
+		const eventStreamWithoutSnapshots = await this.save(signEvents(augmentedEvents, this._upcasters), options);
 
 		// after events are saved to the persistent storage,
 		// publish them to the event bus (i.e. RabbitMq)
@@ -331,7 +590,7 @@ class EventStore {
 	}
 
 	/**
-	 * Generate and attach sagaId to events that start new sagas
+	 * Generate and attach saga IDs to events that start new sagas
 	 *
 	 * @param {IEventStream} events
 	 * @returns {Promise<IEventStream>}
@@ -341,18 +600,31 @@ class EventStore {
 	async _attachSagaIdToSagaStarterEvents(events) {
 		const r = [];
 		for (const event of events) {
-			if (this._sagaStarters.includes(event.type)) {
-				if (event.sagaId)
-					throw new Error(`Event "${event.type}" already contains sagaId. Multiple sagas with same event type are not supported`);
-
-				r.push(Object.assign({
-					sagaId: await this.getNewId(),
-					sagaVersion: 0
-				}, event));
-			}
-			else {
+			const sagaDescriptors = this._sagaStarters.get(event.type);
+			if (!sagaDescriptors) {
 				r.push(event);
+				continue;
 			}
+
+			const augmentedEvent = { ...event };
+			for (const sagaDescriptor of sagaDescriptors) {
+				if (sagaDescriptor === undefined) {
+					if (event.sagaId) {
+						throw new Error(`Event "${event.type}" already contains sagaId. `
+							+ 'Register saga starters with sagaDescriptor to start multiple sagas with the same event type');
+					}
+
+					augmentedEvent.sagaId = await this.getNewId();
+					augmentedEvent.sagaVersion = 0;
+				}
+				else if (!augmentedEvent.sagaOrigins || augmentedEvent.sagaOrigins[sagaDescriptor] === undefined) {
+					augmentedEvent.sagaOrigins = {
+						...augmentedEvent.sagaOrigins,
+						[sagaDescriptor]: await this.getNewId()
+					};
+				}
+			}
+			r.push(augmentedEvent);
 		}
 		return new EventStream(r);
 	}
@@ -361,11 +633,17 @@ class EventStore {
 	 * Save events to the persistent storage(s)
 	 *
 	 * @param {IEventStream} events Event stream that may include snapshot events
+	 * @param {object} [options]
+	 * @param {TExpectedAggregateVersions} [options.expectedVersions] Aggregate versions the events were produced upon
 	 * @returns {Promise<IEventStream>} Event stream without snapshot events
 	 */
-	async save(events) {
+	async save(events, options) {
 		if (!Array.isArray(events)) throw new TypeError('events argument must be an Array');
 
+		const expectedVersions = options && options.expectedVersions;
+		if (expectedVersions !== undefined)
+			validateExpectedVersions(expectedVersions);
+
 		const snapshotEvents = events.filter(e => e.type === SNAPSHOT_EVENT_TYPE);
 		if (snapshotEvents.length > 1)
 			throw new Error(`cannot commit a stream with more than 1 ${SNAPSHOT_EVENT_TYPE} event`);
@@ -377,14 +655,36 @@ class EventStore {
 
 		this._logger.log('debug', `validating ${eventStream}...`, { service });
 		eventStream.forEach(this._validator);
+		eventStream.forEach(event => this._eventSchemas.validate(event));
 
 		this._logger.log('debug', `saving ${eventStream}...`, { service });
-		await Promise.all([
-			this._storage.commitEvents(eventStream),
-			snapshot ?
-				this._snapshotStorage.saveAggregateSnapshot(snapshot) :
-				undefined
-		]);
+
+		const commitOptions = this._config.outbox ?
+			{ expectedVersions, outbox: true } :
+			expectedVersions && { expectedVersions };
+		const commitEvents = () => (commitOptions ?
+			this._storage.commitEvents(eventStream, commitOptions) :
+			this._storage.commitEvents(eventStream));
+
+		let committedEvents;
+		if (expectedVersions) {
+			// snapshot must not be saved, if events get rejected due to a concurrent modification
+			committedEvents = await commitEvents();
+			if (snapshot)
+				await this._snapshotStorage.saveAggregateSnapshot(snapshot);
+		}
+		else {
+			[committedEvents] = await Promise.all([
+				commitEvents(),
+				snapshot ?
+					this._snapshotStorage.saveAggregateSnapshot(snapshot) :
+					undefined
+			]);
+		}
+
+		// storage may resolve to committed events augmented with storage-assigned fields, such as global position
+		if (Array.isArray(committedEvents))
+			return new EventStream(committedEvents);
 
 		return eventStream;
 	}
@@ -395,17 +695,25 @@ class EventStore {
 	 */
 	async publish(eventStream) {
 		const publishEvents = () =>
-			Promise.all(eventStream.map(event => this._publishTo.publish(event)))
+			(this._config.outbox ?
+				this._publishOutboxEvents(eventStream) :
+				Promise.all(eventStream.map(event => this._publishTo.publish(event))))
 				.then(() => {
 					this._logger.log('debug', `${eventStream} published`, { service });
 				}, error => {
-					this._logger.log('error', `${eventStream} publishing failed: ${error.message}`, { service, stack: error.stack });
+					this._logger.log('error', `${eventStream} publishing failed: ${error.message}`
+						+ `${this._config.outbox ? ', left in outbox' : ''}`, { service, stack: error.stack });
 					throw error;
 				});
 
 		if (this.config.publishAsync) {
 			this._logger.log('debug', `publishing ${eventStream} asynchronously...`, { service });
-			setImmediate(publishEvents);
+
+			// events failed to publish stay in the outbox until dispatchOutbox is invoked,
+			// so the error is only logged and does not become an unhandled rejection
+			setImmediate(this._config.outbox ?
+				() => publishEvents().catch(() => { }) :
+				publishEvents);
 		}
 		else {
 			this._logger.log('debug', `publishing ${eventStream} synchronously...`, { service });
@@ -413,6 +721,72 @@ class EventStore {
 		}
 	}
 
+	/**
+	 * Publish events recorded in the storage outbox and mark them as published.
+	 * Events, which publishing fails, are retried according to the outbox retry policy
+	 * and stay in the outbox, if all retries fail
+	 *
+	 * @private
+	 * @param {IEvent[]} events
+	 * @returns {Promise<void>}
+	 */
+	async _publishOutboxEvents(events) {
+		// events already being published by a concurrent dispatch are skipped
+		const claimedEvents = events.filter(e => !this._outboxEventsInFlight.has(e.id));
+		for (const event of claimedEvents)
+			this._outboxEventsInFlight.add(event.id);
+
+		let pendingEvents = claimedEvents;
+
+		try {
+			await retry(async () => {
+				const errors = await Promise.all(pendingEvents.map(event =>
+					Promise.resolve()
+						.then(() => this._publishTo.publish(event))
+						.then(() => undefined, err => err)));
+
+				const publishedEvents = pendingEvents.filter((e, i) => !errors[i]);
+				if (publishedEvents.length)
+					await this._storage.markEventsPublished(publishedEvents.map(e => e.id));
+
+				// only failed events are re-published on retry
+				pendingEvents = pendingEvents.filter((e, i) => errors[i]);
+				if (pendingEvents.length)
+					throw errors.find(err => err);
+			}, this._config.outboxRetryPolicy, {
+				onRetry: (err, retryNumber, retryDelay) => {
+					this._logger.log('warn', `${pendingEvents.length} outbox event(s) publishing failed: ${err.message}, `
+						+ `retry ${retryNumber} of ${this._config.outboxRetryPolicy.retries} in ${retryDelay}ms...`, { service });
+				}
+			});
+		}
+		finally {
+			for (const event of claimedEvents)
+				this._outboxEventsInFlight.delete(event.id);
+		}
+	}
+
+	/**
+	 * Publish events left unpublished in the storage outbox, i.e. by a process that stopped between commit and publish.
+	 * Should be invoked on application startup, after all event subscribers are set up
+	 *
+	 * @returns {Promise<number>} - number of events found in the outbox
+	 */
+	async dispatchOutbox() {
+		if (!this._config.outbox)
+			throw new Error('outbox is not enabled in eventStoreConfig');
+
+		const unpublishedEvents = await this._storage.getUnpublishedEvents();
+		if (!unpublishedEvents.length)
+			return 0;
+
+		this._logger.log('info', `publishing ${unpublishedEvents.length} event(s) from outbox...`, { service });
+		await this._publishOutboxEvents(unpublishedEvents);
+		this._logger.log('info', `${unpublishedEvents.length} outbox event(s) published`, { service });
+
+		return unpublishedEvents.length;
+	}
+
 	/**
 	 * Setup a listener for a specific event type
 	 *
@@ -427,16 +801,35 @@ class EventStore {
 		this._eventEmitter.on(messageType, handler);
 	}
 
+	/**
+	 * Remove subscription set up with `on`
+	 *
+	 * @param {string} messageType
+	 * @param {function(IEvent): any} handler
+	 */
+	off(messageType, handler) {
+		if (typeof messageType !== 'string' || !messageType.length) throw new TypeError('messageType argument must be a non-empty String');
+		if (typeof handler !== 'function') throw new TypeError('handler argument must be a Function');
+		if (typeof this._eventEmitter.off !== 'function')
+			throw new Error('Unsubscribing is not supported by the underlying message bus');
+
+		this._eventEmitter.off(messageType, handler);
+	}
+
 	/**
 	 * Get or create a named queue, which delivers events to a single handler only
 	 *
 	 * @param {string} name
+	 * @param {object} [options] - queue delivery options supported by the message bus,
+	 * 	i.e. `concurrency` and `orderingKey` of InMemoryMessageBus
 	 */
-	queue(name) {
+	queue(name, options) {
 		if (typeof this._eventEmitter.queue !== 'function')
 			throw new Error('Named queues are not supported by the underlying message bus');
 
-		return this._eventEmitter.queue(name);
+		return options ?
+			this._eventEmitter.queue(name, options) :
+			this._eventEmitter.queue(name);
 	}
 
 	/**
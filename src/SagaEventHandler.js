@@ -2,8 +2,107 @@
 'use strict';
 
 const subscribe = require('./subscribe');
-const { isClass, getClassName } = require('./utils');
+const EventStream = require('./EventStream');
+const InMemorySagaCorrelationIndex = require('./infrastructure/InMemorySagaCorrelationIndex');
+const InMemorySagaRegistry = require('./infrastructure/InMemorySagaRegistry');
+const sagaStatusEventTypes = require('./utils/sagaStatusEventTypes');
+const { isClass, getClassName, generateUuid } = require('./utils');
 const nullLogger = require('./utils/nullLogger');
+const { validateRetryPolicy, getRetryDelay, wait } = require('./utils/retry');
+
+const SNAPSHOT_EVENT_TYPE = 'snapshot';
+
+/** Type of events recording events correlated by business key in the saga event stream */
+const CORRELATED_EVENT_TYPE = 'sagaEventCorrelated';
+
+/** Type of events recording commands sent by saga, which can be compensated */
+const STEP_COMPLETED_EVENT_TYPE = 'sagaStepCompleted';
+
+/** @type {TSagaErrorDecision[]} */
+const ERROR_DECISIONS = ['retry', 'skip', 'rethrow'];
+
+/** @type {TRetryPolicy} */
+const DEFAULT_COMMAND_RETRY_POLICY = { retries: 3, delay: 100 };
+
+/**
+ * Get saga status recorded by the event
+ *
+ * @param {IEvent} event
+ * @returns {TSagaStatus} - undefined, if event does not record saga status change
+ */
+const getRecordedStatus = event => Object.keys(sagaStatusEventTypes)
+	.find(status => sagaStatusEventTypes[status] === event.type);
+
+/**
+ * Get commands sent by saga, which can be compensated, from saga snapshot and step completion events
+ *
+ * @param {IEvent[]} events
+ * @returns {ICommand[]}
+ */
+const getCompletedSteps = events => [].concat(...events.map(e => {
+	if (e.type === SNAPSHOT_EVENT_TYPE)
+		return e.completedSteps || [];
+	if (e.type === STEP_COMPLETED_EVENT_TYPE)
+		return [e.payload.command];
+	return [];
+}));
+
+/**
+ * Attach context and business flow identifiers of the event to a command produced upon it.
+ * Command id is assigned before sending, so that retried attempts and the recorded saga step share it
+ *
+ * @param {ICommand} command
+ * @param {IEvent} event
+ * @param {string} sagaDescriptor
+ */
+function attachEventMetadata(command, event, sagaDescriptor) {
+	if (command.id === undefined)
+		command.id = generateUuid();
+
+	// attach event context to produced command
+	if (command.context === undefined && event.context !== undefined)
+		command.context = event.context;
+
+	// keep produced command in the same business flow as the event
+	if (command.correlationId === undefined && event.correlationId !== undefined)
+		command.correlationId = event.correlationId;
+	if (command.causationId === undefined && event.id !== undefined)
+		command.causationId = event.id;
+
+	// let events produced by the command be routed to this saga type only
+	if (command.sagaDescriptor === undefined && sagaDescriptor !== undefined)
+		command.sagaDescriptor = sagaDescriptor;
+}
+
+/**
+ * Ensure saga compensations are defined as functions
+ *
+ * @param {TSagaCompensations} compensations
+ */
+function validateCompensations(compensations) {
+	if (typeof compensations !== 'object' || !compensations)
+		throw new TypeError('compensations argument must be an Object');
+	if (Object.values(compensations).some(getCommand => typeof getCommand !== 'function'))
+		throw new TypeError('compensations argument must contain Functions only');
+}
+
+/**
+ * Ensure saga correlations are defined for all saga starter events
+ *
+ * @param {TSagaCorrelations} correlations
+ * @param {string[]} startsWith
+ * @param {string} sagaDescriptor
+ */
+function validateCorrelations(correlations, startsWith, sagaDescriptor) {
+	if (typeof correlations !== 'object' || !correlations)
+		throw new TypeError('correlations argument must be an Object');
+	if (Object.values(correlations).some(getKey => typeof getKey !== 'function'))
+		throw new TypeError('correlations argument must contain Functions only');
+	if (startsWith.some(eventType => typeof correlations[eventType] !== 'function'))
+		throw new TypeError('correlations argument must contain getters for all saga starter events');
+	if (sagaDescriptor === undefined)
+		throw new TypeError('sagaDescriptor argument required, when saga correlations are defined');
+}
 
 /**
  * Listens to Saga events,
@@ -25,8 +124,29 @@ class SagaEventHandler {
 	 * @param {ICommandBus} options.commandBus
 	 * @param {ILogger} [options.logger]
 	 * @param {string} [options.queueName]
+	 * @param {string} [options.sagaDescriptor] - unique saga type name, allows to start multiple sagas
+	 * 	with the same event type; defaults to the saga `sagaDescriptor` static getter or the saga class name,
+	 * 	which changes, when code gets minified
 	 * @param {string[]} [options.startsWith]
 	 * @param {string[]} [options.handles]
+	 * @param {TSagaCorrelations} [options.correlations] - business key getters of handled events,
+	 * 	allow to handle events without sagaId
+	 * @param {ISagaCorrelationIndex} [options.sagaCorrelationIndex] - index of sagas by business keys,
+	 * 	in-memory one is used by default
+	 * @param {ISagaScheduler} [options.sagaScheduler] - scheduler of saga timeouts, required for sagas using timeouts
+	 * @param {ISagaRegistry} [options.sagaRegistry] - registry of sagas and their statuses,
+	 * 	in-memory one is used by default
+	 * @param {TSagaLateEventHandler} [options.onLateEvent] - handles events received by finished sagas,
+	 * 	such events are logged and skipped by default
+	 * @param {TSagaCompensations} [options.compensations] - compensating command getters, keyed by command type,
+	 * 	commands sent by saga are compensated in reverse order, when a subsequent command fails
+	 * @param {TSnapshotPolicy} [options.snapshotPolicy] - defines when saga state snapshots are taken,
+	 * 	replaces the saga `snapshotPolicy` static getter
+	 * @param {number} [options.snapshotSchemaVersion] - version of the saga state snapshot structure,
+	 * 	replaces the saga `snapshotSchemaVersion` static getter
+	 * @param {TRetryPolicy} [options.commandRetryPolicy] - defines how failed commands are retried,
+	 * 	when saga onError method decides to retry, 3 retries starting with 100ms delay by default
+	 * @param {TSagaErrorDecisionHook} [options.onErrorDecision] - receives decisions made upon failed saga commands
 	 */
 	constructor(options) {
 		if (!options) throw new TypeError('options argument required');
@@ -38,6 +158,22 @@ class SagaEventHandler {
 		this._commandBus = options.commandBus;
 		this._queueName = options.queueName;
 		this._logger = options.logger || nullLogger;
+		this._sagaDescriptor = options.sagaDescriptor;
+		this._scheduler = options.sagaScheduler;
+		this._sagaRegistry = options.sagaRegistry || new InMemorySagaRegistry();
+
+		if (options.onLateEvent !== undefined && typeof options.onLateEvent !== 'function')
+			throw new TypeError('options.onLateEvent argument, when provided, must be a Function');
+
+		this._onLateEvent = options.onLateEvent;
+
+		if (options.commandRetryPolicy)
+			validateRetryPolicy(options.commandRetryPolicy);
+		if (options.onErrorDecision !== undefined && typeof options.onErrorDecision !== 'function')
+			throw new TypeError('options.onErrorDecision argument, when provided, must be a Function');
+
+		this._commandRetryPolicy = options.commandRetryPolicy || DEFAULT_COMMAND_RETRY_POLICY;
+		this._onErrorDecision = options.onErrorDecision;
 
 		if (isClass(options.sagaType)) {
 			/** @type {ISagaConstructor} */
@@ -47,6 +183,12 @@ class SagaEventHandler {
 			this._sagaFactory = params => new SagaType(params);
 			this._startsWith = SagaType.startsWith;
 			this._handles = SagaType.handles;
+			this._correlations = SagaType.correlations;
+			this._compensations = SagaType.compensations;
+			this._snapshotPolicy = SagaType.snapshotPolicy;
+			this._snapshotSchemaVersion = SagaType.snapshotSchemaVersion;
+			if (this._sagaDescriptor === undefined)
+				this._sagaDescriptor = SagaType.sagaDescriptor || SagaType.name;
 		}
 		else {
 			if (!Array.isArray(options.startsWith)) throw new TypeError('options.startsWith argument must be an Array');
@@ -55,22 +197,69 @@ class SagaEventHandler {
 			this._sagaFactory = options.sagaType;
 			this._startsWith = options.startsWith;
 			this._handles = options.handles;
+			this._correlations = options.correlations;
+			this._compensations = options.compensations;
 		}
 
-		this._eventStore.registerSagaStarters(options.startsWith);
+		if (options.snapshotPolicy !== undefined)
+			this._snapshotPolicy = options.snapshotPolicy;
+		if (options.snapshotSchemaVersion !== undefined)
+			this._snapshotSchemaVersion = options.snapshotSchemaVersion;
+		if (this._snapshotPolicy !== undefined && typeof this._snapshotPolicy !== 'function')
+			throw new TypeError('snapshotPolicy argument, when provided, must be a Function');
+
+		if (this._compensations)
+			validateCompensations(this._compensations);
+
+		if (this._correlations) {
+			validateCorrelations(this._correlations, this._startsWith, this._sagaDescriptor);
+			this._correlationIndex = options.sagaCorrelationIndex || new InMemorySagaCorrelationIndex();
+		}
+
+		this._eventStore.registerSagaStarters(this._startsWith, this._sagaDescriptor);
 	}
 
 	/**
 	 * Overrides observer subscribe method
 	 */
 	subscribe(eventStore) {
-		subscribe(eventStore, this, {
+		this._subscription = subscribe(eventStore, this, {
 			messageTypes: [...this._startsWith, ...this._handles],
 			masterHandler: e => this.handle(e),
 			queueName: this._queueName
 		});
 	}
 
+	/**
+	 * Unsubscribe from the event store, so that saga events are no longer handled
+	 */
+	dispose() {
+		if (!this._subscription)
+			return;
+
+		this._subscription.unsubscribe();
+		this._subscription = undefined;
+	}
+
+	/**
+	 * Get IDs of sagas of the handled type, which are not finished (completed, failed or compensated).
+	 * Sagas started before, i.e. prior to app restart, are put to the saga registry once, upon the first call
+	 *
+	 * @returns {Promise<Identifier[]>}
+	 */
+	async getActiveSagaIds() {
+		if (!this._sagaRegistryRestoring) {
+			this._sagaRegistryRestoring = this._restoreSagaRegistry().catch(err => {
+				this._sagaRegistryRestoring = undefined;
+				throw err;
+			});
+		}
+
+		await this._sagaRegistryRestoring;
+
+		return this._sagaRegistry.getActiveSagaIds(this._sagaDescriptor);
+	}
+
 	/**
 	 * Handle saga event
 	 *
@@ -80,14 +269,50 @@ class SagaEventHandler {
 	async handle(event) {
 		if (!event) throw new TypeError('event argument required');
 		if (!event.type) throw new TypeError('event.type argument required');
-		if (!event.sagaId) throw new TypeError('event.sagaId argument required');
 
-		const saga = await this._restoreSaga(event);
+		const startedSagaId = this._sagaDescriptor !== undefined && event.sagaOrigins ?
+			event.sagaOrigins[this._sagaDescriptor] :
+			undefined;
+
+		const sagaId = startedSagaId !== undefined ?
+			startedSagaId :
+			await this._findSagaId(event);
+
+		if (sagaId === undefined) {
+			this._logger.log('debug', `"${event.type}" event does not relate to any ${this._sagaDescriptor} saga, skipped`, {
+				service: this._sagaDescriptor
+			});
+			return;
+		}
+
+		if (startedSagaId === undefined) {
+			const status = await this._getSagaStatus(sagaId);
+			if (status !== 'active') {
+				await this._handleLateEvent(event, sagaId, status);
+				return;
+			}
+		}
 
+		const saga = startedSagaId !== undefined ?
+			await this._startSaga(sagaId, event) :
+			await this._restoreSaga(sagaId, event);
+
+		// saga status change may not be in the registry yet, i.e. when a custom registry is updated asynchronously
+		if (saga.status !== undefined && saga.status !== 'active') {
+			await this._handleLateEvent(event, sagaId, saga.status);
+			return;
+		}
+
+		const sagaVersion = saga.version;
 		const r = saga.apply(event);
 		if (r instanceof Promise)
 			await r;
 
+		if (startedSagaId === undefined && this._correlations && !this._isOwnSagaEvent(event))
+			await this._recordCorrelatedEvent(saga.id, sagaVersion, event);
+
+		await this._passTimeoutsToScheduler(saga, event);
+
 		while (saga.uncommittedMessages.length) {
 
 			const commands = saga.uncommittedMessages;
@@ -98,44 +323,663 @@ class SagaEventHandler {
 
 			for (const command of commands) {
 
-				// attach event context to produced command
-				if (command.context === undefined && event.context !== undefined)
-					command.context = event.context;
+				attachEventMetadata(command, event, this._sagaDescriptor);
 
+				let sent;
 				try {
-					await this._commandBus.sendRaw(command);
+					sent = await this._sendCommand(saga, event, command);
 				}
 				catch (err) {
-					if (typeof saga.onError === 'function') {
-						// let saga to handle the error
-						saga.onError(err, { event, command });
-					}
-					else {
+					if (!this._compensations)
 						throw err;
-					}
+
+					// remaining commands are not sent, steps completed before get compensated instead
+					await this._compensate(saga, event, command, err);
+					return;
 				}
+
+				if (sent && this._compensations && this._compensations[command.type])
+					await this._recordCompletedStep(saga, command);
+			}
+		}
+
+		if (saga.status !== undefined && saga.status !== 'active')
+			await this._finishSaga(saga, event);
+	}
+
+	/**
+	 * Send saga command, letting saga onError method decide how to proceed, if the command fails.
+	 * Commands enqueued by onError are sent after the current batch
+	 *
+	 * @param {ISaga} saga
+	 * @param {IEvent} event Event that triggered saga execution
+	 * @param {ICommand} command
+	 * @returns {Promise<boolean>} - false, if the failed command was skipped
+	 * @private
+	 */
+	async _sendCommand(saga, event, command) {
+		for (let attempt = 1; ; attempt++) {
+			try {
+				await this._commandBus.sendRaw(command);
+				return true;
+			}
+			catch (err) {
+				const decision = await this._decideOnError(saga, event, command, err, attempt);
+				if (decision === 'skip')
+					return false;
+				if (decision === 'rethrow')
+					throw err;
+
+				await wait(getRetryDelay(this._commandRetryPolicy, attempt));
 			}
 		}
 	}
 
+	/**
+	 * Get saga decision on a failed command, log it and pass it to the onErrorDecision hook.
+	 * Sagas without onError method rethrow errors, onError resolving to undefined skips the command,
+	 * retry decision turns into rethrow, once the command retry policy is exhausted
+	 *
+	 * @param {ISaga} saga
+	 * @param {IEvent} event Event that triggered saga execution
+	 * @param {ICommand} command
+	 * @param {Error} error
+	 * @param {number} attempt Number of the failed attempt, starting from 1
+	 * @returns {Promise<TSagaErrorDecision>}
+	 * @private
+	 */
+	async _decideOnError(saga, event, command, error, attempt) {
+		let decision = 'rethrow';
+		if (typeof saga.onError === 'function') {
+			// let saga to handle the error
+			decision = (await saga.onError(error, { event, command, attempt })) || 'skip';
+			if (!ERROR_DECISIONS.includes(decision))
+				throw new TypeError(`saga.onError must resolve to either ${ERROR_DECISIONS.join(', ')} or undefined`);
+		}
+
+		const service = getClassName(saga);
+		const retriesExhausted = decision === 'retry' && attempt > this._commandRetryPolicy.retries;
+		if (retriesExhausted)
+			decision = 'rethrow';
+
+		if (decision === 'retry') {
+			this._logger.log('warn', `"${command.type}" command failed: ${error.message}, `
+				+ `retry ${attempt} of ${this._commandRetryPolicy.retries}...`, { service });
+		}
+		else if (decision === 'skip') {
+			this._logger.log('warn', `"${command.type}" command failed: ${error.message}, skipped`, { service });
+		}
+		else {
+			this._logger.log('error', `"${command.type}" command failed: ${error.message}`
+				+ `${retriesExhausted ? ', retries exhausted' : ''}`, { service, stack: error.stack });
+		}
+
+		if (this._onErrorDecision) {
+			await this._onErrorDecision({
+				sagaId: saga.id,
+				event,
+				command,
+				error,
+				attempt,
+				decision
+			});
+		}
+
+		return decision;
+	}
+
+	/**
+	 * Record saga status change in the event store and the saga registry, cancel saga timeouts
+	 *
+	 * @param {ISaga} saga
+	 * @param {IEvent} event Event that triggered saga execution
+	 * @param {TSagaStatus} [status] Defaults to the saga status
+	 * @param {string} [reason] Defaults to the saga failure reason
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	async _finishSaga(saga, event, status = saga.status, reason = saga.failureReason) {
+		/** @type {IEvent} */
+		const statusEvent = {
+			type: sagaStatusEventTypes[status],
+			sagaId: saga.id,
+			sagaVersion: saga.version
+		};
+		if (this._sagaDescriptor !== undefined)
+			statusEvent.sagaDescriptor = this._sagaDescriptor;
+		if (reason !== undefined)
+			statusEvent.payload = { reason };
+		if (event.correlationId !== undefined)
+			statusEvent.correlationId = event.correlationId;
+		if (event.id !== undefined)
+			statusEvent.causationId = event.id;
+
+		await this._eventStore.commit([statusEvent]);
+		await this._sagaRegistry.setStatus(this._sagaDescriptor, saga.id, status);
+
+		if (this._scheduler)
+			await this._scheduler.cancel(saga.id);
+
+		this._logger.log('info', `Saga ${status}`, { service: getClassName(saga) });
+	}
+
+	/**
+	 * Record command sent by saga in the saga event stream, so that it can be compensated after app restart
+	 *
+	 * @param {ISaga} saga
+	 * @param {ICommand} command
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	async _recordCompletedStep(saga, command) {
+		/** @type {IEvent} */
+		const stepEvent = {
+			type: STEP_COMPLETED_EVENT_TYPE,
+			sagaId: saga.id,
+			sagaVersion: command.sagaVersion !== undefined ? command.sagaVersion : saga.version,
+			payload: { command }
+		};
+		if (this._sagaDescriptor !== undefined)
+			stepEvent.sagaDescriptor = this._sagaDescriptor;
+		if (command.correlationId !== undefined)
+			stepEvent.correlationId = command.correlationId;
+		if (command.id !== undefined)
+			stepEvent.causationId = command.id;
+
+		await this._eventStore.commit([stepEvent]);
+	}
+
+	/**
+	 * Get commands sent by saga, which can be compensated, in the order they were sent.
+	 * Steps completed before the saga snapshot was taken are kept in the snapshot
+	 *
+	 * @param {Identifier} sagaId
+	 * @returns {Promise<ICommand[]>}
+	 * @private
+	 */
+	async _getCompletedSteps(sagaId) {
+		const sagaEvents = await this._eventStore.getSagaEvents(sagaId, {
+			beforeEvent: { sagaVersion: Number.MAX_SAFE_INTEGER },
+			snapshotSchemaVersion: this._snapshotSchemaVersion
+		});
+
+		// snapshot of saga with correlations is followed by all saga events, earlier ones are included in it
+		const snapshot = sagaEvents.length && sagaEvents[0].type === SNAPSHOT_EVENT_TYPE ? sagaEvents[0] : undefined;
+		const snapshotPosition = snapshot ? snapshot.position : undefined;
+
+		return getCompletedSteps(sagaEvents.filter(e =>
+			snapshotPosition === undefined
+			|| e.type === SNAPSHOT_EVENT_TYPE
+			|| e.position >= snapshotPosition));
+	}
+
+	/**
+	 * Send commands compensating steps completed by saga, in reverse order,
+	 * and record saga as compensated, or as failed, if any of the compensations fails
+	 *
+	 * @param {ISaga} saga
+	 * @param {IEvent} event Event that triggered saga execution
+	 * @param {ICommand} failedCommand
+	 * @param {Error} error
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	async _compensate(saga, event, failedCommand, error) {
+		const completedSteps = await this._getCompletedSteps(saga.id);
+		const service = getClassName(saga);
+
+		this._logger.log('warn', `"${failedCommand.type}" command failed: ${error.message}, `
+			+ `compensating ${completedSteps.length} completed step(s)`, { service });
+
+		const failedCompensations = [];
+		for (const step of completedSteps.reverse()) {
+			const compensation = this._compensations[step.type](step);
+			if (!compensation)
+				continue;
+
+			/** @type {ICommand} */
+			const command = {
+				sagaId: saga.id,
+				sagaVersion: saga.version,
+				...compensation
+			};
+			attachEventMetadata(command, event, this._sagaDescriptor);
+
+			try {
+				await this._commandBus.sendRaw(command);
+			}
+			catch (err) {
+				failedCompensations.push(command.type);
+				this._logger.log('error', `"${command.type}" compensation of "${step.type}" failed: ${err.message}`, {
+					service,
+					stack: err.stack
+				});
+			}
+		}
+
+		if (failedCompensations.length)
+			await this._finishSaga(saga, event, 'failed', `${failedCompensations.join(', ')} compensation(s) failed`);
+		else
+			await this._finishSaga(saga, event, 'compensated', error.message);
+	}
+
+	/**
+	 * Get saga status from the saga registry or, when saga is not registered, from the saga event stream.
+	 * Active sagas missing in the registry, i.e. started before app restart, get registered
+	 *
+	 * @param {Identifier} sagaId
+	 * @returns {Promise<TSagaStatus>}
+	 * @private
+	 */
+	async _getSagaStatus(sagaId) {
+		const registeredStatus = await this._sagaRegistry.getStatus(this._sagaDescriptor, sagaId);
+		if (registeredStatus !== undefined)
+			return registeredStatus;
+
+		// finished sagas are not kept in the in-memory registry, so status events are looked up regardless of sagaVersion
+		const sagaEvents = await this._eventStore.getSagaEvents(sagaId, {
+			beforeEvent: { sagaVersion: Number.MAX_SAFE_INTEGER }
+		});
+		const recordedStatus = sagaEvents.map(getRecordedStatus).find(status => status !== undefined);
+		if (recordedStatus)
+			return recordedStatus;
+
+		await this._sagaRegistry.setStatus(this._sagaDescriptor, sagaId, 'active');
+		return 'active';
+	}
+
+	/**
+	 * Pass event received by finished saga to the onLateEvent handler, if configured
+	 *
+	 * @param {IEvent} event
+	 * @param {Identifier} sagaId
+	 * @param {TSagaStatus} status
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	async _handleLateEvent(event, sagaId, status) {
+		if (this._onLateEvent) {
+			await this._onLateEvent(event, { sagaId, status });
+			return;
+		}
+
+		this._logger.log('info', `"${event.type}" event received by ${status} saga ${sagaId}, skipped`, {
+			service: this._sagaDescriptor
+		});
+	}
+
+	/**
+	 * Pass timeouts scheduled or cancelled by saga to the scheduler
+	 *
+	 * @param {ISaga} saga
+	 * @param {IEvent} event Event that triggered saga execution
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	async _passTimeoutsToScheduler(saga, event) {
+		const timeouts = saga.uncommittedTimeouts;
+		if (!timeouts || !timeouts.length)
+			return;
+		if (!this._scheduler)
+			throw new Error('sagaScheduler is required to schedule saga timeouts');
+
+		saga.resetUncommittedTimeouts();
+
+		const sagaId = saga.id;
+		for (const { type, delay, payload, sagaVersion, cancel } of timeouts) {
+			if (cancel) {
+				await this._scheduler.cancel(sagaId, type);
+				continue;
+			}
+
+			/** @type {IEvent} */
+			// timeout is applied to the latest saga state, rather than the one it was scheduled at
+			const timeoutEvent = { type, sagaId, sagaVersion, sagaTimeout: true, payload };
+			if (this._sagaDescriptor !== undefined)
+				timeoutEvent.sagaDescriptor = this._sagaDescriptor;
+			if (event.context !== undefined)
+				timeoutEvent.context = event.context;
+			if (event.correlationId !== undefined)
+				timeoutEvent.correlationId = event.correlationId;
+			if (event.id !== undefined)
+				timeoutEvent.causationId = event.id;
+
+			await this._scheduler.schedule({ event: timeoutEvent, delay });
+		}
+	}
+
+	/**
+	 * Check whether event carries ID of a saga of the handled type
+	 *
+	 * @param {IEvent} event
+	 * @returns {boolean}
+	 * @private
+	 */
+	_isOwnSagaEvent(event) {
+		return !!event.sagaId
+			&& (event.sagaDescriptor === undefined || event.sagaDescriptor === this._sagaDescriptor);
+	}
+
+	/**
+	 * Find ID of an existing saga the event belongs to
+	 *
+	 * @param {IEvent} event
+	 * @returns {Promise<Identifier>} - undefined, if the event does not relate to any saga of this type
+	 * @private
+	 */
+	async _findSagaId(event) {
+		if (this._isOwnSagaEvent(event))
+			return event.sagaId;
+
+		// events without sagaId or produced by commands of other saga types can relate to a saga by business key
+		if (this._correlations && this._correlations[event.type])
+			return this._findCorrelatedSagaId(event);
+
+		if (!event.sagaId)
+			throw new TypeError('event.sagaId argument required');
+
+		return undefined;
+	}
+
+	/**
+	 * Find ID of the saga correlated with the event business key.
+	 * Correlation index gets restored from the event store once, when the key is not found in it
+	 *
+	 * @param {IEvent} event
+	 * @returns {Promise<Identifier>} - undefined, if the event has no business key or the key is not correlated
+	 * @private
+	 */
+	async _findCorrelatedSagaId(event) {
+		const key = this._correlations[event.type](event);
+		if (key === undefined)
+			return undefined;
+
+		let sagaId = await this._correlationIndex.get(this._sagaDescriptor, key);
+		if (sagaId === undefined && !this._correlationIndexRestored) {
+			if (!this._correlationIndexRestoring) {
+				this._correlationIndexRestoring = this._restoreCorrelationIndex().then(() => {
+					this._correlationIndexRestored = true;
+				}, err => {
+					this._correlationIndexRestoring = undefined;
+					throw err;
+				});
+			}
+
+			await this._correlationIndexRestoring;
+			sagaId = await this._correlationIndex.get(this._sagaDescriptor, key);
+		}
+
+		return sagaId;
+	}
+
+	/**
+	 * Put business keys of sagas started before, i.e. prior to app restart, to the correlation index
+	 *
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	async _restoreCorrelationIndex() {
+		this._logger.log('info', 'Restoring saga correlation index...', { service: this._sagaDescriptor });
+
+		let restoredCount = 0;
+		for await (const e of this._eventStore.getAllEvents(this._startsWith)) {
+			const sagaId = e.sagaOrigins ? e.sagaOrigins[this._sagaDescriptor] : undefined;
+			const key = sagaId !== undefined ? this._correlations[e.type](e) : undefined;
+			if (key === undefined)
+				continue;
+
+			await this._correlationIndex.set(this._sagaDescriptor, key, sagaId);
+			restoredCount += 1;
+		}
+
+		this._logger.log('info', `Saga correlation index restored, ${restoredCount} key(s) found`, {
+			service: this._sagaDescriptor
+		});
+	}
+
+	/**
+	 * Register sagas started before, i.e. prior to app restart, and not finished since then in the saga registry
+	 *
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	async _restoreSagaRegistry() {
+		this._logger.log('info', 'Restoring saga registry...', { service: this._sagaDescriptor });
+
+		const sagaIds = new Map();
+		for await (const e of this._eventStore.getAllEvents(this._startsWith)) {
+			const sagaId = this._sagaDescriptor !== undefined ?
+				e.sagaOrigins && e.sagaOrigins[this._sagaDescriptor] :
+				e.sagaId;
+			if (sagaId !== undefined)
+				sagaIds.set(String(sagaId), sagaId);
+		}
+
+		for await (const e of this._eventStore.getAllEvents(Object.values(sagaStatusEventTypes))) {
+			if (e.sagaDescriptor === this._sagaDescriptor)
+				sagaIds.delete(String(e.sagaId));
+		}
+
+		for (const sagaId of sagaIds.values())
+			await this._sagaRegistry.setStatus(this._sagaDescriptor, sagaId, 'active');
+
+		this._logger.log('info', `Saga registry restored, ${sagaIds.size} active saga(s) found`, {
+			service: this._sagaDescriptor
+		});
+	}
+
+	/**
+	 * Record event correlated by business key in the saga event stream,
+	 * so that saga can be restored from its own stream
+	 *
+	 * @param {Identifier} sagaId
+	 * @param {number} sagaVersion Saga version the event has been applied to
+	 * @param {IEvent} event
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	async _recordCorrelatedEvent(sagaId, sagaVersion, event) {
+		/** @type {IEvent} */
+		const recordEvent = {
+			type: CORRELATED_EVENT_TYPE,
+			sagaId,
+			sagaVersion,
+			sagaDescriptor: this._sagaDescriptor,
+			payload: event
+		};
+		if (event.correlationId !== undefined)
+			recordEvent.correlationId = event.correlationId;
+		if (event.id !== undefined)
+			recordEvent.causationId = event.id;
+
+		await this._eventStore.commit([recordEvent]);
+	}
+
+	/**
+	 * Create a new saga instance, started by the event
+	 *
+	 * @param {Identifier} sagaId ID assigned to the saga in event.sagaOrigins
+	 * @param {IEvent} event
+	 * @returns {Promise<ISaga>}
+	 * @private
+	 */
+	async _startSaga(sagaId, event) {
+		if (this._correlations) {
+			const key = this._correlations[event.type](event);
+			if (key !== undefined)
+				await this._correlationIndex.set(this._sagaDescriptor, key, sagaId);
+		}
+
+		await this._sagaRegistry.setStatus(this._sagaDescriptor, sagaId, 'active');
+
+		/** @type {ISaga} */
+		const saga = this._sagaFactory.call(null, { id: sagaId });
+		this._logger.log('info', 'Saga started', { service: getClassName(saga) });
+
+		return saga;
+	}
+
+	/**
+	 * Restore saga, which handles events correlated by business key, from its own event stream,
+	 * where correlated events are recorded upon handling.
+	 * Snapshots of such sagas cover saga events committed before the snapshot position,
+	 * they are saved with zero sagaVersion, so that all saga events are retrieved along with them
+	 *
+	 * @param {Identifier} sagaId
+	 * @param {IEvent} event Event that triggered saga execution
+	 * @returns {Promise<ISaga>}
+	 * @private
+	 */
+	async _restoreCorrelatedSaga(sagaId, event) {
+		// correlated events do not carry sagaVersion, so saga history is cut at the event global position, when known
+		const sagaEvents = await this._eventStore.getSagaEvents(sagaId, {
+			beforeEvent: { ...event, sagaVersion: Number.MAX_SAFE_INTEGER },
+			snapshotSchemaVersion: this._snapshotSchemaVersion
+		});
+		const isOwnEvent = this._isOwnSagaEvent(event) && !event.sagaTimeout;
+		const isEarlierEvent = e => {
+			if (event.position !== undefined && e.position !== undefined)
+				return e.position < event.position;
+
+			// without positions, own events are cut by sagaVersion, while the saga origin and correlated events are kept
+			return !isOwnEvent
+				|| e.type === CORRELATED_EVENT_TYPE
+				|| e.sagaVersion === undefined
+				|| e.sagaVersion < event.sagaVersion;
+		};
+
+		// snapshot cannot be used for events without position or events preceding it, i.e. redelivered ones
+		let snapshot = sagaEvents.length && sagaEvents[0].type === SNAPSHOT_EVENT_TYPE ? sagaEvents[0] : undefined;
+		if (snapshot && !(snapshot.position <= event.position))
+			snapshot = undefined;
+
+		const restoredEvents = sagaEvents.filter(e =>
+			e.type !== SNAPSHOT_EVENT_TYPE
+			&& (!snapshot || e.position >= snapshot.position)
+			&& isEarlierEvent(e));
+
+		const events = new EventStream([
+			...(snapshot ? [snapshot] : []),
+			...restoredEvents
+				.filter(e => e.type !== STEP_COMPLETED_EVENT_TYPE)
+				.map(e => (e.type === CORRELATED_EVENT_TYPE ? e.payload : e))
+		]);
+
+		/** @type {ISaga} */
+		const saga = this._sagaFactory.call(null, { id: sagaId, events });
+		this._logger.log('info', `Saga state restored from ${events}`, { service: getClassName(saga) });
+
+		// snapshot boundary is defined by the event position, so events without it do not trigger snapshots
+		if (this._snapshotPolicy && event.position !== undefined) {
+			await this._takeSnapshotIfRequired(saga, events, {
+				sagaVersion: 0,
+				position: event.position,
+				completedSteps: this._compensations ?
+					getCompletedSteps(snapshot ? [snapshot, ...restoredEvents] : restoredEvents) :
+					undefined
+			});
+		}
+
+		return saga;
+	}
+
 	/**
 	 * Restore saga from event store
 	 *
+	 * @param {Identifier} sagaId
 	 * @param {IEvent} event Event that triggered saga execution
 	 * @returns {Promise<ISaga>}
 	 * @private
 	 */
-	async _restoreSaga(event) {
-		if (!event.sagaId) throw new TypeError('event.sagaId argument required');
+	async _restoreSaga(sagaId, event) {
+		if (this._correlations)
+			return this._restoreCorrelatedSaga(sagaId, event);
+
+		// timeout carries sagaVersion it was scheduled at, so it is applied to all saga events committed before it instead
+		let events = await this._eventStore.getSagaEvents(sagaId, {
+			beforeEvent: event.sagaTimeout ? { ...event, sagaVersion: Number.MAX_SAFE_INTEGER } : event,
+			snapshotSchemaVersion: this._snapshotSchemaVersion
+		});
+		if (event.sagaTimeout && event.position !== undefined)
+			events = new EventStream(events.filter(e => e.position === undefined || e.position < event.position));
 
-		const events = await this._eventStore.getSagaEvents(event.sagaId, { beforeEvent: event });
+		// completed steps are only read upon compensation, or kept in the snapshot
+		const completedSteps = this._compensations ? getCompletedSteps(events) : undefined;
+		if (this._compensations)
+			events = new EventStream(events.filter(e => e.type !== STEP_COMPLETED_EVENT_TYPE));
 
 		/** @type {ISaga} */
-		const saga = this._sagaFactory.call(null, { id: event.sagaId, events });
+		const saga = this._sagaFactory.call(null, { id: sagaId, events });
 		this._logger.log('info', `Saga state restored from ${events}`, { service: getClassName(saga) });
 
+		// snapshot boundary is defined by the event sagaVersion, which does not apply to timeouts
+		if (this._snapshotPolicy && !event.sagaTimeout)
+			await this._takeSnapshotIfRequired(saga, events, { sagaVersion: event.sagaVersion, completedSteps });
+
 		return saga;
 	}
+
+	/**
+	 * Save restored saga state snapshot, if snapshot policy requires it.
+	 * Snapshot is taken before the event is applied, so it includes saga events with lower `sagaVersion`,
+	 * or, when position is specified, saga events committed before that position
+	 *
+	 * @param {ISaga} saga
+	 * @param {IEventStream} events Events saga has been restored from
+	 * @param {object} boundary
+	 * @param {number} boundary.sagaVersion
+	 * @param {number} [boundary.position]
+	 * @param {ICommand[]} [boundary.completedSteps] Commands sent by saga before the snapshot boundary,
+	 * 	which can be compensated
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	async _takeSnapshotIfRequired(saga, events, { sagaVersion, position, completedSteps }) {
+		if (!this._eventStore.sagaSnapshotsSupported)
+			return;
+		if (saga.status !== undefined && saga.status !== 'active')
+			return;
+
+		const snapshot = events.length && events[0].type === SNAPSHOT_EVENT_TYPE ? events[0] : undefined;
+		const eventsSinceSnapshot = snapshot ? events.length - 1 : events.length;
+		if (!eventsSinceSnapshot)
+			return;
+
+		const takeSnapshot = this._snapshotPolicy({
+			saga,
+			eventsSinceSnapshot,
+			restoredEventsCount: eventsSinceSnapshot,
+			lastSnapshotTimestamp: snapshot ? snapshot.timestamp : undefined
+		});
+		if (!takeSnapshot)
+			return;
+
+		if (typeof saga.makeSnapshot !== 'function')
+			throw new TypeError('saga.makeSnapshot must be a Function to take saga snapshots');
+
+		// saga version is kept separately, as sagaVersion defines which saga events are included in the snapshot
+		const snapshotEvent = {
+			type: SNAPSHOT_EVENT_TYPE,
+			sagaId: saga.id,
+			sagaVersion,
+			version: saga.version,
+			timestamp: Date.now(),
+			payload: saga.makeSnapshot()
+		};
+		if (position !== undefined)
+			snapshotEvent.position = position;
+		if (completedSteps !== undefined)
+			snapshotEvent.completedSteps = completedSteps;
+		if (this._sagaDescriptor !== undefined)
+			snapshotEvent.sagaDescriptor = this._sagaDescriptor;
+		if (this._snapshotSchemaVersion !== undefined)
+			snapshotEvent.schemaVersion = this._snapshotSchemaVersion;
+
+		await this._eventStore.saveSagaSnapshot(snapshotEvent);
+		this._logger.log('debug', `Saga snapshot taken before ${position !== undefined ? `position ${position}` : `v${sagaVersion}`}`, {
+			service: getClassName(saga)
+		});
+	}
 }
 
 module.exports = SagaEventHandler;
@@ -0,0 +1,57 @@
+'use strict';
+
+/**
+ * Error thrown by event storage, when committed events conflict
+ * with events already persisted for the same aggregate
+ *
+ * @class ConcurrencyError
+ * @extends {Error}
+ */
+class ConcurrencyError extends Error {
+
+	/**
+	 * Error type
+	 *
+	 * @type {string}
+	 * @readonly
+	 * @static
+	 */
+	static get type() {
+		return 'ConcurrencyError';
+	}
+
+	/**
+	 * Creates an instance of ConcurrencyError
+	 *
+	 * @param {string} [message]
+	 * @param {object} [details]
+	 * @param {Identifier} [details.aggregateId]
+	 * @param {number} [details.expectedVersion]
+	 */
+	constructor(message = 'Event stream has been modified concurrently', { aggregateId, expectedVersion } = {}) {
+		super(message);
+
+		Object.defineProperties(this, {
+			type: { value: ConcurrencyError.type, enumerable: true },
+			name: { value: ConcurrencyError.type, enumerable: true }
+		});
+
+		/**
+		 * ID of the aggregate, which stream has been modified concurrently
+		 *
+		 * @type {Identifier}
+		 */
+		this.aggregateId = aggregateId;
+
+		/**
+		 * Aggregate version the rejected events were produced upon
+		 *
+		 * @type {number}
+		 */
+		this.expectedVersion = expectedVersion;
+
+		Error.captureStackTrace(this, ConcurrencyError);
+	}
+}
+
+module.exports = ConcurrencyError;
@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * Error thrown when command or event payload does not match the JSON Schema registered for its type
+ *
+ * @class ValidationError
+ * @extends {Error}
+ */
+class ValidationError extends Error {
+
+	/**
+	 * Error type
+	 *
+	 * @type {string}
+	 * @readonly
+	 * @static
+	 */
+	static get type() {
+		return 'ValidationError';
+	}
+
+	/**
+	 * Creates an instance of ValidationError
+	 *
+	 * @param {string} [message]
+	 * @param {object} [details]
+	 * @param {string} [details.messageType]
+	 * @param {TValidationErrorDetails[]} [details.errors]
+	 */
+	constructor(message = 'Message validation failed', { messageType, errors = [] } = {}) {
+		super(message);
+
+		Object.defineProperties(this, {
+			type: { value: ValidationError.type, enumerable: true },
+			name: { value: ValidationError.type, enumerable: true }
+		});
+
+		/**
+		 * Type of the command or event that failed validation
+		 *
+		 * @type {string}
+		 */
+		this.messageType = messageType;
+
+		/**
+		 * Schema violations, one per failed check
+		 *
+		 * @type {TValidationErrorDetails[]}
+		 */
+		this.errors = errors;
+
+		Error.captureStackTrace(this, ValidationError);
+	}
+}
+
+module.exports = ValidationError;
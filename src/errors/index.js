@@ -0,0 +1,4 @@
+'use strict';
+
+exports.ConcurrencyError = require('./ConcurrencyError');
+exports.ValidationError = require('./ValidationError');
@@ -14,7 +14,19 @@ exports.AbstractProjection = require('./AbstractProjection');
 exports.InMemoryMessageBus = require('./infrastructure/InMemoryMessageBus');
 exports.InMemoryEventStorage = require('./infrastructure/InMemoryEventStorage');
 exports.InMemorySnapshotStorage = require('./infrastructure/InMemorySnapshotStorage');
+exports.InMemorySagaCorrelationIndex = require('./infrastructure/InMemorySagaCorrelationIndex');
+exports.InMemorySagaScheduler = require('./infrastructure/InMemorySagaScheduler');
+exports.InMemorySagaRegistry = require('./infrastructure/InMemorySagaRegistry');
 exports.InMemoryView = require('./infrastructure/InMemoryView');
+exports.FileEventStorage = require('./infrastructure/FileEventStorage');
+exports.FileSnapshotStorage = require('./infrastructure/FileSnapshotStorage');
+exports.SqliteEventStorage = require('./infrastructure/SqliteEventStorage');
+exports.SqliteSnapshotStorage = require('./infrastructure/SqliteSnapshotStorage');
+exports.SqliteSagaScheduler = require('./infrastructure/SqliteSagaScheduler');
+
+exports.ConcurrencyError = require('./errors/ConcurrencyError');
+exports.ValidationError = require('./errors/ValidationError');
 
 exports.getMessageHandlerNames = require('./utils/getMessageHandlerNames');
 exports.subscribe = require('./subscribe');
+exports.snapshotPolicies = require('./snapshotPolicies');
@@ -0,0 +1,460 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ConcurrencyError } = require('../errors');
+const { generateUuid } = require('../utils');
+const nullLogger = require('../utils/nullLogger');
+
+const service = 'FileEventStorage';
+
+const SEGMENT_FILE_PATTERN = /^segment-(\d+)\.ndjson$/;
+const NEWLINE = 0x0a;
+
+const _defaults = {
+	maxSegmentSize: 64 * 1024 * 1024,
+	fsync: true
+};
+
+/**
+ * @typedef {object} TCommitLocation
+ * @property {number} segment Segment number
+ * @property {number} offset Commit line offset in the segment file, in bytes
+ * @property {number} length Commit line length, in bytes, without line break
+ */
+
+/**
+ * @typedef {object} TEventLocation
+ * @property {TCommitLocation} commit
+ * @property {number} index Event index in the commit
+ */
+
+/**
+ * @param {number} segment
+ * @returns {string}
+ */
+const getSegmentFileName = segment => `segment-${String(segment).padStart(6, '0')}.ndjson`;
+
+/**
+ * Add value to an array stored in a map under a given key
+ *
+ * @template TValue
+ * @param {Map<string, TValue[]>} map
+ * @param {Identifier} key
+ * @param {TValue} value
+ */
+function pushToIndex(map, key, value) {
+	const indexKey = String(key);
+	const values = map.get(indexKey);
+	if (values)
+		values.push(value);
+	else
+		map.set(indexKey, [value]);
+}
+
+/**
+ * Durable append-only event storage, which persists events to newline-delimited JSON segment files.
+ *
+ * Each line of a segment file contains a JSON array of events committed together,
+ * so a commit interrupted by a crash leaves an incomplete last line only,
+ * which gets truncated next time the storage is opened.
+ * Stream indexes are kept in memory and are rebuilt from segment files on start.
+ *
+ * @class FileEventStorage
+ * @implements {IEventStorage}
+ */
+class FileEventStorage {
+
+	/**
+	 * Default configuration
+	 *
+	 * @type {{ maxSegmentSize: number, fsync: boolean }}
+	 * @static
+	 */
+	static get defaults() {
+		return _defaults;
+	}
+
+	/**
+	 * Creates an instance of FileEventStorage
+	 *
+	 * @param {object} options
+	 * @param {string} options.directory - directory to store segment files in, created if missing
+	 * @param {number} [options.maxSegmentSize] - segment file size in bytes, upon reaching which a new segment is started
+	 * @param {boolean} [options.fsync] - flush each commit to disk before resolving it, true by default
+	 * @param {ILogger} [options.logger]
+	 */
+	constructor(options) {
+		if (!options || typeof options.directory !== 'string' || !options.directory.length)
+			throw new TypeError('options.directory argument must be a non-empty String');
+
+		const { maxSegmentSize } = options;
+		if (maxSegmentSize !== undefined && (!Number.isInteger(maxSegmentSize) || maxSegmentSize < 1))
+			throw new TypeError('options.maxSegmentSize, when specified, must be a positive Integer');
+
+		this._directory = options.directory;
+		this._maxSegmentSize = maxSegmentSize || _defaults.maxSegmentSize;
+		this._fsync = options.fsync !== undefined ? Boolean(options.fsync) : _defaults.fsync;
+		this._logger = options.logger || nullLogger;
+
+		// locations of all events, ordered by position
+		/** @type {TEventLocation[]} */
+		this._locations = [];
+
+		/** @type {Map<string, Array<{ position: number, aggregateVersion: number }>>} */
+		this._aggregateIndex = new Map();
+
+		/** @type {Map<string, Array<{ position: number, sagaVersion: number }>>} */
+		this._sagaIndex = new Map();
+
+		/** @type {Map<string, number[]>} */
+		this._typeIndex = new Map();
+
+		/** @type {Map<number, fs.promises.FileHandle>} */
+		this._readHandles = new Map();
+
+		this._segment = 0;
+		this._segmentSize = 0;
+
+		/** @type {fs.promises.FileHandle} */
+		this._writeHandle = undefined;
+
+		/** @type {Promise<void>} */
+		this._opening = undefined;
+
+		// commits are appended one after another
+		this._writes = Promise.resolve();
+	}
+
+	/**
+	 * Open storage directory, recover from a partial write, if any, and build stream indexes.
+	 * Invoked automatically on first storage access
+	 *
+	 * @returns {Promise<void>}
+	 */
+	open() {
+		if (!this._opening)
+			this._opening = this._open();
+
+		return this._opening;
+	}
+
+	/**
+	 * @private
+	 * @returns {Promise<void>}
+	 */
+	async _open() {
+		this._locations = [];
+		this._aggregateIndex.clear();
+		this._sagaIndex.clear();
+		this._typeIndex.clear();
+
+		await fs.promises.mkdir(this._directory, { recursive: true });
+
+		const segments = (await fs.promises.readdir(this._directory))
+			.map(fileName => SEGMENT_FILE_PATTERN.exec(fileName))
+			.filter(match => match)
+			.map(match => Number(match[1]))
+			.sort((a, b) => a - b);
+
+		for (const segment of segments)
+			await this._indexSegment(segment, segment === segments[segments.length - 1]);
+
+		this._segment = segments.length ? segments[segments.length - 1] : 1;
+		this._writeHandle = await fs.promises.open(this._getSegmentPath(this._segment), 'a');
+		this._segmentSize = (await this._writeHandle.stat()).size;
+
+		this._logger.log('debug', `${this._locations.length} events indexed in ${segments.length} segment(s)`, { service });
+	}
+
+	/**
+	 * Read segment file and add its events to indexes
+	 *
+	 * @private
+	 * @param {number} segment
+	 * @param {boolean} isLastSegment - incomplete commit can only be found at the end of the last segment
+	 */
+	async _indexSegment(segment, isLastSegment) {
+		const segmentPath = this._getSegmentPath(segment);
+		const content = await fs.promises.readFile(segmentPath);
+
+		let offset = 0;
+		while (offset < content.length) {
+			const lineEnd = content.indexOf(NEWLINE, offset);
+
+			let events;
+			try {
+				events = lineEnd !== -1 ?
+					JSON.parse(content.toString('utf8', offset, lineEnd)) :
+					undefined;
+			}
+			catch (err) {
+				if (!isLastSegment || content.indexOf(NEWLINE, lineEnd + 1) !== -1)
+					throw new Error(`${getSegmentFileName(segment)} is corrupted at offset ${offset}: ${err.message}`);
+			}
+
+			if (!Array.isArray(events)) {
+				// incomplete commit caused by a crash during write, it was never acknowledged
+				this._logger.log('warn', `${getSegmentFileName(segment)}: incomplete commit truncated at offset ${offset}`, { service });
+				await fs.promises.truncate(segmentPath, offset);
+				return;
+			}
+
+			this._addToIndex(events, { segment, offset, length: lineEnd - offset });
+			offset = lineEnd + 1;
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {IEvent[]} events
+	 * @param {TCommitLocation} commit
+	 */
+	_addToIndex(events, commit) {
+		events.forEach((event, index) => {
+			this._locations.push({ commit, index });
+
+			const { position } = event;
+			if (event.aggregateId !== undefined)
+				pushToIndex(this._aggregateIndex, event.aggregateId, { position, aggregateVersion: event.aggregateVersion });
+			if (event.sagaId !== undefined)
+				pushToIndex(this._sagaIndex, event.sagaId, { position, sagaVersion: event.sagaVersion });
+
+			// event starting sagas is the first one in each of their streams
+			if (event.sagaOrigins) {
+				for (const sagaId of Object.values(event.sagaOrigins))
+					pushToIndex(this._sagaIndex, sagaId, { position, sagaVersion: 0 });
+			}
+
+			pushToIndex(this._typeIndex, event.type, position);
+		});
+	}
+
+	/**
+	 * @private
+	 * @param {number} segment
+	 * @returns {string}
+	 */
+	_getSegmentPath(segment) {
+		return path.join(this._directory, getSegmentFileName(segment));
+	}
+
+	/**
+	 * Persist events, assigning each of them a global position
+	 *
+	 * @param {IEvent[]} events
+	 * @param {object} [options]
+	 * @param {TExpectedAggregateVersions} [options.expectedVersions]
+	 * @returns {Promise<IEvent[]>} Committed events with positions assigned
+	 */
+	commitEvents(events, { expectedVersions } = {}) {
+		const commit = this._writes.then(() => this._append(events, expectedVersions));
+
+		// rejected commit must not break subsequent commits
+		this._writes = commit.then(() => { }, () => { });
+
+		return commit;
+	}
+
+	/**
+	 * @private
+	 * @param {IEvent[]} events
+	 * @param {TExpectedAggregateVersions} [expectedVersions]
+	 * @returns {Promise<IEvent[]>}
+	 */
+	async _append(events, expectedVersions) {
+		await this.open();
+
+		if (expectedVersions)
+			this._assertExpectedVersions(expectedVersions);
+
+		const firstPosition = this._locations.length + 1;
+		const committedEvents = events.map((e, i) => ({ ...e, position: firstPosition + i }));
+		if (!committedEvents.length)
+			return committedEvents;
+
+		const line = Buffer.from(`${JSON.stringify(committedEvents)}\n`, 'utf8');
+
+		if (this._segmentSize > 0 && this._segmentSize + line.length > this._maxSegmentSize)
+			await this._startNextSegment();
+
+		const commit = { segment: this._segment, offset: this._segmentSize, length: line.length - 1 };
+
+		try {
+			await this._writeHandle.write(line, 0, line.length);
+			if (this._fsync)
+				await this._writeHandle.sync();
+		}
+		catch (err) {
+			// drop partially written line, so that next commits are not appended to it
+			await this._writeHandle.truncate(commit.offset);
+			throw err;
+		}
+
+		this._segmentSize += line.length;
+		this._addToIndex(committedEvents, commit);
+
+		return committedEvents;
+	}
+
+	/**
+	 * @private
+	 * @param {TExpectedAggregateVersions} expectedVersions
+	 */
+	_assertExpectedVersions(expectedVersions) {
+		for (const [aggregateId, expectedVersion] of Object.entries(expectedVersions)) {
+			const stream = this._aggregateIndex.get(String(aggregateId)) || [];
+			if (stream.some(e => e.aggregateVersion >= expectedVersion)) {
+				throw new ConcurrencyError(`Aggregate ${aggregateId} stream has been modified after v${expectedVersion}`, {
+					aggregateId,
+					expectedVersion
+				});
+			}
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	async _startNextSegment() {
+		await this._writeHandle.close();
+
+		this._segment += 1;
+		this._segmentSize = 0;
+		this._writeHandle = await fs.promises.open(this._getSegmentPath(this._segment), 'a');
+
+		this._logger.log('debug', `${getSegmentFileName(this._segment)} started`, { service });
+	}
+
+	/**
+	 * Read events at given positions
+	 *
+	 * @private
+	 * @param {number[]} positions
+	 * @returns {AsyncIterableIterator<IEvent>}
+	 */
+	async* _readEvents(positions) {
+		// events committed together are stored on the same line, which is parsed once
+		let lastCommit;
+		let lastCommitEvents;
+
+		for (const position of positions) {
+			const { commit, index } = this._locations[position - 1];
+			if (commit !== lastCommit) {
+				lastCommitEvents = await this._readCommit(commit);
+				lastCommit = commit;
+			}
+
+			yield lastCommitEvents[index];
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {TCommitLocation} commit
+	 * @returns {Promise<IEvent[]>}
+	 */
+	async _readCommit({ segment, offset, length }) {
+		let handle = this._readHandles.get(segment);
+		if (!handle) {
+			handle = await fs.promises.open(this._getSegmentPath(segment), 'r');
+			this._readHandles.set(segment, handle);
+		}
+
+		const buffer = Buffer.alloc(length);
+		await handle.read(buffer, 0, length, offset);
+
+		return JSON.parse(buffer.toString('utf8'));
+	}
+
+	/**
+	 * @param {Identifier} aggregateId
+	 * @param {object} [options]
+	 * @param {IEvent} [options.snapshot] - only events committed after the snapshot are returned
+	 * @returns {Promise<AsyncIterableIterator<IEvent>>}
+	 */
+	async getAggregateEvents(aggregateId, { snapshot } = {}) {
+		await this.open();
+
+		const stream = this._aggregateIndex.get(String(aggregateId)) || [];
+		const positions = stream
+			.filter(e => !snapshot || e.aggregateVersion > snapshot.aggregateVersion)
+			.map(e => e.position);
+
+		return this._readEvents(positions);
+	}
+
+	/**
+	 * @param {Identifier} sagaId
+	 * @param {object} options
+	 * @param {IEvent} options.beforeEvent
+	 * @param {IEvent} [options.snapshot] - events included in the snapshot are not returned
+	 * @returns {Promise<AsyncIterableIterator<IEvent>>}
+	 */
+	async getSagaEvents(sagaId, { beforeEvent, snapshot }) {
+		await this.open();
+
+		const stream = this._sagaIndex.get(String(sagaId)) || [];
+		const positions = stream
+			.filter(e => (!snapshot || e.sagaVersion >= snapshot.sagaVersion) && e.sagaVersion < beforeEvent.sagaVersion)
+			.map(e => e.position);
+
+		return this._readEvents(positions);
+	}
+
+	/**
+	 * @param {string[]} [eventTypes]
+	 * @param {object} [options]
+	 * @param {number} [options.afterPosition] Return events committed after a given position only
+	 * @param {number} [options.limit] Max number of events to return
+	 * @returns {Promise<AsyncIterableIterator<IEvent>>}
+	 */
+	async getEvents(eventTypes, { afterPosition = 0, limit } = {}) {
+		await this.open();
+
+		let positions;
+		if (eventTypes) {
+			positions = [].concat(...eventTypes.map(t => this._typeIndex.get(t) || []))
+				.filter(p => p > afterPosition)
+				.sort((a, b) => a - b);
+		}
+		else {
+			positions = Array.from({ length: Math.max(this._locations.length - afterPosition, 0) },
+				(v, i) => afterPosition + i + 1);
+		}
+
+		if (limit !== undefined)
+			positions = positions.slice(0, limit);
+
+		return this._readEvents(positions);
+	}
+
+	/**
+	 * @returns {string}
+	 */
+	getNewId() { // eslint-disable-line class-methods-use-this
+		return generateUuid();
+	}
+
+	/**
+	 * Wait for pending commits and close segment files
+	 *
+	 * @returns {Promise<void>}
+	 */
+	async close() {
+		if (!this._opening)
+			return;
+
+		await this._opening;
+		await this._writes;
+		await this._writeHandle.close();
+
+		for (const handle of this._readHandles.values())
+			await handle.close();
+
+		this._readHandles.clear();
+		this._opening = undefined;
+	}
+}
+
+module.exports = FileEventStorage;
@@ -0,0 +1,137 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { generateUuid } = require('../utils');
+
+/**
+ * @param {Identifier} id - aggregate or saga ID
+ * @returns {string}
+ */
+const getSnapshotFileName = id => `${encodeURIComponent(String(id))}.json`;
+
+/**
+ * Read snapshot from a JSON file
+ *
+ * @param {string} filePath
+ * @returns {Promise<IEvent>} - undefined, if file does not exist
+ */
+async function readSnapshotFile(filePath) {
+	let content;
+	try {
+		content = await fs.promises.readFile(filePath, 'utf8');
+	}
+	catch (err) {
+		if (err.code === 'ENOENT')
+			return undefined;
+
+		throw err;
+	}
+
+	return JSON.parse(content);
+}
+
+/** Subdirectory for saga snapshots, so that they never clash with aggregate snapshots */
+const SAGAS_DIRECTORY = 'sagas';
+
+/**
+ * Snapshot storage, which keeps the latest snapshot of each aggregate and saga in a separate JSON file.
+ * Snapshot files are replaced atomically, so a crash during write leaves the previous snapshot intact
+ *
+ * @class FileSnapshotStorage
+ * @implements {IAggregateSnapshotStorage}
+ */
+class FileSnapshotStorage {
+
+	/**
+	 * Creates an instance of FileSnapshotStorage
+	 *
+	 * @param {object} options
+	 * @param {string} options.directory - directory to store snapshot files in, created if missing
+	 * @param {boolean} [options.fsync] - flush snapshot file to disk before replacing the previous one, true by default
+	 */
+	constructor(options) {
+		if (!options || typeof options.directory !== 'string' || !options.directory.length)
+			throw new TypeError('options.directory argument must be a non-empty String');
+
+		this._directory = options.directory;
+		this._fsync = options.fsync !== undefined ? Boolean(options.fsync) : true;
+
+		/** @type {Map<string, Promise<void>>} */
+		this._directoriesCreated = new Map();
+	}
+
+	/**
+	 * Get latest aggregate snapshot
+	 *
+	 * @param {Identifier} aggregateId
+	 * @returns {Promise<IEvent>}
+	 */
+	getAggregateSnapshot(aggregateId) {
+		return readSnapshotFile(path.join(this._directory, getSnapshotFileName(aggregateId)));
+	}
+
+	/**
+	 * Save new aggregate snapshot, replacing the previous one
+	 *
+	 * @param {IEvent} snapshotEvent
+	 */
+	saveAggregateSnapshot(snapshotEvent) {
+		return this._writeSnapshot(this._directory, getSnapshotFileName(snapshotEvent.aggregateId), snapshotEvent);
+	}
+
+	/**
+	 * Get latest saga snapshot
+	 *
+	 * @param {Identifier} sagaId
+	 * @returns {Promise<IEvent>}
+	 */
+	getSagaSnapshot(sagaId) {
+		return readSnapshotFile(path.join(this._directory, SAGAS_DIRECTORY, getSnapshotFileName(sagaId)));
+	}
+
+	/**
+	 * Save new saga snapshot, replacing the previous one
+	 *
+	 * @param {IEvent} snapshotEvent
+	 */
+	saveSagaSnapshot(snapshotEvent) {
+		return this._writeSnapshot(path.join(this._directory, SAGAS_DIRECTORY), getSnapshotFileName(snapshotEvent.sagaId),
+			snapshotEvent);
+	}
+
+	/**
+	 * Write snapshot to a temporary file and replace the previous snapshot file with it
+	 *
+	 * @private
+	 * @param {string} directory
+	 * @param {string} fileName
+	 * @param {IEvent} snapshotEvent
+	 * @returns {Promise<void>}
+	 */
+	async _writeSnapshot(directory, fileName, snapshotEvent) {
+		if (!this._directoriesCreated.has(directory))
+			this._directoriesCreated.set(directory, fs.promises.mkdir(directory, { recursive: true }));
+
+		await this._directoriesCreated.get(directory);
+
+		const filePath = path.join(directory, fileName);
+		const tempFilePath = `${filePath}.${generateUuid()}.tmp`;
+
+		const handle = await fs.promises.open(tempFilePath, 'w');
+		try {
+			await handle.writeFile(JSON.stringify(snapshotEvent), 'utf8');
+			if (this._fsync)
+				await handle.sync();
+			await handle.close();
+			await fs.promises.rename(tempFilePath, filePath);
+		}
+		catch (err) {
+			await handle.close().catch(() => { });
+			await fs.promises.unlink(tempFilePath).catch(() => { });
+			throw err;
+		}
+	}
+}
+
+module.exports = FileSnapshotStorage;
@@ -0,0 +1,97 @@
+'use strict';
+
+/**
+ * @typedef {object} TDeadLetter
+ * @property {IMessage} message - message that could not be delivered
+ * @property {IMessageHandler} handler - subscriber that failed to handle the message
+ * @property {Error} error - last delivery error
+ * @property {number} attempts - number of delivery attempts made
+ * @property {number} timestamp - time the message was dead-lettered at
+ */
+
+/**
+ * Keeps messages, which subscribers failed to handle after all delivery retries,
+ * so that they can be inspected and replayed
+ *
+ * @class InMemoryDeadLetterQueue
+ */
+class InMemoryDeadLetterQueue {
+
+	/**
+	 * Number of dead-lettered messages
+	 *
+	 * @type {number}
+	 * @readonly
+	 */
+	get size() {
+		return this._deadLetters.length;
+	}
+
+	/**
+	 * Creates an instance of InMemoryDeadLetterQueue
+	 *
+	 * @param {object} options
+	 * @param {function(TDeadLetter): Promise<boolean>} options.redeliver - delivers dead-lettered message to its handler,
+	 * 	resolves to false and puts the message back to the queue, if delivery fails again
+	 */
+	constructor({ redeliver }) {
+		if (typeof redeliver !== 'function')
+			throw new TypeError('redeliver argument must be a Function');
+
+		this._redeliver = redeliver;
+
+		/** @type {TDeadLetter[]} */
+		this._deadLetters = [];
+	}
+
+	/**
+	 * Put a message, which could not be delivered, to the queue
+	 *
+	 * @param {TDeadLetter} deadLetter
+	 */
+	add(deadLetter) {
+		this._deadLetters.push(deadLetter);
+	}
+
+	/**
+	 * Get dead-lettered messages, optionally filtered
+	 *
+	 * @param {function(TDeadLetter): boolean} [filter]
+	 * @returns {TDeadLetter[]}
+	 */
+	getAll(filter) {
+		return filter ?
+			this._deadLetters.filter(filter) :
+			this._deadLetters.slice();
+	}
+
+	/**
+	 * Remove dead-lettered messages from the queue and deliver them to their handlers again.
+	 * Messages failing again are put back to the queue
+	 *
+	 * @param {function(TDeadLetter): boolean} [filter]
+	 * @returns {Promise<number>} - number of messages delivered successfully
+	 */
+	async replay(filter) {
+		const deadLetters = this.remove(filter);
+
+		const results = await Promise.all(deadLetters.map(deadLetter => this._redeliver(deadLetter)));
+
+		return results.filter(delivered => delivered).length;
+	}
+
+	/**
+	 * Remove dead-lettered messages from the queue without delivering them
+	 *
+	 * @param {function(TDeadLetter): boolean} [filter]
+	 * @returns {TDeadLetter[]} - removed messages
+	 */
+	remove(filter) {
+		const removed = this.getAll(filter);
+		this._deadLetters = this._deadLetters.filter(d => !removed.includes(d));
+
+		return removed;
+	}
+}
+
+module.exports = InMemoryDeadLetterQueue;
@@ -1,6 +1,40 @@
 /* eslint no-return-assign: "off", eqeqeq: "off", require-jsdoc: "off" */
 'use strict';
 
+const { ConcurrencyError } = require('../errors');
+
+/**
+ * Ensure none of the aggregate streams were modified after the expected version
+ *
+ * @param {IEvent[]} events Events already persisted in the storage
+ * @param {TExpectedAggregateVersions} expectedVersions Expected version per aggregate ID
+ */
+function assertExpectedVersions(events, expectedVersions) {
+	for (const [aggregateId, expectedVersion] of Object.entries(expectedVersions)) {
+		const conflictingEvent = events.find(e =>
+			e.aggregateId == aggregateId
+			&& e.aggregateVersion >= expectedVersion);
+
+		if (conflictingEvent) {
+			throw new ConcurrencyError(`Aggregate ${aggregateId} stream has been modified after v${expectedVersion}`, {
+				aggregateId,
+				expectedVersion
+			});
+		}
+	}
+}
+
+/**
+ * Check whether event started a given saga, i.e. the saga ID is assigned to one of event.sagaOrigins
+ *
+ * @param {IEvent} event
+ * @param {Identifier} sagaId
+ * @returns {boolean}
+ */
+function isSagaOrigin(event, sagaId) {
+	return !!event.sagaOrigins && Object.values(event.sagaOrigins).some(id => id == sagaId);
+}
+
 /**
  * A simple event storage implementation intended to use for tests only.
  * Storage content resets on each app restart.
@@ -13,15 +47,43 @@ class InMemoryEventStorage {
 	constructor() {
 		this._nextId = 0;
 		this._events = Promise.resolve([]);
+
+		/** @type {Set<Identifier>} */
+		this._unpublishedEventIds = new Set();
 	}
 
 	/**
+	 * Persist events, assigning each of them a global position
+	 *
 	 * @param {IEvent[]} events
-	 * @returns {Promise<void>}
+	 * @param {object} [options]
+	 * @param {TExpectedAggregateVersions} [options.expectedVersions]
+	 * @param {boolean} [options.outbox] Record events as unpublished, until markEventsPublished is invoked
+	 * @returns {Promise<IEvent[]>} Committed events with positions assigned
 	 */
-	commitEvents(events) {
-		return this._events = this._events.then(data =>
-			data.concat(events));
+	commitEvents(events, { expectedVersions, outbox } = {}) {
+		const previousEvents = this._events;
+
+		let storedEvents;
+		const nextEvents = previousEvents.then(data => {
+			if (expectedVersions)
+				assertExpectedVersions(data, expectedVersions);
+
+			// storage is append-only, so the position matches 1-based event index.
+			// Stored copies are frozen, so that changes made by the caller do not affect the storage content
+			storedEvents = events.map((e, i) => Object.freeze({ ...e, position: data.length + i + 1 }));
+			if (outbox) {
+				for (const event of storedEvents)
+					this._unpublishedEventIds.add(event.id);
+			}
+
+			return data.concat(storedEvents);
+		});
+
+		// rejected commit must not break subsequent storage operations
+		this._events = nextEvents.catch(() => previousEvents);
+
+		return nextEvents.then(() => storedEvents.map(e => ({ ...e })));
 	}
 
 	/**
@@ -43,25 +105,58 @@ class InMemoryEventStorage {
 	 * @param {Identifier} sagaId
 	 * @param {object} [options]
 	 * @param {IEvent} [options.beforeEvent]
+	 * @param {IEvent} [options.snapshot] - events included in the snapshot are not returned
 	 * @returns {Promise<IEventStream>}
 	 */
-	getSagaEvents(sagaId, { beforeEvent }) {
+	getSagaEvents(sagaId, { beforeEvent, snapshot }) {
+		const fromVersion = snapshot ? snapshot.sagaVersion : 0;
+
 		return this._events.then(events =>
 			events.filter(e =>
-				e.sagaId == sagaId
-				&& e.sagaVersion < beforeEvent.sagaVersion));
+				(e.sagaId == sagaId && e.sagaVersion >= fromVersion && e.sagaVersion < beforeEvent.sagaVersion)
+				|| (isSagaOrigin(e, sagaId) && fromVersion <= 0 && beforeEvent.sagaVersion > 0)));
 	}
 
 	/**
 	 * @param {string[]} eventTypes
+	 * @param {object} [options]
+	 * @param {number} [options.afterPosition] Return events committed after a given position only
+	 * @param {number} [options.limit] Max number of events to return
 	 * @returns {Promise<IEventStream>}
 	 */
-	getEvents(eventTypes) {
-		if (!eventTypes)
-			return this._events;
+	async getEvents(eventTypes, { afterPosition, limit } = {}) {
+		const events = await this._events;
 
-		return this._events.then(events =>
-			events.filter(e => eventTypes.includes(e.type)));
+		const filteredEvents = events.filter(e =>
+			(!eventTypes || eventTypes.includes(e.type))
+			&& (afterPosition === undefined || e.position > afterPosition));
+
+		if (limit !== undefined)
+			return filteredEvents.slice(0, limit);
+
+		return filteredEvents;
+	}
+
+	/**
+	 * Get events committed to the outbox and not marked as published yet, ordered by position
+	 *
+	 * @returns {Promise<IEvent[]>}
+	 */
+	async getUnpublishedEvents() {
+		const events = await this._events;
+
+		return events.filter(e => this._unpublishedEventIds.has(e.id));
+	}
+
+	/**
+	 * Remove events from the outbox
+	 *
+	 * @param {Identifier[]} eventIds
+	 * @returns {Promise<void>}
+	 */
+	async markEventsPublished(eventIds) {
+		for (const id of eventIds)
+			this._unpublishedEventIds.delete(id);
 	}
 
 	/**
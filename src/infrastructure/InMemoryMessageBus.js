@@ -1,7 +1,51 @@
 'use strict';
 
+const { AsyncLocalStorage } = require('async_hooks');
+const InMemoryDeadLetterQueue = require('./InMemoryDeadLetterQueue');
+const nullLogger = require('../utils/nullLogger');
+const retry = require('../utils/retry');
+const { validateRetryPolicy } = require('../utils/retry');
+const { isMessageTypePattern, matchesMessageType } = require('../utils/messageTypePatterns');
+
+const service = 'InMemoryMessageBus';
+
+/** @type {TRetryPolicy} */
+const NO_RETRIES = { retries: 0 };
+
+// buses, which deliveries are in progress in the current async context, i.e. when handler commits events synchronously.
+// AsyncLocalStorage is available in Node 12.17 or later, nested publishes are not detected in older versions
+const runningDeliveries = AsyncLocalStorage ? new AsyncLocalStorage() : undefined;
+
+/**
+ * Ensure queue delivery options match the expected format
+ *
+ * @param {object} options
+ * @param {number} [options.concurrency]
+ * @param {string | function(IMessage): Identifier} [options.orderingKey]
+ */
+function validateDeliveryOptions({ concurrency, orderingKey }) {
+	if (concurrency !== undefined && concurrency !== Infinity && !(Number.isInteger(concurrency) && concurrency > 0))
+		throw new TypeError('concurrency option, when provided, must be a positive Integer');
+	if (orderingKey !== undefined && typeof orderingKey !== 'string' && typeof orderingKey !== 'function')
+		throw new TypeError('orderingKey option, when provided, must be a String or a Function');
+}
+
+/**
+ * Get a function extracting ordering key from a message
+ *
+ * @param {string | function(IMessage): Identifier} [orderingKey] - message field name or a custom function
+ * @returns {function(IMessage): Identifier}
+ */
+function getOrderingKeyGetter(orderingKey) {
+	if (typeof orderingKey === 'string')
+		return message => message[orderingKey];
+
+	return orderingKey;
+}
+
 /**
  * Default implementation of the message bus. Keeps all subscriptions and messages in memory.
+ * Events, which subscribers fail to handle after all retries, are put to the dead-letter queue
  *
  * @class InMemoryMessageBus
  * @implements {IMessageBus}
@@ -19,33 +63,88 @@ class InMemoryMessageBus {
 		return true;
 	}
 
+	/**
+	 * Events, which subscribers failed to handle after all retries
+	 *
+	 * @type {InMemoryDeadLetterQueue}
+	 * @readonly
+	 */
+	get deadLetterQueue() {
+		return this._deadLetterQueue;
+	}
+
 	/**
 	 * Creates an instance of InMemoryMessageBus
 	 * @param {object} [options]
 	 * @param {string} [options.name]
 	 * @param {boolean} [options.uniqueEventHandlers]
+	 * @param {TRetryPolicy} [options.retryPolicy] - default event delivery retry policy for all subscriptions,
+	 * 	inherited by named queues
+	 * @param {number} [options.concurrency] - max number of events being handled at the same time
+	 * @param {string | function(IMessage): Identifier} [options.orderingKey] - event field name or a function,
+	 * 	events with the same key are handled one after another
+	 * @param {ILogger} [options.logger]
 	 */
-	constructor({ name, uniqueEventHandlers = !!name } = {}) {
+	constructor({ name, uniqueEventHandlers = !!name, retryPolicy, concurrency, orderingKey, logger } = {}) {
+		if (retryPolicy)
+			validateRetryPolicy(retryPolicy);
+		validateDeliveryOptions({ concurrency, orderingKey });
+
 		/** @type {Map<string, Set<IMessageHandler>>} */
 		this._handlers = new Map();
 
+		// subscribed message type patterns, in order of subscription
+		/** @type {Set<string>} */
+		this._patterns = new Set();
+
 		this._name = name;
 		this._uniqueEventHandlers = uniqueEventHandlers;
+		this._retryPolicy = retryPolicy;
+		this._logger = logger || nullLogger;
+
+		// retry policies of subscriptions, keyed by message type or pattern and then by handler
+		/** @type {Map<string, WeakMap<IMessageHandler, TRetryPolicy>>} */
+		this._handlerRetryPolicies = new Map();
+
+		this._deadLetterQueue = new InMemoryDeadLetterQueue({
+			redeliver: ({ message, handler }) => this._deliver(message, handler)
+		});
 
 		/** @type {Map<string, InMemoryMessageBus>} */
 		this._queues = new Map();
+
+		this._concurrency = concurrency || Infinity;
+		this._getOrderingKey = getOrderingKeyGetter(orderingKey);
+
+		// number of events being handled at the moment
+		this._activeDeliveries = 0;
+
+		// callbacks of deliveries awaiting a free slot
+		/** @type {Array<function(): void>} */
+		this._pendingDeliveries = [];
+
+		// tails of ordered delivery chains, keyed by ordering key
+		/** @type {Map<string, Promise<void>>} */
+		this._orderedDeliveries = new Map();
 	}
 
 	/**
-	 * Subscribe to message type
+	 * Subscribe to message type or a pattern, such as "*", "user*" or "billing.*"
 	 *
 	 * @param {string} messageType
 	 * @param {IMessageHandler} handler
+	 * @param {object} [options]
+	 * @param {TRetryPolicy} [options.retryPolicy] - event delivery retry policy of this subscription
 	 */
-	on(messageType, handler) {
+	on(messageType, handler, options) {
 		if (typeof messageType !== 'string' || !messageType.length) throw new TypeError('messageType argument must be a non-empty String');
 		if (typeof handler !== 'function') throw new TypeError('handler argument must be a Function');
-		if (arguments.length !== 2) throw new TypeError(`2 arguments are expected, but ${arguments.length} received`);
+		if (arguments.length !== 2 && arguments.length !== 3) throw new TypeError(`2 or 3 arguments are expected, but ${arguments.length} received`);
+		if (options !== undefined && (typeof options !== 'object' || !options)) throw new TypeError('options argument, when provided, must be an Object');
+
+		const retryPolicy = options && options.retryPolicy;
+		if (retryPolicy)
+			validateRetryPolicy(retryPolicy);
 
 		// Events published to a named queue must be consumed only once.
 		// For example, for sending a welcome email, NotificationReceptor will subscribe to "notifications:userCreated".
@@ -57,18 +156,49 @@ class InMemoryMessageBus {
 			throw new Error(`"${messageType}" handler is already set up on the "${this._name}" queue`);
 
 		this._handlers.get(messageType).add(handler);
+		if (isMessageTypePattern(messageType))
+			this._patterns.add(messageType);
+
+		if (retryPolicy) {
+			if (!this._handlerRetryPolicies.has(messageType))
+				this._handlerRetryPolicies.set(messageType, new WeakMap());
+
+			this._handlerRetryPolicies.get(messageType).set(handler, retryPolicy);
+		}
 	}
 
 	/**
 	 * Get or create a named queue.
 	 * Named queues support only one handler per event type.
+	 * Delivery options, when provided, are applied to the new or existing queue
 	 *
 	 * @param {string} name
+	 * @param {object} [options]
+	 * @param {number} [options.concurrency] - max number of events being handled by the queue at the same time
+	 * @param {string | function(IMessage): Identifier} [options.orderingKey] - event field name (i.e. "sagaId")
+	 * 	or a function, events with the same key are handled one after another
 	 * @returns {IObservable}
 	 */
-	queue(name) {
-		if (!this._queues.has(name))
-			this._queues.set(name, new InMemoryMessageBus({ name, uniqueEventHandlers: true }));
+	queue(name, options) {
+		if (options)
+			validateDeliveryOptions(options);
+
+		if (!this._queues.has(name)) {
+			this._queues.set(name, new InMemoryMessageBus({
+				name,
+				uniqueEventHandlers: true,
+				retryPolicy: this._retryPolicy,
+				logger: this._logger,
+				...options
+			}));
+		}
+		else if (options) {
+			const namedQueue = this._queues.get(name);
+			if (options.concurrency !== undefined)
+				namedQueue._concurrency = options.concurrency;
+			if (options.orderingKey !== undefined)
+				namedQueue._getOrderingKey = getOrderingKeyGetter(options.orderingKey);
+		}
 
 		return this._queues.get(name);
 	}
@@ -85,7 +215,18 @@ class InMemoryMessageBus {
 		if (arguments.length !== 2) throw new TypeError(`2 arguments are expected, but ${arguments.length} received`);
 		if (!this._handlers.has(messageType)) throw new Error(`No ${messageType} subscribers found`);
 
-		this._handlers.get(messageType).delete(handler);
+		const handlers = this._handlers.get(messageType);
+		handlers.delete(handler);
+
+		// message type without handlers can be subscribed to again, even on a named queue
+		if (!handlers.size) {
+			this._handlers.delete(messageType);
+			this._patterns.delete(messageType);
+			this._handlerRetryPolicies.delete(messageType);
+		}
+		else if (this._handlerRetryPolicies.has(messageType)) {
+			this._handlerRetryPolicies.get(messageType).delete(handler);
+		}
 	}
 
 	/**
@@ -110,22 +251,162 @@ class InMemoryMessageBus {
 	}
 
 	/**
-	 * Publish event to all subscribers (if any)
+	 * Get handlers subscribed to a given message type: exact type handlers go first,
+	 * followed by pattern handlers in order of subscription. Each handler is included once
+	 *
+	 * @private
+	 * @param {string} messageType
+	 * @returns {Set<IMessageHandler>}
+	 */
+	_getHandlers(messageType) {
+		const handlers = new Set(this._handlers.get(messageType));
+		for (const pattern of this._patterns) {
+			if (matchesMessageType(pattern, messageType)) {
+				for (const handler of this._handlers.get(pattern))
+					handlers.add(handler);
+			}
+		}
+		return handlers;
+	}
+
+	/**
+	 * Get retry policy of the handler subscription the message is delivered through:
+	 * exact message type subscription goes first, followed by pattern subscriptions in order of subscription
+	 *
+	 * @private
+	 * @param {string} messageType
+	 * @param {IMessageHandler} handler
+	 * @returns {TRetryPolicy}
+	 */
+	_getRetryPolicy(messageType, handler) {
+		const patterns = Array.from(this._patterns).filter(pattern => matchesMessageType(pattern, messageType));
+		const subscriptionTypes = [messageType, ...patterns];
+		const subscriptionType = subscriptionTypes.find(t => this._handlers.has(t) && this._handlers.get(t).has(handler));
+		const retryPolicies = subscriptionType !== undefined ? this._handlerRetryPolicies.get(subscriptionType) : undefined;
+
+		return (retryPolicies && retryPolicies.get(handler)) || this._retryPolicy || NO_RETRIES;
+	}
+
+	/**
+	 * Publish event to all subscribers (if any).
+	 * Each subscriber receives the event independently, so that failure of one does not affect the others
 	 *
 	 * @param {IEvent} event
-	 * @returns {Promise<any>}
+	 * @returns {Promise<void>}
 	 */
 	async publish(event) {
 		if (typeof event !== 'object' || !event) throw new TypeError('event argument must be an Object');
 		if (typeof event.type !== 'string' || !event.type.length) throw new TypeError('event.type argument must be a non-empty String');
 
-		const handlers = [
-			...this._handlers.get(event.type) || [],
-			...Array.from(this._queues.values()).map(namedQueue =>
-				e => namedQueue.publish(e))
-		];
+		const handlers = this._getHandlers(event.type);
+		const deliverToHandlers = () => Promise.all(Array.from(handlers, handler => this._deliver(event, handler)));
+
+		await Promise.all([
+			handlers.size ? this._schedule(event, deliverToHandlers) : undefined,
+			...Array.from(this._queues.values(), namedQueue => namedQueue.publish(event))
+		]);
+	}
+
+	/**
+	 * Run event delivery, once events with the same ordering key are handled
+	 * and the number of concurrent deliveries allows
+	 *
+	 * @private
+	 * @param {IMessage} message
+	 * @param {function(): Promise<any>} delivery
+	 * @returns {Promise<void>}
+	 */
+	async _schedule(message, delivery) {
+		// event published by a handler of this bus cannot wait for that handler to finish, as it would never happen
+		const parentDeliveries = runningDeliveries && runningDeliveries.getStore();
+		if (parentDeliveries && parentDeliveries.has(this))
+			return delivery();
+
+		const key = this._getOrderingKey ? this._getOrderingKey(message) : undefined;
+		if (key === undefined || key === null)
+			return this._runWithinConcurrencyLimit(delivery);
+
+		// keys are compared loosely, same as IDs in event storage
+		const orderingKey = String(key);
+		const previousDeliveries = this._orderedDeliveries.get(orderingKey) || Promise.resolve();
+		const result = previousDeliveries.then(() => this._runWithinConcurrencyLimit(delivery));
+
+		// deliveries never reject, failures end up in the dead-letter queue
+		const chainTail = result.catch(() => { });
+		this._orderedDeliveries.set(orderingKey, chainTail);
+		chainTail.then(() => {
+			if (this._orderedDeliveries.get(orderingKey) === chainTail)
+				this._orderedDeliveries.delete(orderingKey);
+		});
+
+		return result;
+	}
+
+	/**
+	 * @private
+	 * @param {function(): Promise<any>} delivery
+	 * @returns {Promise<void>}
+	 */
+	async _runWithinConcurrencyLimit(delivery) {
+		if (this._activeDeliveries < this._concurrency)
+			this._activeDeliveries += 1;
+		else
+			await new Promise(resolve => this._pendingDeliveries.push(resolve));
+
+		try {
+			if (runningDeliveries) {
+				const parentDeliveries = runningDeliveries.getStore();
+				await runningDeliveries.run(new Set(parentDeliveries).add(this), delivery);
+			}
+			else {
+				await delivery();
+			}
+		}
+		finally {
+			// the freed slot is passed to the next pending delivery, if any
+			const next = this._pendingDeliveries.shift();
+			if (next)
+				next();
+			else
+				this._activeDeliveries -= 1;
+		}
+	}
+
+	/**
+	 * Pass message to a handler, retrying it according to the subscription retry policy.
+	 * Message is put to the dead-letter queue, if all attempts fail
+	 *
+	 * @private
+	 * @param {IMessage} message
+	 * @param {IMessageHandler} handler
+	 * @returns {Promise<boolean>} - whether message was handled successfully
+	 */
+	async _deliver(message, handler) {
+		const retryPolicy = this._getRetryPolicy(message.type, handler);
+		const queueDescription = this._name ? ` on the "${this._name}" queue` : '';
+
+		let attempts = 0;
+		try {
+			await retry(() => {
+				attempts += 1;
+				return handler(message);
+			}, retryPolicy, {
+				onRetry: (err, retryNumber, retryDelay) => {
+					this._logger.log('warn', `"${message.type}" handling${queueDescription} failed: ${err.message}, `
+						+ `retry ${retryNumber} of ${retryPolicy.retries} in ${retryDelay}ms...`, { service });
+				}
+			});
+
+			return true;
+		}
+		catch (error) {
+			this._logger.log('error', `"${message.type}" handling${queueDescription} failed after ${attempts} attempt(s), `
+				+ `message moved to dead-letter queue: ${error.message}`, { service, stack: error.stack });
+
+			this._deadLetterQueue.add({ message, handler, error, attempts, timestamp: Date.now() });
 
-		return Promise.all(handlers.map(handler => handler(event)));
+			return false;
+		}
 	}
 }
 
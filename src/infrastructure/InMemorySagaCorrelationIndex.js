@@ -0,0 +1,47 @@
+'use strict';
+
+/**
+ * In-memory index of running sagas by their business keys.
+ * Index content resets on app restart,
+ * saga receptor restores it from saga starter events, when a business key is not found
+ *
+ * @class InMemorySagaCorrelationIndex
+ * @implements {ISagaCorrelationIndex}
+ */
+class InMemorySagaCorrelationIndex {
+
+	/**
+	 * Creates an instance of InMemorySagaCorrelationIndex
+	 */
+	constructor() {
+		/** @type {Map<string, Map<string, Identifier>>} */
+		this._sagaIds = new Map();
+	}
+
+	/**
+	 * Get ID of the saga of a given type, correlated with a business key
+	 *
+	 * @param {string} sagaDescriptor
+	 * @param {Identifier} key
+	 * @returns {Promise<Identifier>}
+	 */
+	async get(sagaDescriptor, key) {
+		const sagaIds = this._sagaIds.get(sagaDescriptor);
+		return sagaIds ? sagaIds.get(String(key)) : undefined;
+	}
+
+	/**
+	 * Correlate saga of a given type with a business key
+	 *
+	 * @param {string} sagaDescriptor
+	 * @param {Identifier} key
+	 * @param {Identifier} sagaId
+	 */
+	async set(sagaDescriptor, key, sagaId) {
+		const sagaIds = this._sagaIds.get(sagaDescriptor) || new Map();
+		sagaIds.set(String(key), sagaId);
+		this._sagaIds.set(sagaDescriptor, sagaIds);
+	}
+}
+
+module.exports = InMemorySagaCorrelationIndex;
@@ -0,0 +1,93 @@
+'use strict';
+
+/**
+ * In-memory registry of active sagas and their statuses.
+ * Finished sagas are removed from the registry, their statuses are restored from saga event streams instead.
+ * Registry content resets on app restart, active sagas are registered again by saga event receptors
+ *
+ * @class InMemorySagaRegistry
+ * @implements {ISagaRegistry}
+ */
+class InMemorySagaRegistry {
+
+	/**
+	 * Creates an instance of InMemorySagaRegistry
+	 */
+	constructor() {
+		/** @type {Map<string, Map<string, { sagaId: Identifier, status: TSagaStatus }>>} */
+		this._sagas = new Map();
+	}
+
+	/**
+	 * Get status of a saga of a given type
+	 *
+	 * @param {string} sagaDescriptor
+	 * @param {Identifier} sagaId
+	 * @returns {Promise<TSagaStatus>} - undefined, if saga is not registered or is already finished
+	 */
+	async getStatus(sagaDescriptor, sagaId) {
+		const sagas = this._sagas.get(sagaDescriptor);
+		const saga = sagas && sagas.get(String(sagaId));
+
+		return saga ? saga.status : undefined;
+	}
+
+	/**
+	 * Register saga of a given type or update its status, finished sagas get removed from the registry
+	 *
+	 * @param {string} sagaDescriptor
+	 * @param {Identifier} sagaId
+	 * @param {TSagaStatus} status
+	 */
+	async setStatus(sagaDescriptor, sagaId, status) {
+		if (status === 'active') {
+			this._getSaga(sagaDescriptor, sagaId);
+			return;
+		}
+
+		const sagas = this._sagas.get(sagaDescriptor);
+		if (!sagas)
+			return;
+
+		sagas.delete(String(sagaId));
+		if (!sagas.size)
+			this._sagas.delete(sagaDescriptor);
+	}
+
+	/**
+	 * Get IDs of sagas of a given type, which are not finished (completed, failed or compensated)
+	 *
+	 * @param {string} sagaDescriptor
+	 * @returns {Promise<Identifier[]>}
+	 */
+	async getActiveSagaIds(sagaDescriptor) {
+		const sagas = this._sagas.get(sagaDescriptor);
+		if (!sagas)
+			return [];
+
+		return [...sagas.values()]
+			.filter(saga => saga.status === 'active')
+			.map(saga => saga.sagaId);
+	}
+
+	/**
+	 * Get saga record, registering an active saga, if it is not registered yet
+	 *
+	 * @private
+	 * @param {string} sagaDescriptor
+	 * @param {Identifier} sagaId
+	 * @returns {{ sagaId: Identifier, status: TSagaStatus }}
+	 */
+	_getSaga(sagaDescriptor, sagaId) {
+		const sagas = this._sagas.get(sagaDescriptor) || new Map();
+		this._sagas.set(sagaDescriptor, sagas);
+
+		const key = String(sagaId);
+		if (!sagas.has(key))
+			sagas.set(key, { sagaId, status: 'active' });
+
+		return sagas.get(key);
+	}
+}
+
+module.exports = InMemorySagaRegistry;
@@ -0,0 +1,273 @@
+'use strict';
+
+const { generateUuid, getClassName } = require('../utils');
+const systemClock = require('../utils/systemClock');
+const nullLogger = require('../utils/nullLogger');
+const { validateRetryPolicy, getRetryDelay } = require('../utils/retry');
+
+// timers overflow and fire immediately on delays exceeding 32-bit signed integer
+const MAX_TIMER_DELAY = (2 ** 31) - 1;
+
+/** @type {TRetryPolicy} */
+const DEFAULT_DELIVERY_RETRY_POLICY = { retries: 10, delay: 1000, factor: 2, maxDelay: 60000 };
+
+/**
+ * Validate scheduler options shared by scheduler implementations
+ *
+ * @param {object} options
+ */
+function validateSchedulerOptions(options) {
+	if (!options) throw new TypeError('options argument required');
+	if (!options.eventStore) throw new TypeError('options.eventStore argument required');
+	if (options.clock !== undefined
+		&& ['now', 'setTimeout', 'clearTimeout'].some(method => typeof options.clock[method] !== 'function'))
+		throw new TypeError('options.clock must implement now, setTimeout and clearTimeout methods');
+	if (options.retryPolicy !== undefined)
+		validateRetryPolicy(options.retryPolicy);
+}
+
+/**
+ * Saga timeout scheduler, which keeps timeouts in memory and commits timeout events to the event store,
+ * once they are due. Scheduled timeouts are lost on app restart
+ *
+ * @class InMemorySagaScheduler
+ * @implements {ISagaScheduler}
+ */
+class InMemorySagaScheduler {
+
+	/**
+	 * Number of timeouts waiting for delivery
+	 *
+	 * @type {number}
+	 * @readonly
+	 */
+	get size() {
+		return this._timeouts.size;
+	}
+
+	/**
+	 * Creates an instance of InMemorySagaScheduler
+	 *
+	 * @param {object} options
+	 * @param {IEventStore} options.eventStore - event store to commit timeout events to
+	 * @param {IClock} [options.clock] - source of time and timers, system clock by default
+	 * @param {TRetryPolicy} [options.retryPolicy] - retries of failed timeout event commits
+	 * @param {ILogger} [options.logger]
+	 */
+	constructor(options) {
+		validateSchedulerOptions(options);
+
+		this._eventStore = options.eventStore;
+		this._clock = options.clock || systemClock;
+		this._retryPolicy = options.retryPolicy || DEFAULT_DELIVERY_RETRY_POLICY;
+		this._logger = options.logger || nullLogger;
+
+		/** @type {Map<string, TSagaTimeout>} */
+		this._timeouts = new Map();
+
+		/** @type {Map<string, any>} */
+		this._timers = new Map();
+	}
+
+	/**
+	 * Schedule event to be committed to the event store after a given delay
+	 *
+	 * @param {object} params
+	 * @param {IEvent} params.event - timeout event, must contain sagaId
+	 * @param {number} params.delay - milliseconds
+	 * @returns {Promise<TSagaTimeout>}
+	 */
+	async schedule({ event, delay }) {
+		if (!event) throw new TypeError('event argument required');
+		if (!event.sagaId) throw new TypeError('event.sagaId argument required');
+		if (typeof delay !== 'number' || !(delay >= 0)) throw new TypeError('delay argument must be a non-negative Number');
+
+		/** @type {TSagaTimeout} */
+		const timeout = {
+			id: generateUuid(),
+			sagaId: event.sagaId,
+			type: event.type,
+			dueAt: this._clock.now() + delay,
+			event
+		};
+
+		await this._persist(timeout);
+		this._arm(timeout);
+
+		return timeout;
+	}
+
+	/**
+	 * Cancel saga timeouts of a given type, or all saga timeouts, when type is not specified
+	 *
+	 * @param {Identifier} sagaId
+	 * @param {string} [type]
+	 */
+	async cancel(sagaId, type) {
+		if (!sagaId) throw new TypeError('sagaId argument required');
+
+		// timeouts being restored get armed first, so that they can be cancelled below
+		if (this._starting)
+			await this._starting;
+
+		// timeouts saved before app restart are cancelled in the durable storage, when scheduler is not started yet
+		const timeouts = this._started ?
+			[...this._timeouts.values()] :
+			[...this._timeouts.values(), ...await this._restore()];
+
+		const cancelled = timeouts.filter(t =>
+			String(t.sagaId) === String(sagaId)
+			&& (type === undefined || t.type === type));
+
+		for (const { id } of cancelled)
+			this._disarm(id);
+
+		await this._unpersist(cancelled.map(t => t.id));
+	}
+
+	/**
+	 * Arm timeouts restored from a durable storage, if any.
+	 * Should be invoked once saga event receptors are subscribed to the event store,
+	 * so that overdue timeouts are not delivered before sagas can handle them
+	 *
+	 * @returns {Promise<void>}
+	 */
+	start() {
+		if (!this._starting)
+			this._starting = this._restoreAndArm();
+
+		return this._starting;
+	}
+
+	/**
+	 * @private
+	 * @returns {Promise<void>}
+	 */
+	async _restoreAndArm() {
+		for (const timeout of await this._restore())
+			this._arm(timeout);
+
+		this._started = true;
+	}
+
+	/**
+	 * Stop all timers, timeouts are not delivered afterwards
+	 */
+	dispose() {
+		for (const id of [...this._timeouts.keys()])
+			this._disarm(id);
+	}
+
+	/**
+	 * Start a timer delivering the timeout, once it is due
+	 *
+	 * @protected
+	 * @param {TSagaTimeout} timeout
+	 */
+	_arm(timeout) {
+		const delay = Math.max(timeout.dueAt - this._clock.now(), 0);
+
+		// long delays are split into chunks, timer gets re-armed until the timeout is due
+		const onTimer = delay > MAX_TIMER_DELAY ?
+			() => this._arm(timeout) :
+			() => this._deliver(timeout);
+
+		this._timeouts.set(timeout.id, timeout);
+		this._timers.set(timeout.id, this._clock.setTimeout(onTimer, Math.min(delay, MAX_TIMER_DELAY)));
+	}
+
+	/**
+	 * @protected
+	 * @param {string} id
+	 */
+	_disarm(id) {
+		if (this._timers.has(id))
+			this._clock.clearTimeout(this._timers.get(id));
+
+		this._timers.delete(id);
+		this._timeouts.delete(id);
+	}
+
+	/**
+	 * Commit timeout event to the event store, so that it gets delivered to the saga.
+	 * Timeout is kept until the commit succeeds, failed commits are retried according to the retry policy
+	 *
+	 * @protected
+	 * @param {TSagaTimeout} timeout
+	 * @param {number} [attempt] - delivery attempt number, starting from 1
+	 * @returns {Promise<void>}
+	 */
+	async _deliver(timeout, attempt = 1) {
+		const service = getClassName(this);
+		try {
+			await this._eventStore.commit([timeout.event]);
+		}
+		catch (err) {
+			// timeout cancelled or scheduler disposed while the commit was in progress
+			if (!this._timeouts.has(timeout.id))
+				return;
+
+			if (attempt > this._retryPolicy.retries) {
+				this._logger.log('error', `"${timeout.type}" timeout of saga ${timeout.sagaId} delivery failed `
+					+ `after ${attempt} attempt(s): ${err.message}`, { service, stack: err.stack });
+
+				// persisted timeout gets delivered again after app restart
+				this._disarm(timeout.id);
+				return;
+			}
+
+			const retryDelay = getRetryDelay(this._retryPolicy, attempt);
+			this._logger.log('warn', `"${timeout.type}" timeout of saga ${timeout.sagaId} delivery failed: ${err.message}, `
+				+ `retry ${attempt} of ${this._retryPolicy.retries} in ${retryDelay}ms...`, { service });
+
+			this._timers.set(timeout.id, this._clock.setTimeout(() => this._deliver(timeout, attempt + 1), retryDelay));
+			return;
+		}
+
+		this._disarm(timeout.id);
+		try {
+			await this._unpersist([timeout.id]);
+		}
+		catch (err) {
+			this._logger.log('error', `"${timeout.type}" timeout of saga ${timeout.sagaId} removal failed: ${err.message}`, {
+				service,
+				stack: err.stack
+			});
+		}
+	}
+
+	/**
+	 * Save timeout to a durable storage, if any
+	 *
+	 * @protected
+	 * @param {TSagaTimeout} timeout
+	 * @returns {Promise<void>}
+	 */
+	async _persist(timeout) { // eslint-disable-line class-methods-use-this, no-unused-vars
+		// timeouts are kept in memory only
+	}
+
+	/**
+	 * Get timeouts saved to a durable storage, if any
+	 *
+	 * @protected
+	 * @returns {Promise<TSagaTimeout[]>}
+	 */
+	async _restore() { // eslint-disable-line class-methods-use-this
+		// timeouts are kept in memory only
+		return [];
+	}
+
+	/**
+	 * Remove delivered or cancelled timeouts from a durable storage, if any
+	 *
+	 * @protected
+	 * @param {string[]} ids
+	 * @returns {Promise<void>}
+	 */
+	async _unpersist(ids) { // eslint-disable-line class-methods-use-this, no-unused-vars
+		// timeouts are kept in memory only
+	}
+}
+
+module.exports = InMemorySagaScheduler;
@@ -1,7 +1,7 @@
 'use strict';
 
 /**
- * In-memory storage for aggregate snapshots.
+ * In-memory storage for aggregate and saga snapshots.
  * Storage content resets on app restart
  *
  * @class InMemorySnapshotStorage
@@ -15,6 +15,9 @@ class InMemorySnapshotStorage {
 	constructor() {
 		/** @type {Map<Identifier, IEvent>} */
 		this._snapshots = new Map();
+
+		/** @type {Map<Identifier, IEvent>} */
+		this._sagaSnapshots = new Map();
 	}
 
 	/**
@@ -35,6 +38,25 @@ class InMemorySnapshotStorage {
 	async saveAggregateSnapshot(snapshotEvent) {
 		this._snapshots.set(snapshotEvent.aggregateId, snapshotEvent);
 	}
+
+	/**
+	 * Get latest saga snapshot
+	 *
+	 * @param {Identifier} sagaId
+	 * @returns {Promise<IEvent>}
+	 */
+	async getSagaSnapshot(sagaId) {
+		return this._sagaSnapshots.get(sagaId);
+	}
+
+	/**
+	 * Save new saga snapshot
+	 *
+	 * @param {IEvent} snapshotEvent
+	 */
+	async saveSagaSnapshot(snapshotEvent) {
+		this._sagaSnapshots.set(snapshotEvent.sagaId, snapshotEvent);
+	}
 }
 
 module.exports = InMemorySnapshotStorage;
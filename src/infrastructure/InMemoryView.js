@@ -235,6 +235,27 @@ class InMemoryView {
 		}
 	}
 
+	/**
+	 * Get global position of the last event projected to the view
+	 *
+	 * @returns {Promise<number | undefined>}
+	 */
+	async getCheckpoint() {
+		return this._checkpoint;
+	}
+
+	/**
+	 * Save global position of the last event projected to the view
+	 *
+	 * @param {number} position
+	 * @returns {Promise<void>}
+	 */
+	async saveCheckpoint(position) {
+		if (typeof position !== 'number') throw new TypeError('position argument must be a Number');
+
+		this._checkpoint = position;
+	}
+
 	/**
 	 * Create a Promise which will resolve to a first emitted event of a given type
 	 *
@@ -0,0 +1,298 @@
+'use strict';
+
+const { ConcurrencyError } = require('../errors');
+const { generateUuid } = require('../utils');
+const openSqliteDatabase = require('../utils/openSqliteDatabase');
+
+const BATCH_SIZE = 1000;
+
+/**
+ * Convert identifier to the format it is stored in
+ *
+ * @param {Identifier} id
+ * @returns {string}
+ */
+const toKey = id => (id === undefined || id === null ? null : String(id));
+
+/**
+ * @param {{ position: number, data: string }} row
+ * @returns {IEvent}
+ */
+const parseEvent = ({ position, data }) => ({ ...JSON.parse(data), position });
+
+/**
+ * @param {Error} err
+ * @returns {boolean}
+ */
+const isUniqueConstraintError = err =>
+	err.code === 'SQLITE_CONSTRAINT_UNIQUE' || err.code === 'SQLITE_CONSTRAINT_PRIMARYKEY';
+
+/**
+ * Event storage persisting events to an embedded SQLite database (requires better-sqlite3 package).
+ * Aggregate streams are protected from concurrent modification with a unique (aggregateId, aggregateVersion) index
+ *
+ * @class SqliteEventStorage
+ * @implements {IEventStorage}
+ */
+class SqliteEventStorage {
+
+	/**
+	 * Creates an instance of SqliteEventStorage
+	 *
+	 * @param {object} options
+	 * @param {object} [options.db] - better-sqlite3 Database instance, can be shared with snapshot storage
+	 * @param {string} [options.fileName] - database file to open, when db is not provided
+	 */
+	constructor(options) {
+		this._db = openSqliteDatabase(options);
+
+		this._db.exec(`
+			CREATE TABLE IF NOT EXISTS events (
+				position INTEGER PRIMARY KEY AUTOINCREMENT,
+				type TEXT NOT NULL,
+				aggregate_id TEXT,
+				aggregate_version INTEGER,
+				saga_id TEXT,
+				saga_version INTEGER,
+				data TEXT NOT NULL
+			);
+			CREATE UNIQUE INDEX IF NOT EXISTS events_aggregate_stream
+				ON events (aggregate_id, aggregate_version) WHERE aggregate_id IS NOT NULL;
+			CREATE INDEX IF NOT EXISTS events_saga_stream
+				ON events (saga_id, saga_version) WHERE saga_id IS NOT NULL;
+			CREATE INDEX IF NOT EXISTS events_type
+				ON events (type, position);
+			CREATE TABLE IF NOT EXISTS saga_origins (
+				saga_id TEXT PRIMARY KEY,
+				position INTEGER NOT NULL
+			);
+			CREATE TABLE IF NOT EXISTS outbox (
+				event_id TEXT PRIMARY KEY,
+				position INTEGER NOT NULL
+			);
+		`);
+
+		this._insertEvent = this._db.prepare(`
+			INSERT INTO events (type, aggregate_id, aggregate_version, saga_id, saga_version, data)
+			VALUES (@type, @aggregateId, @aggregateVersion, @sagaId, @sagaVersion, @data)
+		`);
+		this._selectAggregateVersionConflict = this._db.prepare(`
+			SELECT 1 FROM events WHERE aggregate_id = ? AND aggregate_version >= ? LIMIT 1
+		`);
+		this._selectAggregateEvents = this._db.prepare(`
+			SELECT position, data FROM events
+			WHERE aggregate_id = ? AND aggregate_version > ?
+			ORDER BY aggregate_version, position
+		`);
+		this._insertSagaOrigin = this._db.prepare(`
+			INSERT INTO saga_origins (saga_id, position) VALUES (?, ?)
+		`);
+		this._selectSagaEvents = this._db.prepare(`
+			SELECT position, data FROM (
+				SELECT e.position, e.data FROM saga_origins o
+				JOIN events e ON e.position = o.position
+				WHERE o.saga_id = @sagaId AND @fromVersion <= 0 AND @beforeVersion > 0
+				UNION ALL
+				SELECT position, data FROM events
+				WHERE saga_id = @sagaId AND saga_version >= @fromVersion AND saga_version < @beforeVersion
+			)
+			ORDER BY position
+		`);
+		this._insertOutboxEntry = this._db.prepare(`
+			INSERT INTO outbox (event_id, position) VALUES (?, ?)
+		`);
+		this._selectUnpublishedEvents = this._db.prepare(`
+			SELECT e.position, e.data FROM outbox o
+			JOIN events e ON e.position = o.position
+			ORDER BY o.position
+		`);
+		this._deleteOutboxEntry = this._db.prepare(`
+			DELETE FROM outbox WHERE event_id = ?
+		`);
+		this._selectEvents = this._db.prepare(`
+			SELECT position, data FROM events
+			WHERE position > ?
+			ORDER BY position
+			LIMIT ?
+		`);
+
+		// statements selecting events of given types, keyed by number of types
+		/** @type {Map<number, object>} */
+		this._selectEventsOfTypes = new Map();
+
+		this._commit = this._db.transaction((events, expectedVersions, outbox) => {
+			if (expectedVersions)
+				this._assertExpectedVersions(expectedVersions);
+
+			return events.map(event => {
+				const { lastInsertRowid } = this._insertEvent.run({
+					type: event.type,
+					aggregateId: toKey(event.aggregateId),
+					aggregateVersion: event.aggregateVersion,
+					sagaId: toKey(event.sagaId),
+					sagaVersion: event.sagaVersion,
+					data: JSON.stringify(event)
+				});
+				if (event.sagaOrigins) {
+					for (const sagaId of Object.values(event.sagaOrigins))
+						this._insertSagaOrigin.run(toKey(sagaId), lastInsertRowid);
+				}
+				if (outbox)
+					this._insertOutboxEntry.run(toKey(event.id), lastInsertRowid);
+
+				return { ...event, position: Number(lastInsertRowid) };
+			});
+		});
+
+		this._markPublished = this._db.transaction(eventIds => {
+			for (const id of eventIds)
+				this._deleteOutboxEntry.run(toKey(id));
+		});
+	}
+
+	/**
+	 * @private
+	 * @param {TExpectedAggregateVersions} expectedVersions
+	 */
+	_assertExpectedVersions(expectedVersions) {
+		for (const [aggregateId, expectedVersion] of Object.entries(expectedVersions)) {
+			if (this._selectAggregateVersionConflict.get(aggregateId, expectedVersion)) {
+				throw new ConcurrencyError(`Aggregate ${aggregateId} stream has been modified after v${expectedVersion}`, {
+					aggregateId,
+					expectedVersion
+				});
+			}
+		}
+	}
+
+	/**
+	 * Persist events in a single transaction, assigning each of them a global position
+	 *
+	 * @param {IEvent[]} events
+	 * @param {object} [options]
+	 * @param {TExpectedAggregateVersions} [options.expectedVersions]
+	 * @param {boolean} [options.outbox] Record events as unpublished in the same transaction,
+	 * 	until markEventsPublished is invoked
+	 * @returns {Promise<IEvent[]>} Committed events with positions assigned
+	 */
+	async commitEvents(events, { expectedVersions, outbox } = {}) {
+		try {
+			return this._commit(events, expectedVersions, Boolean(outbox));
+		}
+		catch (err) {
+			if (!isUniqueConstraintError(err))
+				throw err;
+
+			const conflictingEvent = events.find(e => e.aggregateId !== undefined) || {};
+			throw new ConcurrencyError(`Aggregate ${conflictingEvent.aggregateId} stream already contains committed events `
+				+ `with the same version: ${err.message}`, {
+				aggregateId: conflictingEvent.aggregateId
+			});
+		}
+	}
+
+	/**
+	 * @param {Identifier} aggregateId
+	 * @param {object} [options]
+	 * @param {IEvent} [options.snapshot] - only events committed after the snapshot are returned
+	 * @returns {Promise<IEvent[]>}
+	 */
+	async getAggregateEvents(aggregateId, { snapshot } = {}) {
+		const afterVersion = snapshot ? snapshot.aggregateVersion : -1;
+
+		return this._selectAggregateEvents.all(toKey(aggregateId), afterVersion).map(parseEvent);
+	}
+
+	/**
+	 * @param {Identifier} sagaId
+	 * @param {object} options
+	 * @param {IEvent} options.beforeEvent
+	 * @param {IEvent} [options.snapshot] - events included in the snapshot are not returned
+	 * @returns {Promise<IEvent[]>}
+	 */
+	async getSagaEvents(sagaId, { beforeEvent, snapshot }) {
+		return this._selectSagaEvents.all({
+			sagaId: toKey(sagaId),
+			fromVersion: snapshot ? snapshot.sagaVersion : 0,
+			beforeVersion: beforeEvent.sagaVersion
+		}).map(parseEvent);
+	}
+
+	/**
+	 * Get events of given types, ordered by global position.
+	 * Events are read in batches, so that the whole table does not have to fit in memory
+	 *
+	 * @param {string[]} [eventTypes]
+	 * @param {object} [options]
+	 * @param {number} [options.afterPosition] Return events committed after a given position only
+	 * @param {number} [options.limit] Max number of events to return
+	 * @returns {AsyncIterableIterator<IEvent>}
+	 */
+	async* getEvents(eventTypes, { afterPosition = 0, limit = Infinity } = {}) {
+		let lastPosition = afterPosition;
+		let remaining = limit;
+
+		while (remaining > 0) {
+			const batchSize = Math.min(remaining, BATCH_SIZE);
+			const rows = eventTypes ?
+				this._getEventsOfTypesStatement(eventTypes.length).all(...eventTypes, lastPosition, batchSize) :
+				this._selectEvents.all(lastPosition, batchSize);
+
+			for (const row of rows)
+				yield parseEvent(row);
+
+			if (rows.length < batchSize)
+				break;
+
+			lastPosition = rows[rows.length - 1].position;
+			remaining -= rows.length;
+		}
+	}
+
+	/**
+	 * Get events committed to the outbox and not marked as published yet, ordered by position
+	 *
+	 * @returns {Promise<IEvent[]>}
+	 */
+	async getUnpublishedEvents() {
+		return this._selectUnpublishedEvents.all().map(parseEvent);
+	}
+
+	/**
+	 * Remove events from the outbox
+	 *
+	 * @param {Identifier[]} eventIds
+	 * @returns {Promise<void>}
+	 */
+	async markEventsPublished(eventIds) {
+		this._markPublished(eventIds);
+	}
+
+	/**
+	 * @private
+	 * @param {number} typesCount
+	 * @returns {object}
+	 */
+	_getEventsOfTypesStatement(typesCount) {
+		let statement = this._selectEventsOfTypes.get(typesCount);
+		if (!statement) {
+			statement = this._db.prepare(`
+				SELECT position, data FROM events
+				WHERE type IN (${new Array(typesCount).fill('?').join(', ')}) AND position > ?
+				ORDER BY position
+				LIMIT ?
+			`);
+			this._selectEventsOfTypes.set(typesCount, statement);
+		}
+		return statement;
+	}
+
+	/**
+	 * @returns {string}
+	 */
+	getNewId() { // eslint-disable-line class-methods-use-this
+		return generateUuid();
+	}
+}
+
+module.exports = SqliteEventStorage;
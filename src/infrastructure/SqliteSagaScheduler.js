@@ -0,0 +1,88 @@
+'use strict';
+
+const InMemorySagaScheduler = require('./InMemorySagaScheduler');
+const openSqliteDatabase = require('../utils/openSqliteDatabase');
+
+/**
+ * Saga timeout scheduler persisting timeouts to an embedded SQLite database (requires better-sqlite3 package).
+ * Timeouts scheduled before app restart are restored upon `start()`,
+ * the overdue ones are delivered right away
+ *
+ * @class SqliteSagaScheduler
+ * @extends {InMemorySagaScheduler}
+ * @implements {ISagaScheduler}
+ */
+class SqliteSagaScheduler extends InMemorySagaScheduler {
+
+	/**
+	 * Creates an instance of SqliteSagaScheduler
+	 *
+	 * @param {object} options
+	 * @param {IEventStore} options.eventStore - event store to commit timeout events to
+	 * @param {object} [options.db] - better-sqlite3 Database instance, can be shared with event storage
+	 * @param {string} [options.fileName] - database file to open, when db is not provided
+	 * @param {IClock} [options.clock] - source of time and timers, system clock by default
+	 * @param {TRetryPolicy} [options.retryPolicy] - retries of failed timeout event commits
+	 * @param {ILogger} [options.logger]
+	 */
+	constructor(options) {
+		super(options);
+
+		this._db = openSqliteDatabase(options);
+
+		this._db.exec(`
+			CREATE TABLE IF NOT EXISTS saga_timeouts (
+				id TEXT PRIMARY KEY,
+				saga_id TEXT NOT NULL,
+				due_at INTEGER NOT NULL,
+				data TEXT NOT NULL
+			);
+		`);
+
+		this._insertTimeout = this._db.prepare(`
+			INSERT INTO saga_timeouts (id, saga_id, due_at, data) VALUES (@id, @sagaId, @dueAt, @data)
+		`);
+		this._deleteTimeout = this._db.prepare(`
+			DELETE FROM saga_timeouts WHERE id = ?
+		`);
+		this._selectTimeouts = this._db.prepare(`
+			SELECT data FROM saga_timeouts ORDER BY due_at
+		`);
+
+		this._deleteTimeouts = this._db.transaction(ids => {
+			for (const id of ids)
+				this._deleteTimeout.run(id);
+		});
+	}
+
+	/**
+	 * @protected
+	 * @returns {Promise<TSagaTimeout[]>}
+	 */
+	async _restore() {
+		return this._selectTimeouts.all().map(({ data }) => JSON.parse(data));
+	}
+
+	/**
+	 * @protected
+	 * @param {TSagaTimeout} timeout
+	 */
+	async _persist(timeout) {
+		this._insertTimeout.run({
+			id: timeout.id,
+			sagaId: String(timeout.sagaId),
+			dueAt: timeout.dueAt,
+			data: JSON.stringify(timeout)
+		});
+	}
+
+	/**
+	 * @protected
+	 * @param {string[]} ids
+	 */
+	async _unpersist(ids) {
+		this._deleteTimeouts(ids);
+	}
+}
+
+module.exports = SqliteSagaScheduler;
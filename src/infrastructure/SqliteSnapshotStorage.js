@@ -0,0 +1,110 @@
+'use strict';
+
+const openSqliteDatabase = require('../utils/openSqliteDatabase');
+
+/**
+ * Snapshot storage persisting latest aggregate and saga snapshots to an embedded SQLite database
+ * (requires better-sqlite3 package)
+ *
+ * @class SqliteSnapshotStorage
+ * @implements {IAggregateSnapshotStorage}
+ */
+class SqliteSnapshotStorage {
+
+	/**
+	 * Creates an instance of SqliteSnapshotStorage
+	 *
+	 * @param {object} options
+	 * @param {object} [options.db] - better-sqlite3 Database instance, can be shared with event storage
+	 * @param {string} [options.fileName] - database file to open, when db is not provided
+	 */
+	constructor(options) {
+		this._db = openSqliteDatabase(options);
+
+		this._db.exec(`
+			CREATE TABLE IF NOT EXISTS snapshots (
+				aggregate_id TEXT PRIMARY KEY,
+				aggregate_version INTEGER NOT NULL,
+				data TEXT NOT NULL
+			);
+			CREATE TABLE IF NOT EXISTS saga_snapshots (
+				saga_id TEXT PRIMARY KEY,
+				saga_version INTEGER NOT NULL,
+				data TEXT NOT NULL
+			);
+		`);
+
+		this._selectSnapshot = this._db.prepare(`
+			SELECT data FROM snapshots WHERE aggregate_id = ?
+		`);
+		this._upsertSnapshot = this._db.prepare(`
+			INSERT INTO snapshots (aggregate_id, aggregate_version, data)
+			VALUES (@aggregateId, @aggregateVersion, @data)
+			ON CONFLICT (aggregate_id) DO UPDATE SET
+				aggregate_version = excluded.aggregate_version,
+				data = excluded.data
+		`);
+		this._selectSagaSnapshot = this._db.prepare(`
+			SELECT data FROM saga_snapshots WHERE saga_id = ?
+		`);
+		this._upsertSagaSnapshot = this._db.prepare(`
+			INSERT INTO saga_snapshots (saga_id, saga_version, data)
+			VALUES (@sagaId, @sagaVersion, @data)
+			ON CONFLICT (saga_id) DO UPDATE SET
+				saga_version = excluded.saga_version,
+				data = excluded.data
+		`);
+	}
+
+	/**
+	 * Get latest aggregate snapshot
+	 *
+	 * @param {Identifier} aggregateId
+	 * @returns {Promise<IEvent>}
+	 */
+	async getAggregateSnapshot(aggregateId) {
+		const row = this._selectSnapshot.get(String(aggregateId));
+
+		return row ? JSON.parse(row.data) : undefined;
+	}
+
+	/**
+	 * Save new aggregate snapshot, replacing the previous one
+	 *
+	 * @param {IEvent} snapshotEvent
+	 */
+	async saveAggregateSnapshot(snapshotEvent) {
+		this._upsertSnapshot.run({
+			aggregateId: String(snapshotEvent.aggregateId),
+			aggregateVersion: snapshotEvent.aggregateVersion,
+			data: JSON.stringify(snapshotEvent)
+		});
+	}
+
+	/**
+	 * Get latest saga snapshot
+	 *
+	 * @param {Identifier} sagaId
+	 * @returns {Promise<IEvent>}
+	 */
+	async getSagaSnapshot(sagaId) {
+		const row = this._selectSagaSnapshot.get(String(sagaId));
+
+		return row ? JSON.parse(row.data) : undefined;
+	}
+
+	/**
+	 * Save new saga snapshot, replacing the previous one
+	 *
+	 * @param {IEvent} snapshotEvent
+	 */
+	async saveSagaSnapshot(snapshotEvent) {
+		this._upsertSagaSnapshot.run({
+			sagaId: String(snapshotEvent.sagaId),
+			sagaVersion: snapshotEvent.sagaVersion,
+			data: JSON.stringify(snapshotEvent)
+		});
+	}
+}
+
+module.exports = SqliteSnapshotStorage;
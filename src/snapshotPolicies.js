@@ -0,0 +1,71 @@
+'use strict';
+
+/**
+ * Ensure argument is a positive number
+ *
+ * @param {string} name
+ * @param {number} value
+ */
+function assertPositiveNumber(name, value) {
+	if (typeof value !== 'number' || !(value > 0))
+		throw new TypeError(`${name} argument must be a positive Number`);
+}
+
+/**
+ * Take a snapshot once a given number of events is committed after the latest snapshot
+ *
+ * @param {number} eventsCount
+ * @returns {TSnapshotPolicy}
+ */
+function everyNEvents(eventsCount) {
+	assertPositiveNumber('eventsCount', eventsCount);
+
+	return ({ eventsSinceSnapshot }) => eventsSinceSnapshot >= eventsCount;
+}
+
+/**
+ * Take a snapshot, when a given time passed since the latest snapshot
+ * and new events were committed after it
+ *
+ * @param {number} milliseconds
+ * @returns {TSnapshotPolicy}
+ */
+function timeSinceLastSnapshot(milliseconds) {
+	assertPositiveNumber('milliseconds', milliseconds);
+
+	return ({ eventsSinceSnapshot, lastSnapshotTimestamp }) =>
+		eventsSinceSnapshot > 0
+		&& (lastSnapshotTimestamp === undefined || Date.now() - lastSnapshotTimestamp >= milliseconds);
+}
+
+/**
+ * Take a snapshot, when aggregate restoring required a replay of a given number of events or more
+ *
+ * @param {number} eventsCount
+ * @returns {TSnapshotPolicy}
+ */
+function restoredStreamSize(eventsCount) {
+	assertPositiveNumber('eventsCount', eventsCount);
+
+	return ({ restoredEventsCount }) => restoredEventsCount >= eventsCount;
+}
+
+/**
+ * Take a snapshot, when any of given policies requires it
+ *
+ * @param {...TSnapshotPolicy} policies
+ * @returns {TSnapshotPolicy}
+ */
+function anyOf(...policies) {
+	if (!policies.length || policies.some(p => typeof p !== 'function'))
+		throw new TypeError('policies arguments must be Functions');
+
+	return context => policies.some(policy => policy(context));
+}
+
+module.exports = {
+	everyNEvents,
+	timeSinceLastSnapshot,
+	restoredStreamSize,
+	anyOf
+};
@@ -5,6 +5,11 @@ const getHandledMessageTypes = require('./utils/getHandledMessageTypes');
 
 const unique = arr => [...new Set(arr)];
 
+/**
+ * @typedef {object} TSubscription
+ * @property {function(): void} unsubscribe - removes all handlers set up by the subscribe call
+ */
+
 /**
  * Subscribe observer to observable
  *
@@ -14,6 +19,7 @@ const unique = arr => [...new Set(arr)];
  * @param {string[]} [options.messageTypes]
  * @param {IMessageHandler} [options.masterHandler]
  * @param {string} [options.queueName]
+ * @returns {TSubscription}
  */
 function subscribe(observable, observer, options = {}) {
 	if (typeof observable !== 'object' || !observable)
@@ -33,16 +39,28 @@ function subscribe(observable, observer, options = {}) {
 	if (!Array.isArray(subscribeTo))
 		throw new TypeError('either options.messageTypes, observer.handles or ObserverType.handles is required');
 
+	/** @type {Array<{ target: IObservable, messageType: string, handler: IMessageHandler }>} */
+	const subscriptions = [];
+
 	for (const messageType of unique(subscribeTo)) {
 		const handler = masterHandler || getHandler(observer, messageType);
 		if (!handler)
 			throw new Error(`'${messageType}' handler is not defined or not a function`);
 
-		if (queueName)
-			observable.queue(queueName).on(messageType, handler);
-		else
-			observable.on(messageType, handler);
+		const target = queueName ? observable.queue(queueName) : observable;
+		target.on(messageType, handler);
+		subscriptions.push({ target, messageType, handler });
 	}
+
+	return {
+		unsubscribe() {
+			if (subscriptions.some(({ target }) => typeof target.off !== 'function'))
+				throw new TypeError('observable.off must be a Function to unsubscribe');
+
+			for (const { target, messageType, handler } of subscriptions.splice(0))
+				target.off(messageType, handler);
+		}
+	};
 }
 
 module.exports = subscribe;
@@ -0,0 +1,97 @@
+'use strict';
+
+/**
+ * Bounded in-memory cache, which evicts least recently used records
+ * and records that are older than a given time-to-live
+ *
+ * @class LruCache
+ * @template TValue
+ */
+class LruCache {
+
+	/**
+	 * Number of records in the cache, including expired ones
+	 *
+	 * @type {number}
+	 * @readonly
+	 */
+	get size() {
+		return this._map.size;
+	}
+
+	/**
+	 * Creates an instance of LruCache
+	 *
+	 * @param {object} options
+	 * @param {number} options.maxSize Max number of records
+	 * @param {number} [options.ttl] Record time-to-live, in milliseconds
+	 */
+	constructor({ maxSize, ttl } = {}) {
+		if (!Number.isInteger(maxSize) || maxSize < 1) throw new TypeError('maxSize argument must be a positive Integer');
+		if (ttl !== undefined && (typeof ttl !== 'number' || ttl <= 0)) throw new TypeError('ttl argument, when provided, must be a positive Number');
+
+		this._maxSize = maxSize;
+		this._ttl = ttl;
+
+		/** @type {Map<string, { value: TValue, expiresAt: number }>} */
+		this._map = new Map();
+	}
+
+	/**
+	 * Get record, if it exists and is not expired
+	 *
+	 * @param {Identifier} key
+	 * @returns {TValue | undefined}
+	 */
+	get(key) {
+		const k = String(key);
+		const record = this._map.get(k);
+		if (!record)
+			return undefined;
+
+		this._map.delete(k);
+		if (record.expiresAt <= Date.now())
+			return undefined;
+
+		// re-insert to mark record as the most recently used one
+		this._map.set(k, record);
+
+		return record.value;
+	}
+
+	/**
+	 * Add or replace record, evict the least recently used record, if cache is full
+	 *
+	 * @param {Identifier} key
+	 * @param {TValue} value
+	 */
+	set(key, value) {
+		const k = String(key);
+		this._map.delete(k);
+		this._map.set(k, {
+			value,
+			expiresAt: this._ttl ? Date.now() + this._ttl : Infinity
+		});
+
+		if (this._map.size > this._maxSize)
+			this._map.delete(this._map.keys().next().value);
+	}
+
+	/**
+	 * Delete record
+	 *
+	 * @param {Identifier} key
+	 */
+	delete(key) {
+		this._map.delete(String(key));
+	}
+
+	/**
+	 * Delete all records
+	 */
+	clear() {
+		this._map.clear();
+	}
+}
+
+module.exports = LruCache;
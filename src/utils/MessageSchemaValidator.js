@@ -0,0 +1,86 @@
+'use strict';
+
+const ValidationError = require('../errors/ValidationError');
+
+/**
+ * Convert Ajv error to a structured validation error description
+ *
+ * @param {import('ajv').ErrorObject} error
+ * @returns {TValidationErrorDetails}
+ */
+const describeError = error => ({
+	path: `payload${error.dataPath}`,
+	keyword: error.keyword,
+	message: error.message,
+	params: error.params
+});
+
+/**
+ * Validates message payloads against JSON Schemas registered per message type
+ *
+ * @class MessageSchemaValidator
+ */
+class MessageSchemaValidator {
+
+	/**
+	 * Creates an instance of MessageSchemaValidator
+	 *
+	 * @param {object} [schemas] - JSON Schemas of message payloads, keyed by message type
+	 */
+	constructor(schemas) {
+		if (schemas !== undefined && (typeof schemas !== 'object' || !schemas))
+			throw new TypeError('schemas argument, when provided, must be an Object');
+
+		/** @type {Map<string, import('ajv').ValidateFunction>} */
+		this._validators = new Map();
+
+		if (schemas) {
+			for (const messageType of Object.keys(schemas))
+				this.register(messageType, schemas[messageType]);
+		}
+	}
+
+	/**
+	 * Register JSON Schema of a given message type payload.
+	 * Schema registered for the same message type before gets replaced
+	 *
+	 * @param {string} messageType
+	 * @param {object|boolean} schema
+	 */
+	register(messageType, schema) {
+		if (typeof messageType !== 'string' || !messageType.length)
+			throw new TypeError('messageType argument must be a non-empty String');
+		if (typeof schema !== 'boolean' && (typeof schema !== 'object' || !schema))
+			throw new TypeError('schema argument must be an Object or a Boolean');
+
+		if (!this._ajv) {
+			// optional peer dependency, required only when schemas get registered
+			const Ajv = require('ajv'); // eslint-disable-line global-require
+			this._ajv = new Ajv({ allErrors: true });
+		}
+
+		this._validators.set(messageType, this._ajv.compile(schema));
+	}
+
+	/**
+	 * Validate message payload against the schema registered for the message type, if any
+	 *
+	 * @param {IMessage} message
+	 * @throws {ValidationError}
+	 */
+	validate(message) {
+		const validatePayload = this._validators.get(message.type);
+		if (!validatePayload || validatePayload(message.payload))
+			return;
+
+		const errors = validatePayload.errors.map(describeError);
+		const summary = errors.map(e => `${e.path} ${e.message}`).join(', ');
+
+		throw new ValidationError(`"${message.type}" validation failed: ${summary}`, {
+			messageType: message.type,
+			errors
+		});
+	}
+}
+
+module.exports = MessageSchemaValidator;
@@ -0,0 +1,112 @@
+'use strict';
+
+const SNAPSHOT_EVENT_TYPE = 'snapshot';
+
+/**
+ * @param {IEvent} event
+ * @returns {number}
+ */
+const getSchemaVersion = event => event.schemaVersion || 0;
+
+/**
+ * Registry of event upcasters, which convert events persisted in older schema versions
+ * to the current event shape.
+ *
+ * Events committed before any upcaster has been registered for their type
+ * have no `schemaVersion` and are treated as version 0.
+ *
+ * @class UpcasterRegistry
+ */
+class UpcasterRegistry {
+
+	/**
+	 * Event types that have upcasters registered
+	 *
+	 * @type {string[]}
+	 * @readonly
+	 */
+	get eventTypes() {
+		return Array.from(this._upcasters.keys());
+	}
+
+	/**
+	 * Creates an instance of UpcasterRegistry
+	 */
+	constructor() {
+		/** @type {Map<string, Map<number, TEventUpcaster>>} */
+		this._upcasters = new Map();
+	}
+
+	/**
+	 * Register upcaster converting events of a given type from a given schema version to the next one.
+	 * Upcaster must not modify the passed in event, but return a new one, or an array of events,
+	 * if the event has been split.
+	 * Returned events of the same type get the next schema version assigned,
+	 * events of other types are considered to be in their current schema version.
+	 *
+	 * @param {string} eventType
+	 * @param {number} fromVersion
+	 * @param {TEventUpcaster} upcaster
+	 */
+	register(eventType, fromVersion, upcaster) {
+		if (typeof eventType !== 'string' || !eventType.length) throw new TypeError('eventType argument must be a non-empty String');
+		if (!Number.isInteger(fromVersion) || fromVersion < 0) throw new TypeError('fromVersion argument must be a non-negative Integer');
+		if (typeof upcaster !== 'function') throw new TypeError('upcaster argument must be a Function');
+		if (eventType === SNAPSHOT_EVENT_TYPE) throw new TypeError(`${SNAPSHOT_EVENT_TYPE} events cannot be upcasted`);
+
+		if (!this._upcasters.has(eventType))
+			this._upcasters.set(eventType, new Map());
+
+		const typeUpcasters = this._upcasters.get(eventType);
+		if (typeUpcasters.has(fromVersion))
+			throw new Error(`"${eventType}" upcaster from v${fromVersion} is already registered`);
+
+		typeUpcasters.set(fromVersion, upcaster);
+	}
+
+	/**
+	 * Get current schema version of a given event type
+	 *
+	 * @param {string} eventType
+	 * @returns {number}
+	 */
+	getCurrentVersion(eventType) {
+		const typeUpcasters = this._upcasters.get(eventType);
+		if (!typeUpcasters)
+			return 0;
+
+		return Math.max(...typeUpcasters.keys()) + 1;
+	}
+
+	/**
+	 * Convert event to the current schema version
+	 *
+	 * @param {IEvent} event
+	 * @returns {IEvent[]} Upcasted event, or multiple events, if the event has been split
+	 */
+	upcast(event) {
+		const typeUpcasters = this._upcasters.get(event.type);
+		const version = getSchemaVersion(event);
+		const upcaster = typeUpcasters && typeUpcasters.get(version);
+		if (!upcaster)
+			return [event];
+
+		const result = upcaster(event);
+		const upcastedEvents = Array.isArray(result) ? result : [result];
+		if (upcastedEvents.some(e => typeof e !== 'object' || !e || typeof e.type !== 'string'))
+			throw new TypeError(`"${event.type}" upcaster from v${version} must return an event or an Array of events`);
+
+		const r = [];
+		for (const upcastedEvent of upcastedEvents) {
+			const schemaVersion = upcastedEvent.type === event.type ?
+				version + 1 :
+				this.getCurrentVersion(upcastedEvent.type);
+
+			r.push(...this.upcast({ ...upcastedEvent, schemaVersion }));
+		}
+
+		return r;
+	}
+}
+
+module.exports = UpcasterRegistry;
@@ -0,0 +1,17 @@
+'use strict';
+
+const { randomBytes } = require('crypto');
+
+const UUID_VARIANTS = '89ab';
+
+/**
+ * Generate random RFC 4122 version 4 UUID
+ *
+ * @returns {string}
+ */
+module.exports = function generateUuid() {
+	const hex = randomBytes(16).toString('hex');
+	const variant = UUID_VARIANTS[parseInt(hex[16], 16) % UUID_VARIANTS.length];
+
+	return `${hex.substr(0, 8)}-${hex.substr(8, 4)}-4${hex.substr(13, 3)}-${variant}${hex.substr(17, 3)}-${hex.substr(20, 12)}`;
+};
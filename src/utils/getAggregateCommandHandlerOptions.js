@@ -0,0 +1,26 @@
+'use strict';
+
+const getHandledMessageTypes = require('./getHandledMessageTypes');
+
+/**
+ * Get AggregateCommandHandler options for an aggregate type registered in the DI container
+ *
+ * @param {IAggregateConstructor} AggregateType
+ * @param {object} options
+ * @param {TSnapshotPolicy} [options.snapshotPolicy] - defines when aggregate snapshots are taken
+ * @param {boolean} [options.asyncSnapshots] - take snapshots in background after events are committed
+ * @param {IAggregateFactory} aggregateFactory - creates aggregate instances with dependencies injected
+ * @returns {object}
+ */
+function getAggregateCommandHandlerOptions(AggregateType, { snapshotPolicy, asyncSnapshots } = {}, aggregateFactory) {
+	return {
+		aggregateType: aggregateFactory,
+		handles: getHandledMessageTypes(AggregateType),
+		schemas: AggregateType.schemas,
+		snapshotSchemaVersion: AggregateType.snapshotSchemaVersion,
+		snapshotPolicy,
+		asyncSnapshots
+	};
+}
+
+module.exports = getAggregateCommandHandlerOptions;
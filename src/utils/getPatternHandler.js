@@ -0,0 +1,41 @@
+'use strict';
+
+const getHandler = require('./getHandler');
+const getHandledMessageTypes = require('./getHandledMessageTypes');
+const { isMessageTypePattern, matchesMessageType } = require('./messageTypePatterns');
+
+// handled message type patterns, cached per observer class
+/** @type {WeakMap<object, string[]>} */
+const handledPatterns = new WeakMap();
+
+/**
+ * Get message type patterns handled by observer
+ *
+ * @param {object} observer
+ * @returns {string[]}
+ */
+function getHandledPatterns(observer) {
+	const prototype = Object.getPrototypeOf(observer) || observer;
+
+	let patterns = handledPatterns.get(prototype);
+	if (!patterns) {
+		patterns = getHandledMessageTypes(observer).filter(isMessageTypePattern);
+		handledPatterns.set(prototype, patterns);
+	}
+
+	return patterns;
+}
+
+/**
+ * Get handler of the first pattern among observer handled message types, which matches a given message type,
+ * i.e. `'user*'(event) { }` for "userCreated" event
+ *
+ * @param {object} observer - projection or saga instance
+ * @param {string} messageType
+ * @returns {IMessageHandler} - null, if none of handled patterns matches the message type
+ */
+module.exports = function getPatternHandler(observer, messageType) {
+	const pattern = getHandledPatterns(observer).find(p => matchesMessageType(p, messageType));
+
+	return pattern ? getHandler(observer, pattern) : null;
+};
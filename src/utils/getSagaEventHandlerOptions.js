@@ -0,0 +1,26 @@
+'use strict';
+
+/**
+ * Get SagaEventHandler options for a saga type registered in the DI container
+ *
+ * @param {ISagaConstructor} SagaType
+ * @param {object} options
+ * @param {TSnapshotPolicy} [options.snapshotPolicy] - replaces the saga `snapshotPolicy` static getter
+ * @param {ISagaFactory} sagaFactory - creates saga instances with dependencies injected
+ * @returns {object}
+ */
+function getSagaEventHandlerOptions(SagaType, { snapshotPolicy = SagaType.snapshotPolicy } = {}, sagaFactory) {
+	return {
+		sagaType: sagaFactory,
+		handles: SagaType.handles,
+		startsWith: SagaType.startsWith,
+		correlations: SagaType.correlations,
+		compensations: SagaType.compensations,
+		queueName: SagaType.name,
+		sagaDescriptor: SagaType.sagaDescriptor || SagaType.name,
+		snapshotSchemaVersion: SagaType.snapshotSchemaVersion,
+		snapshotPolicy
+	};
+}
+
+module.exports = getSagaEventHandlerOptions;
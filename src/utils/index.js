@@ -1,7 +1,9 @@
 'use strict';
 
 exports.getClassName = require('./getClassName');
+exports.generateUuid = require('./generateUuid');
 exports.getHandler = require('./getHandler');
+exports.getPatternHandler = require('./getPatternHandler');
 exports.isClass = require('./isClass');
 exports.sizeOf = require('./sizeOf');
 exports.validateHandlers = require('./validateHandlers');
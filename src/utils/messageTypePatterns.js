@@ -0,0 +1,44 @@
+'use strict';
+
+const WILDCARD = '*';
+
+/** @type {Map<string, RegExp>} */
+const patternExpressions = new Map();
+
+const escapeRegExp = str => str.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Check whether message type is a pattern, i.e. "*", "user*" or "billing.*"
+ *
+ * @param {string} messageType
+ * @returns {boolean}
+ */
+function isMessageTypePattern(messageType) {
+	return messageType.includes(WILDCARD);
+}
+
+/**
+ * Check whether message type matches a given exact type or a pattern,
+ * where "*" stands for any sequence of characters
+ *
+ * @param {string} typeOrPattern
+ * @param {string} messageType
+ * @returns {boolean}
+ */
+function matchesMessageType(typeOrPattern, messageType) {
+	if (!isMessageTypePattern(typeOrPattern))
+		return typeOrPattern === messageType;
+
+	let expression = patternExpressions.get(typeOrPattern);
+	if (!expression) {
+		expression = new RegExp(`^${typeOrPattern.split(WILDCARD).map(escapeRegExp).join('.*')}$`);
+		patternExpressions.set(typeOrPattern, expression);
+	}
+
+	return expression.test(messageType);
+}
+
+module.exports = {
+	isMessageTypePattern,
+	matchesMessageType
+};
@@ -0,0 +1,32 @@
+'use strict';
+
+/**
+ * Get SQLite database from storage options:
+ * either use the passed in better-sqlite3 Database instance or open a database file
+ *
+ * @param {object} options
+ * @param {import('better-sqlite3').Database} [options.db]
+ * @param {string} [options.fileName]
+ * @returns {import('better-sqlite3').Database}
+ */
+module.exports = function openSqliteDatabase(options) {
+	if (!options) throw new TypeError('options argument required');
+
+	if (options.db) {
+		if (typeof options.db.prepare !== 'function')
+			throw new TypeError('options.db must be a better-sqlite3 Database instance');
+
+		return options.db;
+	}
+
+	if (typeof options.fileName !== 'string' || !options.fileName.length)
+		throw new TypeError('either options.db or options.fileName argument required');
+
+	// optional peer dependency, required only when database is not passed in
+	const Database = require('better-sqlite3'); // eslint-disable-line global-require
+
+	const db = new Database(options.fileName);
+	db.pragma('journal_mode = WAL');
+
+	return db;
+};
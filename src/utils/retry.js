@@ -0,0 +1,74 @@
+'use strict';
+
+/**
+ * @typedef {object} TRetryPolicy
+ * @property {number} retries Max number of retries after the first failed attempt
+ * @property {number} [delay] Delay before the first retry, in milliseconds
+ * @property {number} [factor] Multiplier applied to the delay after each retry
+ * @property {number} [maxDelay] Max delay between retries, in milliseconds
+ */
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Ensure retry policy matches the expected format
+ *
+ * @param {TRetryPolicy} policy
+ */
+function validateRetryPolicy(policy) {
+	if (typeof policy !== 'object' || !policy)
+		throw new TypeError('retry policy must be an Object');
+	if (!Number.isInteger(policy.retries) || policy.retries < 0)
+		throw new TypeError('retry policy retries must be a non-negative Integer');
+	if (policy.delay !== undefined && (typeof policy.delay !== 'number' || policy.delay < 0))
+		throw new TypeError('retry policy delay, when provided, must be a non-negative Number');
+	if (policy.factor !== undefined && (typeof policy.factor !== 'number' || policy.factor < 1))
+		throw new TypeError('retry policy factor, when provided, must be a Number greater than or equal to 1');
+	if (policy.maxDelay !== undefined && (typeof policy.maxDelay !== 'number' || policy.maxDelay < 0))
+		throw new TypeError('retry policy maxDelay, when provided, must be a non-negative Number');
+}
+
+/**
+ * Get delay before a given retry, using exponential backoff
+ *
+ * @param {TRetryPolicy} policy
+ * @param {number} retryNumber Retry number, starting from 1
+ * @returns {number}
+ */
+function getRetryDelay({ delay = 0, factor = 2, maxDelay = Infinity }, retryNumber) {
+	return Math.min(delay * (factor ** (retryNumber - 1)), maxDelay);
+}
+
+/**
+ * Execute an async operation, retrying it according to the retry policy
+ *
+ * @template TResult
+ * @param {function(): Promise<TResult>} operation
+ * @param {TRetryPolicy} policy
+ * @param {object} [options]
+ * @param {function(Error): boolean} [options.shouldRetry] Whether operation can be retried after a given error
+ * @param {function(Error, number, number): void} [options.onRetry] Receives an error, retry number and delay
+ * @returns {Promise<TResult>}
+ */
+async function retry(operation, policy, { shouldRetry, onRetry } = {}) {
+	for (let attempt = 0; ; attempt++) {
+		try {
+			return await operation();
+		}
+		catch (err) {
+			if (attempt >= policy.retries || (shouldRetry && !shouldRetry(err)))
+				throw err;
+
+			const retryDelay = getRetryDelay(policy, attempt + 1);
+			if (onRetry)
+				onRetry(err, attempt + 1, retryDelay);
+
+			await wait(retryDelay);
+		}
+	}
+}
+
+module.exports = retry;
+module.exports.validateRetryPolicy = validateRetryPolicy;
+module.exports.getRetryDelay = getRetryDelay;
+module.exports.wait = wait;
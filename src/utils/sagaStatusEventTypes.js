@@ -0,0 +1,12 @@
+'use strict';
+
+/**
+ * Types of events recording saga status changes in the event store, keyed by saga status
+ *
+ * @type {Readonly<Object<string, string>>}
+ */
+module.exports = Object.freeze({
+	completed: 'sagaCompleted',
+	failed: 'sagaFailed',
+	compensated: 'sagaCompensated'
+});
@@ -0,0 +1,12 @@
+'use strict';
+
+/**
+ * Clock based on system time and timers, default for components scheduling deferred work
+ *
+ * @type {IClock}
+ */
+module.exports = {
+	now: () => Date.now(),
+	setTimeout: (callback, ms) => setTimeout(callback, ms),
+	clearTimeout: handle => clearTimeout(handle)
+};
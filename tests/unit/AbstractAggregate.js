@@ -191,6 +191,14 @@ describe('AbstractAggregate', function () {
 
 			assert(agg.mutate.calledOnce, 'mutate was not called once');
 		});
+
+		it('derives correlationId and causationId from the command being handled', () => {
+
+			agg.handle({ type: 'doSomethingStateless', id: 'command-1', correlationId: 'flow-1' });
+
+			expect(agg).to.have.nested.property('changes[0].correlationId', 'flow-1');
+			expect(agg).to.have.nested.property('changes[0].causationId', 'command-1');
+		});
 	});
 
 	describe('mutate(event)', () => {
@@ -231,6 +239,14 @@ describe('AbstractAggregate', function () {
 			expect(() => agg.mutate({ type: 'somethingStatelessHappened' })).to.not.throw();
 		});
 
+		it('does not mutate state without prototype, if state event handler is not defined', () => {
+
+			agg = new Aggregate({ id: 2, state: Object.create(null) });
+
+			expect(() => agg.mutate({ type: 'somethingStatelessHappened' })).to.not.throw();
+			expect(agg).to.have.property('version', 1);
+		});
+
 
 		const snapshotEvent = { aggregateVersion: 1, type: 'snapshot', payload: { somethingDone: 1 } };
 
@@ -256,6 +272,20 @@ describe('AbstractAggregate', function () {
 		});
 	});
 
+	describe('resetChanges()', () => {
+
+		it('clears the changes queue, keeping aggregate version', () => {
+
+			agg.handle({ type: 'doSomethingStateless' });
+			expect(agg.changes).to.have.length(1);
+
+			agg.resetChanges();
+
+			expect(agg.changes).to.be.empty;
+			expect(agg).to.have.property('version', 1);
+		});
+	});
+
 	describe('takeSnapshot()', () => {
 
 		it('exists', () => {
@@ -275,6 +305,21 @@ describe('AbstractAggregate', function () {
 			expect(changes[0]).to.have.property('type', 'somethingDone');
 			expect(changes[1]).to.have.property('type', 'snapshot');
 			expect(changes[1]).to.have.property('payload').that.deep.equals(agg.state);
+			expect(changes[1]).to.not.have.property('schemaVersion');
+		});
+
+		it('assigns snapshot schema version, when defined', () => {
+
+			class VersionedAggregate extends Aggregate {
+				static get snapshotSchemaVersion() {
+					return 2;
+				}
+			}
+
+			const versionedAggregate = new VersionedAggregate({ id: 1 });
+			versionedAggregate.takeSnapshot();
+
+			expect(versionedAggregate.changes).to.have.nested.property('[0].schemaVersion', 2);
 		});
 	});
 
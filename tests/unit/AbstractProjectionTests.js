@@ -161,6 +161,191 @@ describe('AbstractProjection', function () {
 		});
 	});
 
+	describe('dispose()', () => {
+
+		it('unsubscribes projection from event store', async () => {
+
+			const eventStore = new EventStore({ storage: new InMemoryEventStorage() });
+			await projection.subscribe(eventStore);
+			sinon.spy(projection, 'project');
+
+			projection.dispose();
+			await eventStore.commit([{ aggregateId: 1, aggregateVersion: 0, type: 'somethingHappened' }]);
+			await new Promise(resolve => setImmediate(resolve));
+
+			expect(projection.project).to.have.property('called', false);
+		});
+
+		it('fails, when observable does not support unsubscribing', async () => {
+
+			await projection.subscribe({ on() { }, getAllEvents: () => [] });
+
+			expect(() => projection.dispose()).to.throw(TypeError, 'observable.off must be a Function to unsubscribe');
+		});
+	});
+
+	describe('pattern subscriptions', () => {
+
+		class AuditLogProjection extends AbstractProjection {
+			static get handles() {
+				return ['userCreated', 'user*'];
+			}
+			userCreated(e) {
+				this.view.create(e.aggregateId, [`created: ${e.type}`]);
+			}
+			['user*'](e) {
+				this.view.update(e.aggregateId, log => [...log, `other: ${e.type}`]);
+			}
+		}
+
+		it('passes events matching pattern to pattern handler, when exact type handler is not defined', async () => {
+
+			const eventStore = new EventStore({ storage: new InMemoryEventStorage() });
+			await eventStore.commit([
+				{ aggregateId: 1, aggregateVersion: 0, type: 'userCreated' },
+				{ aggregateId: 1, aggregateVersion: 1, type: 'userRenamed' },
+				{ aggregateId: 1, aggregateVersion: 2, type: 'billingAddressChanged' }
+			]);
+
+			const auditLog = new AuditLogProjection();
+			await auditLog.subscribe(eventStore);
+
+			await eventStore.commit([{ aggregateId: 1, aggregateVersion: 3, type: 'userDeleted' }]);
+			await new Promise(resolve => setTimeout(resolve, 5));
+
+			expect(await auditLog.view.get(1)).to.deep.eq([
+				'created: userCreated',
+				'other: userRenamed',
+				'other: userDeleted'
+			]);
+		});
+	});
+
+	describe('restore(eventStore) with a checkpoint view', () => {
+
+		class CheckpointView extends Map {
+			async getCheckpoint() {
+				return this.checkpoint;
+			}
+			async saveCheckpoint(position) {
+				this.checkpoint = position;
+			}
+		}
+
+		class CountingProjection extends AbstractProjection {
+			static get handles() {
+				return ['somethingHappened'];
+			}
+			async somethingHappened({ aggregateId }) {
+				await new Promise(setImmediate);
+				this.view.set(aggregateId, (this.view.get(aggregateId) || 0) + 1);
+			}
+		}
+
+		let es;
+		let view;
+		let countingProjection;
+
+		beforeEach(() => {
+			es = {
+				async* getAllEvents(eventTypes, { afterPosition = 0 } = {}) {
+					const events = [
+						{ type: 'somethingHappened', aggregateId: 1, position: 1 },
+						{ type: 'somethingHappened', aggregateId: 1, position: 2 },
+						{ type: 'somethingHappened', aggregateId: 2, position: 3 }
+					];
+					yield* events.filter(e => e.position > afterPosition);
+				}
+			};
+			sinon.spy(es, 'getAllEvents');
+
+			view = new CheckpointView();
+			countingProjection = new CountingProjection({ view });
+		});
+
+		it('restores view from the beginning, when checkpoint is not saved', async () => {
+
+			await countingProjection.restore(es);
+
+			expect(es.getAllEvents).to.have.nested.property('lastCall.args.length', 1);
+			expect(view.get(1)).to.eq(2);
+			expect(view.get(2)).to.eq(1);
+		});
+
+		it('saves position of each projected event as a checkpoint', async () => {
+
+			sinon.spy(view, 'saveCheckpoint');
+
+			await countingProjection.restore(es);
+
+			expect(view.saveCheckpoint).to.have.property('callCount', 3);
+			expect(view).to.have.property('checkpoint', 3);
+		});
+
+		it('catches up from the saved checkpoint', async () => {
+
+			view.checkpoint = 2;
+
+			await countingProjection.restore(es);
+
+			expect(es.getAllEvents).to.have.nested.property('lastCall.args[1].afterPosition', 2);
+			expect(view.has(1)).to.eq(false);
+			expect(view.get(2)).to.eq(1);
+		});
+
+		it('projects live events received during restoring after the view is caught up, skipping duplicates', async () => {
+
+			const restoring = countingProjection.restore(es);
+			const liveProjecting = Promise.all([
+				countingProjection.project({ type: 'somethingHappened', aggregateId: 2, position: 3 }),
+				countingProjection.project({ type: 'somethingHappened', aggregateId: 2, position: 4 })
+			]);
+
+			await Promise.all([restoring, liveProjecting]);
+
+			expect(view.get(1)).to.eq(2);
+			expect(view.get(2)).to.eq(2);
+			expect(view).to.have.property('checkpoint', 4);
+		});
+
+		it('projects live events redelivered after a later event, keeping the later checkpoint', async () => {
+
+			await countingProjection.restore(es);
+
+			await countingProjection.project({ type: 'somethingHappened', aggregateId: 3, position: 5 });
+			await countingProjection.project({ type: 'somethingHappened', aggregateId: 4, position: 4 });
+
+			expect(view.get(3)).to.eq(1);
+			expect(view.get(4)).to.eq(1);
+			expect(view).to.have.property('checkpoint', 5);
+		});
+
+		it('saves checkpoints one after another, never moving them backwards', async () => {
+
+			class DelayedProjection extends AbstractProjection {
+				static get handles() {
+					return ['somethingHappened'];
+				}
+				async somethingHappened({ aggregateId, payload = { delay: 0 } }) {
+					await new Promise(resolve => setTimeout(resolve, payload.delay));
+					this.view.set(aggregateId, true);
+				}
+			}
+
+			const delayedProjection = new DelayedProjection({ view });
+			await delayedProjection.restore(es);
+			sinon.spy(view, 'saveCheckpoint');
+
+			await Promise.all([
+				delayedProjection.project({ type: 'somethingHappened', aggregateId: 4, position: 4, payload: { delay: 10 } }),
+				delayedProjection.project({ type: 'somethingHappened', aggregateId: 5, position: 5, payload: { delay: 0 } })
+			]);
+
+			expect(view.saveCheckpoint.args).to.deep.eq([[5]]);
+			expect(view).to.have.property('checkpoint', 5);
+		});
+	});
+
 	describe('project(event)', () => {
 
 		const event = { type: 'somethingHappened', aggregateId: 1 };
@@ -130,4 +130,113 @@ describe('AbstractSaga', function () {
 			expect(s.uncommittedMessages).to.be.empty;
 		});
 	});
+
+	describe('scheduleTimeout(timeoutType, delay, payload)', () => {
+
+		it('validates arguments', () => {
+
+			expect(() => s.scheduleTimeout()).to.throw(TypeError, 'timeoutType argument must be a non-empty String');
+			expect(() => s.scheduleTimeout('paymentTimedOut', -1)).to.throw(TypeError, 'delay argument must be a non-negative Number');
+		});
+
+		it('adds timeout to saga.uncommittedTimeouts list', () => {
+
+			s.scheduleTimeout('paymentTimedOut', 1000, { orderId: 1 });
+
+			expect(s.uncommittedTimeouts).to.deep.eq([
+				{ type: 'paymentTimedOut', delay: 1000, payload: { orderId: 1 }, sagaVersion: 0 }
+			]);
+		});
+	});
+
+	describe('cancelTimeout(timeoutType)', () => {
+
+		it('adds timeout cancellation to saga.uncommittedTimeouts list', () => {
+
+			s.cancelTimeout('paymentTimedOut');
+			s.cancelTimeout();
+
+			expect(s.uncommittedTimeouts).to.deep.eq([
+				{ type: 'paymentTimedOut', cancel: true },
+				{ type: undefined, cancel: true }
+			]);
+
+			s.resetUncommittedTimeouts();
+			expect(s.uncommittedTimeouts).to.be.empty;
+		});
+	});
+
+	describe('status', () => {
+
+		it('is "active" by default', () => {
+
+			expect(s).to.have.property('status', 'active');
+		});
+
+		it('changes, when saga is completed or failed', () => {
+
+			s.complete();
+			expect(s).to.have.property('status', 'completed');
+
+			s.fail('payment declined');
+			expect(s).to.have.property('status', 'failed');
+			expect(s).to.have.property('failureReason', 'payment declined');
+		});
+
+		it('restores from status events recorded in the event store', () => {
+
+			const restored = new Saga({
+				id: 1,
+				events: [
+					{ type: 'somethingHappened', sagaId: 1, sagaVersion: 0 },
+					{ type: 'sagaFailed', sagaId: 1, sagaVersion: 1, payload: { reason: 'payment declined' } }
+				]
+			});
+
+			expect(restored).to.have.property('status', 'failed');
+			expect(restored).to.have.property('failureReason', 'payment declined');
+			expect(restored).to.have.property('version', 2);
+		});
+	});
+
+	describe('makeSnapshot() and restoreSnapshot(snapshotEvent)', () => {
+
+		class StatefulSaga extends AbstractSaga {
+			static get startsWith() {
+				return ['somethingHappened'];
+			}
+			constructor({ id, events }) {
+				super({ id, events, state: { counter: 0 } });
+			}
+			somethingHappened() {
+				this.state.counter += 1;
+			}
+		}
+
+		it('fail, when saga state is not defined', () => {
+
+			expect(() => s.makeSnapshot()).to.throw('state property is empty');
+		});
+
+		it('restore saga state and version from snapshot event', () => {
+
+			const snapshot = new StatefulSaga({
+				id: 1,
+				events: [{ type: 'somethingHappened' }, { type: 'somethingHappened' }]
+			}).makeSnapshot();
+
+			expect(snapshot).to.deep.eq({ counter: 2 });
+
+			const restored = new StatefulSaga({
+				id: 1,
+				events: [
+					{ type: 'snapshot', sagaId: 1, sagaVersion: 1, version: 2, payload: snapshot },
+					{ type: 'somethingHappened', sagaId: 1, sagaVersion: 1 }
+				]
+			});
+
+			expect(restored).to.have.property('version', 3);
+			expect(restored).to.have.nested.property('state.counter', 3);
+		});
+	});
 });
@@ -8,7 +8,8 @@ const {
 	AbstractAggregate,
 	InMemoryEventStorage,
 	EventStore,
-	InMemorySnapshotStorage
+	InMemorySnapshotStorage,
+	ConcurrencyError
 } = require('../../src');
 
 function delay(ms) {
@@ -88,6 +89,32 @@ describe('AggregateCommandHandler', function () {
 		}
 	});
 
+	it('registers command and event schemas defined by Aggregate', () => {
+
+		const createdSchema = { type: 'object', required: ['name'] };
+		const createSchema = { type: 'object', required: ['name'] };
+
+		class AggregateWithSchemas extends MyAggregate {
+			static get schemas() {
+				return {
+					commands: { createAggregate: createSchema },
+					events: { created: createdSchema }
+				};
+			}
+		}
+
+		commandBus.registerCommandSchema = sinon.spy();
+		sinon.spy(eventStore, 'registerEventSchema');
+
+		const handler = new AggregateCommandHandler({ eventStore, aggregateType: AggregateWithSchemas });
+		handler.subscribe(commandBus);
+
+		expect(commandBus.registerCommandSchema).to.have.property('calledOnce', true);
+		expect(commandBus.registerCommandSchema.firstCall.args).to.deep.eq(['createAggregate', createSchema]);
+		expect(eventStore.registerEventSchema).to.have.property('calledOnce', true);
+		expect(eventStore.registerEventSchema.firstCall.args).to.deep.eq(['created', createdSchema]);
+	});
+
 	it('requests aggregate ID from event store, when aggregate does not exist', async () => {
 
 		const handler = new AggregateCommandHandler({ eventStore, aggregateType: MyAggregate });
@@ -109,6 +136,22 @@ describe('AggregateCommandHandler', function () {
 		expect(args).to.have.length(1);
 	});
 
+	it('passes aggregate snapshot schema version to event store, when defined', async () => {
+
+		class VersionedAggregate extends MyAggregate {
+			static get snapshotSchemaVersion() {
+				return 3;
+			}
+		}
+
+		const handler = new AggregateCommandHandler({ eventStore, aggregateType: VersionedAggregate });
+
+		await handler.execute({ type: 'doSomething', aggregateId: 1 });
+
+		const { args } = eventStore.getAggregateEvents.lastCall;
+		expect(args).to.deep.eq([1, { snapshotSchemaVersion: 3 }]);
+	});
+
 	it('passes commands to aggregate.handle(cmd)', async () => {
 
 		const aggregate = new MyAggregate({ id: 1 });
@@ -126,7 +169,7 @@ describe('AggregateCommandHandler', function () {
 		expect(args[0]).to.have.property('payload', 'test');
 	});
 
-	it('attaches command context, sagaId, sagaVersion to produced events', async () => {
+	it('attaches command context, sagaId, sagaVersion, sagaDescriptor to produced events', async () => {
 
 		const aggregate = new MyAggregate({ id: 1 });
 
@@ -138,13 +181,15 @@ describe('AggregateCommandHandler', function () {
 		const sagaId = 'saga-1';
 		const sagaVersion = 1;
 		const context = { ip: 'localhost' };
-		const command = { type: 'doSomething', payload: 'test', context, sagaId, sagaVersion };
+		const sagaDescriptor = 'MySaga';
+		const command = { type: 'doSomething', payload: 'test', context, sagaId, sagaVersion, sagaDescriptor };
 
 		const events = await handler.execute(command);
 
 		expect(events[0]).to.have.property('context', context);
 		expect(events[0]).to.have.property('sagaId', sagaId);
 		expect(events[0]).to.have.property('sagaVersion', sagaVersion);
+		expect(events[0]).to.have.property('sagaDescriptor', sagaDescriptor);
 	});
 
 	it('resolves to produced events', async () => {
@@ -168,6 +213,247 @@ describe('AggregateCommandHandler', function () {
 		expect(args[0]).to.be.an('Array');
 	});
 
+	it('passes aggregate version restored from event store as expected version to eventStore.commit', async () => {
+
+		const handler = new AggregateCommandHandler({ eventStore, aggregateType: MyAggregate });
+
+		await handler.execute({ type: 'doSomething', aggregateId: 1 });
+		await handler.execute({ type: 'doSomething', aggregateId: 1 });
+
+		const [, options] = eventStore.commit.lastCall.args;
+		expect(options).to.have.nested.property('expectedVersions.1', 1);
+	});
+
+	it('fails with ConcurrencyError, when aggregate is modified by a concurrent command', async () => {
+
+		const handler = new AggregateCommandHandler({ eventStore, aggregateType: MyAggregate });
+
+		const results = await Promise.all([
+			handler.execute({ type: 'doSomething', aggregateId: 1 }).catch(err => err),
+			handler.execute({ type: 'doSomething', aggregateId: 1 }).catch(err => err)
+		]);
+
+		expect(results[0]).to.have.length(1);
+		expect(results[1]).to.be.instanceOf(ConcurrencyError);
+
+		const events = await eventStore.getAggregateEvents(1);
+		expect(events).to.have.length(1);
+	});
+
+	describe('with concurrencyRetryPolicy', () => {
+
+		it('re-executes command on a freshly restored aggregate, when commit is rejected with ConcurrencyError', async () => {
+
+			const handler = new AggregateCommandHandler({
+				eventStore,
+				aggregateType: MyAggregate,
+				concurrencyRetryPolicy: { retries: 1 }
+			});
+
+			const [events1, events2] = await Promise.all([
+				handler.execute({ type: 'doSomething', aggregateId: 1 }),
+				handler.execute({ type: 'doSomething', aggregateId: 1 })
+			]);
+
+			expect(events1[0]).to.have.property('aggregateVersion', 0);
+			expect(events2[0]).to.have.property('aggregateVersion', 1);
+			expect(eventStore.getAggregateEvents).to.have.property('callCount', 3);
+		});
+
+		it('fails, when number of retries is exceeded', async () => {
+
+			const handler = new AggregateCommandHandler({
+				eventStore,
+				aggregateType: MyAggregate,
+				concurrencyRetryPolicy: { retries: 2 }
+			});
+
+			const results = await Promise.all([1, 2, 3, 4].map(() =>
+				handler.execute({ type: 'doSomething', aggregateId: 1 }).catch(err => err)));
+
+			expect(results.filter(r => r instanceof ConcurrencyError)).to.have.length(1);
+		});
+
+		it('does not retry errors other than ConcurrencyError', async () => {
+
+			const aggregate = new MyAggregate({ id: 1 });
+			sinon.stub(aggregate, 'handle').throws(new Error('command validation failed'));
+
+			const handler = new AggregateCommandHandler({
+				eventStore,
+				aggregateType: () => aggregate,
+				concurrencyRetryPolicy: { retries: 3 }
+			});
+
+			try {
+				await handler.execute({ type: 'doSomething', aggregateId: 1 });
+				throw new Error('must fail');
+			}
+			catch (err) {
+				expect(err).to.have.property('message', 'command validation failed');
+			}
+
+			expect(aggregate.handle).to.have.property('callCount', 1);
+		});
+
+		it('validates retry policy', () => {
+
+			expect(() => new AggregateCommandHandler({
+				eventStore,
+				aggregateType: MyAggregate,
+				concurrencyRetryPolicy: { retries: -1 }
+			})).to.throw(TypeError, 'retry policy retries must be a non-negative Integer');
+		});
+	});
+
+	describe('with serializeCommands', () => {
+
+		it('executes commands targeting the same aggregate one after another', async () => {
+
+			const handler = new AggregateCommandHandler({ eventStore, aggregateType: MyAggregate, serializeCommands: true });
+
+			const [events1, events2] = await Promise.all([
+				handler.execute({ type: 'doSomething', aggregateId: 1 }),
+				handler.execute({ type: 'doSomething', aggregateId: 1 })
+			]);
+
+			expect(events1[0]).to.have.property('aggregateVersion', 0);
+			expect(events2[0]).to.have.property('aggregateVersion', 1);
+		});
+
+		it('executes commands targeting different aggregates in parallel', async () => {
+
+			const handler = new AggregateCommandHandler({ eventStore, aggregateType: MyAggregate, serializeCommands: true });
+
+			const startedAt = Date.now();
+
+			await Promise.all([
+				handler.execute({ type: 'doSomething', aggregateId: 1 }),
+				handler.execute({ type: 'doSomething', aggregateId: 2 })
+			]);
+
+			expect(Date.now() - startedAt).to.be.lessThan(200);
+		});
+
+		it('proceeds with queued commands, when one of them fails', async () => {
+
+			const handler = new AggregateCommandHandler({ eventStore, aggregateType: MyAggregate, serializeCommands: true });
+
+			const results = await Promise.all([
+				handler.execute({ type: 'doSomethingUnknown', aggregateId: 1 }).catch(err => err),
+				handler.execute({ type: 'doSomething', aggregateId: 1 })
+			]);
+
+			expect(results[0]).to.be.instanceOf(Error);
+			expect(results[1]).to.have.nested.property('[0].type', 'somethingDone');
+			expect(handler._aggregateQueues).to.have.property('size', 0);
+		});
+	});
+
+	describe('with aggregateCache', () => {
+
+		it('restores aggregate from cache after a successful commit', async () => {
+
+			const handler = new AggregateCommandHandler({
+				eventStore,
+				aggregateType: MyAggregate,
+				aggregateCache: { maxSize: 10 }
+			});
+
+			const [created] = await handler.execute({ type: 'createAggregate' });
+			const events1 = await handler.execute({ type: 'doSomething', aggregateId: created.aggregateId });
+			const events2 = await handler.execute({ type: 'doSomething', aggregateId: created.aggregateId });
+
+			expect(eventStore.getAggregateEvents).to.have.property('callCount', 0);
+			expect(events1).to.have.length(1);
+			expect(events1[0]).to.have.property('aggregateVersion', 1);
+			expect(events2).to.have.length(1);
+			expect(events2[0]).to.have.property('aggregateVersion', 2);
+		});
+
+		it('evicts least recently used aggregates, when cache is full', async () => {
+
+			const handler = new AggregateCommandHandler({
+				eventStore,
+				aggregateType: MyAggregate,
+				aggregateCache: { maxSize: 1 }
+			});
+
+			await handler.execute({ type: 'doSomething', aggregateId: 1 });
+			await handler.execute({ type: 'doSomething', aggregateId: 2 });
+			expect(eventStore.getAggregateEvents).to.have.property('callCount', 2);
+
+			await handler.execute({ type: 'doSomething', aggregateId: 2 });
+			expect(eventStore.getAggregateEvents).to.have.property('callCount', 2);
+
+			await handler.execute({ type: 'doSomething', aggregateId: 1 });
+			expect(eventStore.getAggregateEvents).to.have.property('callCount', 3);
+		});
+
+		it('restores aggregate from event store, when cached instance is expired', async () => {
+
+			const handler = new AggregateCommandHandler({
+				eventStore,
+				aggregateType: MyAggregate,
+				aggregateCache: { maxSize: 10, ttl: 50 }
+			});
+
+			await handler.execute({ type: 'doSomething', aggregateId: 1 });
+			await delay(60);
+			const events = await handler.execute({ type: 'doSomething', aggregateId: 1 });
+
+			expect(eventStore.getAggregateEvents).to.have.property('callCount', 2);
+			expect(events[0]).to.have.property('aggregateVersion', 1);
+		});
+
+		it('does not cache aggregate, when command execution fails', async () => {
+
+			const handler = new AggregateCommandHandler({
+				eventStore,
+				aggregateType: MyAggregate,
+				aggregateCache: { maxSize: 10 }
+			});
+
+			await handler.execute({ type: 'doSomething', aggregateId: 1 });
+
+			try {
+				await handler.execute({ type: 'doSomethingUnknown', aggregateId: 1 });
+				throw new Error('must fail');
+			}
+			catch (err) {
+				expect(err.message).to.eq('\'doSomethingUnknown\' handler is not defined or not a function');
+			}
+
+			await handler.execute({ type: 'doSomething', aggregateId: 1 });
+
+			expect(eventStore.getAggregateEvents).to.have.property('callCount', 2);
+		});
+
+		it('invalidates cached aggregate, when commit is rejected with ConcurrencyError', async () => {
+
+			const cachingHandler = new AggregateCommandHandler({
+				eventStore,
+				aggregateType: MyAggregate,
+				aggregateCache: { maxSize: 10 }
+			});
+			const anotherHandler = new AggregateCommandHandler({ eventStore, aggregateType: MyAggregate });
+
+			await cachingHandler.execute({ type: 'doSomething', aggregateId: 1 });
+			await anotherHandler.execute({ type: 'doSomething', aggregateId: 1 });
+
+			try {
+				await cachingHandler.execute({ type: 'doSomething', aggregateId: 1 });
+				throw new Error('must fail');
+			}
+			catch (err) {
+				expect(err).to.be.instanceOf(ConcurrencyError);
+			}
+
+			const events = await cachingHandler.execute({ type: 'doSomething', aggregateId: 1 });
+			expect(events[0]).to.have.property('aggregateVersion', 2);
+		});
+	});
+
 	it('invokes aggregate.takeSnapshot before committing event stream, when get shouldTakeSnapshot equals true', async () => {
 
 		// setup
@@ -199,16 +485,160 @@ describe('AggregateCommandHandler', function () {
 		await handler.execute({ type: 'doSomething', payload: 'test' });
 
 		expect(aggregate).to.have.nested.property('takeSnapshot.called', true);
-		expect(aggregate).to.have.property('version', 3); // 2nd event and snapshot
+		expect(aggregate).to.have.property('version', 2); // 2nd event, snapshot does not take a version
 
 		const [eventStream] = eventStore.commit.lastCall.args;
 
 		expect(eventStream).to.have.length(3);
 		expect(eventStream[2]).to.have.property('type', 'snapshot');
-		expect(eventStream[2]).to.have.property('aggregateVersion', 2);
+		expect(eventStream[2]).to.have.property('aggregateVersion', 1);
 		expect(eventStream[2]).to.have.property('payload');
 	});
 
+	describe('with snapshotPolicy', () => {
+
+		class FastAggregate extends AbstractAggregate {
+			static get handles() {
+				return ['doSomething'];
+			}
+			constructor({ id, events }) {
+				super({ id, state: {}, events });
+			}
+			get shouldTakeSnapshot() {
+				return true;
+			}
+			doSomething() {
+				this.emit('somethingDone');
+			}
+		}
+
+		it('validates snapshotPolicy option', () => {
+
+			expect(() => new AggregateCommandHandler({
+				eventStore,
+				aggregateType: FastAggregate,
+				snapshotPolicy: 'every 10 events'
+			})).to.throw(TypeError);
+		});
+
+		it('takes snapshots when policy requires, instead of using aggregate shouldTakeSnapshot', async () => {
+
+			const snapshotPolicy = sinon.spy(({ eventsSinceSnapshot }) => eventsSinceSnapshot >= 3);
+			const handler = new AggregateCommandHandler({ eventStore, aggregateType: FastAggregate, snapshotPolicy });
+
+			const [{ aggregateId }] = await handler.execute({ type: 'doSomething' });
+			await handler.execute({ type: 'doSomething', aggregateId });
+
+			expect(eventStore.commit.lastCall.args[0].map(e => e.type)).to.deep.eq(['somethingDone']);
+			expect(snapshotPolicy.lastCall.args[0]).to.include({ eventsSinceSnapshot: 2, restoredEventsCount: 1 });
+
+			await handler.execute({ type: 'doSomething', aggregateId });
+
+			expect(eventStore.commit.lastCall.args[0].map(e => e.type)).to.deep.eq(['somethingDone', 'snapshot']);
+
+			await handler.execute({ type: 'doSomething', aggregateId });
+
+			expect(snapshotPolicy.lastCall.args[0]).to.include({ eventsSinceSnapshot: 1, restoredEventsCount: 0 });
+			expect(snapshotPolicy.lastCall.args[0].lastSnapshotTimestamp).to.be.a('number');
+		});
+
+		it('keeps counting events for cached aggregates', async () => {
+
+			const snapshotPolicy = sinon.spy(() => false);
+			const handler = new AggregateCommandHandler({
+				eventStore,
+				aggregateType: FastAggregate,
+				snapshotPolicy,
+				aggregateCache: { maxSize: 10 }
+			});
+
+			const [{ aggregateId }] = await handler.execute({ type: 'doSomething' });
+			await handler.execute({ type: 'doSomething', aggregateId });
+			await handler.execute({ type: 'doSomething', aggregateId });
+
+			expect(eventStore.getAggregateEvents).to.have.property('callCount', 0);
+			expect(snapshotPolicy.lastCall.args[0]).to.include({ eventsSinceSnapshot: 3, restoredEventsCount: 0 });
+		});
+
+		it('saves snapshots after events are committed, when asyncSnapshots is enabled', async () => {
+
+			sinon.spy(snapshotStorage, 'saveAggregateSnapshot');
+
+			const handler = new AggregateCommandHandler({
+				eventStore,
+				aggregateType: FastAggregate,
+				snapshotPolicy: () => true,
+				asyncSnapshots: true
+			});
+
+			const events = await handler.execute({ type: 'doSomething' });
+
+			expect(events).to.have.length(1);
+			expect(eventStore.commit.firstCall.args[0].map(e => e.type)).to.deep.eq(['somethingDone']);
+
+			await delay(5);
+
+			expect(eventStore.commit).to.have.property('callCount', 2);
+			expect(eventStore.commit.secondCall.args[0].map(e => e.type)).to.deep.eq(['snapshot']);
+			expect(snapshotStorage.saveAggregateSnapshot).to.have.property('calledOnce', true);
+
+			const restoredEvents = await eventStore.getAggregateEvents(events[0].aggregateId);
+			expect(restoredEvents.map(e => e.type)).to.deep.eq(['snapshot']);
+			expect(restoredEvents[0]).to.have.property('aggregateVersion', 0);
+			expect(restoredEvents[0]).to.have.property('timestamp');
+		});
+
+		it('does not skip events committed before the background snapshot is saved', async () => {
+
+			class CounterState {
+				constructor() {
+					this.count = 0;
+				}
+				incremented() {
+					this.count += 1;
+				}
+			}
+
+			class Counter extends AbstractAggregate {
+				static get handles() {
+					return ['increment'];
+				}
+				constructor({ id, events }) {
+					super({ id, state: new CounterState(), events });
+				}
+				increment() {
+					this.emit('incremented');
+				}
+			}
+
+			// snapshot gets saved after the next command is committed
+			const saveAggregateSnapshot = snapshotStorage.saveAggregateSnapshot.bind(snapshotStorage);
+			snapshotStorage.saveAggregateSnapshot = async snapshot => {
+				await delay(20);
+				return saveAggregateSnapshot(snapshot);
+			};
+
+			const handler = new AggregateCommandHandler({
+				eventStore,
+				aggregateType: Counter,
+				snapshotPolicy: ({ eventsSinceSnapshot }) => eventsSinceSnapshot === 2,
+				asyncSnapshots: true
+			});
+
+			const [{ aggregateId }] = await handler.execute({ type: 'increment' });
+			await handler.execute({ type: 'increment', aggregateId });
+			await handler.execute({ type: 'increment', aggregateId });
+			await delay(30);
+
+			const restoredEvents = await eventStore.getAggregateEvents(aggregateId);
+			const counter = new Counter({ id: aggregateId, events: restoredEvents });
+
+			expect(restoredEvents.map(e => e.type)).to.deep.eq(['snapshot', 'incremented']);
+			expect(counter).to.have.property('version', 3);
+			expect(counter).to.have.nested.property('state.count', 3);
+		});
+	});
+
 	it.skip('executes concurrent commands on same aggregate instance', async () => {
 
 		// setup
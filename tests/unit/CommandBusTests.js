@@ -2,7 +2,7 @@
 
 const { expect } = require('chai');
 const sinon = require('sinon');
-const { CommandBus, InMemoryMessageBus } = require('../../src');
+const { CommandBus, InMemoryMessageBus, ValidationError } = require('../../src');
 
 describe('CommandBus', function () {
 
@@ -58,9 +58,82 @@ describe('CommandBus', function () {
 
 			return bus.sendRaw(command)
 				.then(() => {
-					expect(messageBus.send).to.have.nested.property('lastCall.args[0]', command);
+					expect(messageBus.send).to.have.nested.property('lastCall.args[0]').that.deep.includes(command);
 				});
 		});
+
+		it('assigns unique command id and correlationId to a sent copy, when they are not defined', async () => {
+
+			const command = { type: 'doSomething' };
+			await bus.sendRaw(command);
+
+			const [sentCommand] = messageBus.send.lastCall.args;
+			expect(sentCommand).to.not.equal(command);
+			expect(sentCommand).to.have.property('id').that.is.a('string').and.not.empty;
+			expect(sentCommand).to.have.property('correlationId', sentCommand.id);
+			expect(command).to.deep.eq({ type: 'doSomething' });
+
+			const command2 = { type: 'doSomething', id: 'command-2', correlationId: 'flow-1' };
+			await bus.sendRaw(command2);
+
+			expect(messageBus.send).to.have.nested.property('lastCall.args[0]').that.deep.eq(command2);
+		});
+
+		it('rejects commands, which payload does not match registered schema, before passing them to messageBus', async () => {
+
+			bus.registerCommandSchema('doSomething', {
+				type: 'object',
+				required: ['email'],
+				properties: {
+					email: { type: 'string' },
+					age: { type: 'integer' }
+				}
+			});
+
+			try {
+				await bus.sendRaw({ type: 'doSomething', payload: { age: 'old' } });
+				throw new Error('must fail');
+			}
+			catch (err) {
+				expect(err).to.be.instanceOf(ValidationError);
+				expect(err).to.have.property('messageType', 'doSomething');
+				expect(err).to.have.property('errors').that.deep.equals([
+					{ path: 'payload', keyword: 'required', message: 'should have required property \'email\'', params: { missingProperty: 'email' } },
+					{ path: 'payload.age', keyword: 'type', message: 'should be integer', params: { type: 'integer' } }
+				]);
+			}
+
+			expect(messageBus.send).to.have.property('called', false);
+
+			await bus.sendRaw({ type: 'doSomething', payload: { email: 'a@b.c', age: 1 } });
+
+			expect(messageBus.send).to.have.property('calledOnce', true);
+		});
+
+		it('accepts command schemas in constructor options', async () => {
+
+			bus = new CommandBus({ messageBus, commandSchemas: { doSomething: { type: 'object' } } });
+
+			try {
+				await bus.sendRaw({ type: 'doSomething', payload: 'text' });
+				throw new Error('must fail');
+			}
+			catch (err) {
+				expect(err).to.be.instanceOf(ValidationError);
+				expect(err).to.have.property('message', '"doSomething" validation failed: payload should be object');
+			}
+		});
+	});
+
+	describe('constructor(options)', () => {
+
+		it('passes logger to the message bus it creates', () => {
+
+			const logger = { log: sinon.spy() };
+			bus = new CommandBus({ logger });
+
+			expect(bus).to.have.nested.property('_bus._logger', logger);
+		});
 	});
 
 	describe('send(commandType, aggregateId, options)', () => {
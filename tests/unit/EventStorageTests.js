@@ -0,0 +1,90 @@
+'use strict';
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { InMemoryEventStorage, FileEventStorage, SqliteEventStorage } = require('../../src');
+const removeDirectory = require('./mocks/removeDirectory');
+const { describeSqlite, Database } = require('./mocks/sqlite');
+
+async function toArray(iterable) {
+	const r = [];
+	for await (const item of iterable)
+		r.push(item);
+	return r;
+}
+
+const storages = {
+	InMemoryEventStorage: {
+		create: async () => new InMemoryEventStorage()
+	},
+	FileEventStorage: {
+		async create() {
+			this.directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'node-cqrs-'));
+			return new FileEventStorage({ directory: this.directory });
+		},
+		async dispose(storage) {
+			await storage.close();
+			await removeDirectory(this.directory);
+		}
+	},
+	SqliteEventStorage: {
+		describe: describeSqlite,
+		async create() {
+			this.db = new Database(':memory:');
+			return new SqliteEventStorage({ db: this.db });
+		},
+		async dispose() {
+			this.db.close();
+		}
+	}
+};
+
+for (const [name, setup] of Object.entries(storages)) {
+
+	(setup.describe || describe)(`${name} common behavior`, function () {
+
+		let storage;
+
+		beforeEach(async () => {
+			storage = await setup.create();
+		});
+
+		afterEach(async () => {
+			if (setup.dispose)
+				await setup.dispose(storage);
+		});
+
+		it('returns committed events as copies, which do not affect stored events and are not frozen', async () => {
+
+			const event = { type: 'somethingHappened', aggregateId: 1, aggregateVersion: 0, payload: { x: 1 } };
+			const [committedEvent] = await storage.commitEvents([event]);
+
+			expect(committedEvent).to.not.equal(event);
+			expect(event).to.not.have.property('position');
+			expect(Object.isFrozen(event)).to.eq(false);
+			expect(Object.isFrozen(committedEvent)).to.eq(false);
+
+			committedEvent.type = 'somethingElseHappened';
+
+			const [storedEvent] = await toArray(await storage.getAggregateEvents(1));
+			expect(storedEvent).to.have.property('type', 'somethingHappened');
+		});
+
+		it('returns saga events in the order they were committed', async () => {
+
+			// commands enqueued by the saga at v1 and v2 are handled in reverse order
+			await storage.commitEvents([
+				{ type: 'orderPlaced', aggregateId: 1, aggregateVersion: 0, sagaOrigins: { Shipping: 's' } },
+				{ type: 'paymentReceived', aggregateId: 2, aggregateVersion: 0, sagaId: 's', sagaVersion: 2 },
+				{ type: 'itemsReserved', aggregateId: 3, aggregateVersion: 0, sagaId: 's', sagaVersion: 1 }
+			]);
+
+			const events = await toArray(await storage.getSagaEvents('s', { beforeEvent: { sagaVersion: 3 } }));
+
+			expect(events.map(e => e.type)).to.deep.eq(['orderPlaced', 'paymentReceived', 'itemsReserved']);
+		});
+	});
+}
@@ -6,7 +6,10 @@ const sinon = require('sinon');
 const {
 	EventStore,
 	InMemoryEventStorage,
-	InMemorySnapshotStorage
+	InMemorySnapshotStorage,
+	ConcurrencyError,
+	ValidationError,
+	InMemoryMessageBus
 } = require('../../src');
 
 const goodContext = {
@@ -136,6 +139,28 @@ describe('EventStore', function () {
 			}
 		});
 
+		it('assigns unique id and commit timestamp to committed events', async () => {
+
+			const startedAt = Date.now();
+			const events = await es.commit([goodEvent, goodEvent2]);
+
+			expect(events[0]).to.have.property('id').that.is.a('string').and.not.empty;
+			expect(events[1]).to.have.property('id').that.is.a('string').and.not.eq(events[0].id);
+			expect(events[0]).to.have.property('timestamp').that.is.at.least(startedAt);
+			expect(events[0]).to.have.property('type', goodEvent.type);
+
+			const storedEvents = await es.getAggregateEvents(goodEvent.aggregateId);
+			expect(storedEvents[0]).to.have.property('id', events[0].id);
+		});
+
+		it('keeps event id and timestamp, when they are already defined', async () => {
+
+			const [event] = await es.commit([{ ...goodEvent, id: 'event-1', timestamp: 1 }]);
+
+			expect(event).to.have.property('id', 'event-1');
+			expect(event).to.have.property('timestamp', 1);
+		});
+
 		it('returns a promise that resolves to events committed', () => es.commit([goodEvent, goodEvent2]).then(events => {
 
 			expect(events).to.be.an('Array');
@@ -163,6 +188,55 @@ describe('EventStore', function () {
 			});
 		});
 
+		it('passes expected aggregate versions to storage.commitEvents, when provided', async () => {
+
+			sinon.spy(storage, 'commitEvents');
+
+			await es.commit([goodEvent], { expectedVersions: { 1: 0 } });
+
+			const { args } = storage.commitEvents.lastCall;
+			expect(args).to.have.length(2);
+			expect(args[1]).to.have.nested.property('expectedVersions.1', 0);
+		});
+
+		it('rejects with ConcurrencyError, when aggregate stream was modified after expected version', async () => {
+
+			await es.commit([goodEvent], { expectedVersions: { 1: 0 } });
+
+			try {
+				await es.commit([goodEvent], { expectedVersions: { 1: 0 } });
+				throw new Error('must fail');
+			}
+			catch (err) {
+				expect(err).to.be.instanceOf(ConcurrencyError);
+				expect(err).to.have.property('type', 'ConcurrencyError');
+				expect(err).to.have.property('aggregateId', '1');
+				expect(err).to.have.property('expectedVersion', 0);
+			}
+
+			const events = await es.getAggregateEvents('1');
+			expect(events).to.have.length(1);
+
+			await es.commit([{ ...goodEvent, aggregateVersion: 1 }], { expectedVersions: { 1: 1 } });
+		});
+
+		it('does not save aggregate snapshot, when commit is rejected due to concurrency conflict', async () => {
+
+			sinon.spy(snapshotStorage, 'saveAggregateSnapshot');
+
+			await es.commit([{ ...goodEvent2, aggregateVersion: 1 }]);
+
+			try {
+				await es.commit([goodEvent2, snapshotEvent], { expectedVersions: { 2: 0 } });
+				throw new Error('must fail');
+			}
+			catch (err) {
+				expect(err).to.be.instanceOf(ConcurrencyError);
+			}
+
+			expect(snapshotStorage).to.have.nested.property('saveAggregateSnapshot.called', false);
+		});
+
 		it('emits events asynchronously after processing is done', function (done) {
 
 			let committed = 0;
@@ -185,6 +259,182 @@ describe('EventStore', function () {
 		});
 	});
 
+	describe('registerEventSchema(eventType, schema)', () => {
+
+		it('rejects events, which payload does not match registered schema', async () => {
+
+			es.registerEventSchema('userCreated', {
+				type: 'object',
+				required: ['email'],
+				properties: { email: { type: 'string', minLength: 3 } }
+			});
+
+			sinon.spy(storage, 'commitEvents');
+
+			try {
+				await es.commit([
+					goodEvent,
+					{ aggregateId: '1', aggregateVersion: 1, type: 'userCreated', payload: { email: '' } }
+				]);
+				throw new Error('must fail');
+			}
+			catch (err) {
+				expect(err).to.be.instanceOf(ValidationError);
+				expect(err).to.have.property('messageType', 'userCreated');
+				expect(err).to.have.nested.property('errors[0].path', 'payload.email');
+				expect(err).to.have.nested.property('errors[0].keyword', 'minLength');
+			}
+
+			expect(storage.commitEvents).to.have.property('called', false);
+
+			await es.commit([{ aggregateId: '1', aggregateVersion: 0, type: 'userCreated', payload: { email: 'a@b.c' } }]);
+
+			expect(storage.commitEvents).to.have.property('calledOnce', true);
+		});
+
+		it('accepts event schemas in constructor options', async () => {
+
+			es = new EventStore({ storage, eventSchemas: { somethingHappened: { type: 'object' } } });
+
+			try {
+				await es.commit([goodEvent]);
+				throw new Error('must fail');
+			}
+			catch (err) {
+				expect(err).to.be.instanceOf(ValidationError);
+				expect(err).to.have.property('message', '"somethingHappened" validation failed: payload should be object');
+			}
+		});
+	});
+
+	describe('with outbox', () => {
+
+		let messageBus;
+
+		beforeEach(() => {
+			messageBus = new InMemoryMessageBus();
+			es = new EventStore({
+				storage,
+				messageBus,
+				eventStoreConfig: {
+					publishAsync: false,
+					outbox: true,
+					outboxRetryPolicy: { retries: 2, delay: 1 }
+				}
+			});
+		});
+
+		it('validates storage and messageBus', () => {
+
+			const eventStoreConfig = { outbox: true };
+			const storageWithoutOutbox = Object.assign(Object.create(storage), { getUnpublishedEvents: undefined });
+
+			expect(() => new EventStore({ storage: storageWithoutOutbox, messageBus, eventStoreConfig }))
+				.to.throw(TypeError, 'storage.getUnpublishedEvents must be a Function, when outbox is enabled');
+			expect(() => new EventStore({ storage, eventStoreConfig: { ...eventStoreConfig, outboxRetryPolicy: {} } }))
+				.to.throw(TypeError);
+		});
+
+		it('records committed events in outbox until they are published', async () => {
+
+			sinon.spy(storage, 'commitEvents');
+			sinon.spy(storage, 'markEventsPublished');
+
+			const published = [];
+			messageBus.on('somethingHappened', e => {
+				expect(storage.markEventsPublished).to.have.property('called', false);
+				published.push(e);
+			});
+
+			const [event] = await es.commit([goodEvent]);
+
+			expect(storage.commitEvents.lastCall.args[1]).to.deep.eq({ expectedVersions: undefined, outbox: true });
+			expect(published).to.deep.eq([event]);
+			expect(storage.markEventsPublished.lastCall.args[0]).to.deep.eq([event.id]);
+			expect(await storage.getUnpublishedEvents()).to.be.empty;
+		});
+
+		it('retries failed publishing, keeping events in outbox, if all retries fail', async () => {
+
+			const publish = sinon.stub(messageBus, 'publish');
+			publish.withArgs(sinon.match({ aggregateId: '1' })).rejects(new Error('bus unavailable'));
+			publish.callThrough();
+
+			try {
+				await es.commit([goodEvent, goodEvent2]);
+				throw new Error('must fail');
+			}
+			catch (err) {
+				expect(err).to.have.property('message', 'bus unavailable');
+			}
+
+			// failed event is retried twice, successfully published one is not re-published
+			expect(publish).to.have.property('callCount', 4);
+
+			const unpublished = await storage.getUnpublishedEvents();
+			expect(unpublished.map(e => e.aggregateId)).to.deep.eq(['1']);
+		});
+
+		it('logs asynchronous publishing failure, leaving events in outbox', async () => {
+
+			const logger = { log: sinon.spy() };
+			const unhandledRejection = sinon.spy();
+			process.on('unhandledRejection', unhandledRejection);
+
+			es = new EventStore({
+				storage,
+				messageBus: {
+					on() { },
+					publish: () => Promise.reject(new Error('broker down'))
+				},
+				logger,
+				eventStoreConfig: {
+					outbox: true,
+					outboxRetryPolicy: { retries: 1, delay: 1 }
+				}
+			});
+
+			try {
+				await es.commit([goodEvent]);
+				await new Promise(resolve => setTimeout(resolve, 20));
+			}
+			finally {
+				process.removeListener('unhandledRejection', unhandledRejection);
+			}
+
+			expect(unhandledRejection).to.have.property('called', false);
+			expect(logger.log.calledWith('error', sinon.match('publishing failed: broker down, left in outbox'))).to.eq(true);
+			expect(await storage.getUnpublishedEvents()).to.have.length(1);
+		});
+
+		it('re-publishes events left in outbox on dispatchOutbox', async () => {
+
+			await storage.commitEvents([{ ...goodEvent, id: 'event-1' }], { outbox: true });
+			await storage.commitEvents([{ ...goodEvent2, id: 'event-2' }], { outbox: true });
+
+			const published = [];
+			messageBus.on('somethingHappened', e => published.push(e.id));
+
+			const count = await es.dispatchOutbox();
+
+			expect(count).to.eq(2);
+			expect(published).to.deep.eq(['event-1', 'event-2']);
+			expect(await storage.getUnpublishedEvents()).to.be.empty;
+			expect(await es.dispatchOutbox()).to.eq(0);
+		});
+
+		it('fails to dispatch outbox, when it is not enabled', async () => {
+
+			try {
+				await new EventStore({ storage }).dispatchOutbox();
+				throw new Error('must fail');
+			}
+			catch (err) {
+				expect(err).to.have.property('message', 'outbox is not enabled in eventStoreConfig');
+			}
+		});
+	});
+
 	describe('getNewId', () => {
 
 		it('retrieves a unique ID for new aggregate from storage', () => es.getNewId().then(id => {
@@ -226,6 +476,66 @@ describe('EventStore', function () {
 			expect(eventFilter).to.have.nested.property('snapshot.aggregateId');
 			expect(eventFilter).to.have.nested.property('snapshot.aggregateVersion');
 		});
+
+		it('discards snapshot of unexpected schema version and retrieves all aggregate events', async () => {
+
+			await es.commit([
+				goodEvent2,
+				{ ...snapshotEvent, schemaVersion: 1 },
+				{ ...goodEvent2, aggregateVersion: 2 }
+			]);
+
+			const compatible = await es.getAggregateEvents(goodEvent2.aggregateId, { snapshotSchemaVersion: 1 });
+			expect(compatible.map(e => e.type)).to.deep.eq(['snapshot', 'somethingHappened']);
+
+			const discarded = await es.getAggregateEvents(goodEvent2.aggregateId, { snapshotSchemaVersion: 2 });
+			expect(discarded.map(e => e.aggregateVersion)).to.deep.eq([0, 2]);
+		});
+	});
+
+	describe('registerSagaStarters(eventTypes, sagaDescriptor)', () => {
+
+		const userSignedUp = { type: 'userSignedUp', aggregateId: 1, aggregateVersion: 0 };
+
+		it('assigns a new sagaId to events starting sagas registered without descriptor', async () => {
+
+			es.registerSagaStarters(['userSignedUp']);
+
+			const [event] = await es.commit([userSignedUp]);
+
+			expect(event).to.have.property('sagaId').that.exist;
+			expect(event).to.have.property('sagaVersion', 0);
+		});
+
+		it('assigns a separate saga ID to the event for each saga type started by it', async () => {
+
+			es.registerSagaStarters(['userSignedUp'], 'OnboardingSaga');
+			es.registerSagaStarters(['userSignedUp'], 'BillingSaga');
+
+			const [event] = await es.commit([userSignedUp]);
+
+			expect(event).to.not.have.property('sagaId');
+			expect(event).to.have.nested.property('sagaOrigins.OnboardingSaga').that.exist;
+			expect(event).to.have.nested.property('sagaOrigins.BillingSaga').that.exist;
+			expect(event.sagaOrigins.OnboardingSaga).to.not.eq(event.sagaOrigins.BillingSaga);
+		});
+
+		it('restores each saga history from its own ID', async () => {
+
+			es.registerSagaStarters(['userSignedUp'], 'OnboardingSaga');
+			es.registerSagaStarters(['userSignedUp'], 'BillingSaga');
+
+			const [{ sagaOrigins }] = await es.commit([userSignedUp]);
+			const [welcomeSent] = await es.commit([
+				{ type: 'welcomeSent', aggregateId: 2, sagaId: sagaOrigins.OnboardingSaga, sagaVersion: 1 },
+				{ type: 'invoiceCreated', aggregateId: 3, sagaId: sagaOrigins.BillingSaga, sagaVersion: 1 }
+			]);
+
+			const beforeEvent = { ...welcomeSent, sagaVersion: 2 };
+			const onboardingEvents = await es.getSagaEvents(sagaOrigins.OnboardingSaga, { beforeEvent });
+
+			expect(onboardingEvents.map(e => e.type)).to.deep.eq(['userSignedUp', 'welcomeSent']);
+		});
 	});
 
 	describe('getSagaEvents(sagaId, options)', () => {
@@ -247,6 +557,81 @@ describe('EventStore', function () {
 				expect(events).to.have.nested.property('[0].type', 'somethingHappened');
 			}));
 		});
+
+		describe('with saga snapshot', () => {
+
+			const sagaEvents = [
+				{ sagaId: 1, sagaVersion: 1, type: 'somethingHappened' },
+				{ sagaId: 1, sagaVersion: 2, type: 'anotherHappened' },
+				{ sagaId: 1, sagaVersion: 3, type: 'somethingElseHappened' }
+			];
+			const sagaSnapshot = { type: 'snapshot', sagaId: 1, sagaVersion: 2, version: 2, payload: { foo: 'bar' } };
+
+			beforeEach(async () => {
+				await es.commit(sagaEvents);
+				await es.saveSagaSnapshot(sagaSnapshot);
+			});
+
+			it('returns snapshot followed by events not included in it', async () => {
+
+				const events = await es.getSagaEvents(1, { beforeEvent: sagaEvents[2] });
+
+				expect(events.map(e => e.type)).to.deep.eq(['snapshot', 'anotherHappened']);
+			});
+
+			it('ignores snapshot taken after the event', async () => {
+
+				const events = await es.getSagaEvents(1, { beforeEvent: sagaEvents[0] });
+
+				expect(events).to.be.empty;
+			});
+
+			it('discards snapshot of unexpected schema version', async () => {
+
+				const events = await es.getSagaEvents(1, { beforeEvent: sagaEvents[2], snapshotSchemaVersion: 2 });
+
+				expect(events.map(e => e.type)).to.deep.eq(['somethingHappened', 'anotherHappened']);
+			});
+		});
+	});
+
+	describe('saveSagaSnapshot(snapshotEvent)', () => {
+
+		it('validates snapshot event', async () => {
+
+			let error;
+			try {
+				await es.saveSagaSnapshot({ type: 'snapshot', sagaId: 1 });
+			}
+			catch (err) {
+				error = err;
+			}
+
+			expect(error).to.be.instanceOf(TypeError);
+		});
+
+		it('fails, when snapshot storage does not support saga snapshots', async () => {
+
+			es = new EventStore({
+				storage,
+				snapshotStorage: {
+					getAggregateSnapshot: () => undefined,
+					saveAggregateSnapshot: () => undefined
+				}
+			});
+
+			expect(es).to.have.property('sagaSnapshotsSupported', false);
+
+			let error;
+			try {
+				await es.saveSagaSnapshot({ type: 'snapshot', sagaId: 1, sagaVersion: 1, payload: {} });
+			}
+			catch (err) {
+				error = err;
+			}
+
+			expect(error).to.have.property('message', 'saga snapshots are not supported by the snapshot storage');
+		});
 	});
 
 	describe('getAllEvents(eventTypes)', () => {
@@ -262,6 +647,181 @@ describe('EventStore', function () {
 			expect(events).to.have.nested.property('[0].aggregateId', '1');
 			expect(events).to.have.nested.property('[1].aggregateId', '2');
 		});
+
+		it('returns events with monotonically increasing global positions assigned on commit', async () => {
+
+			const committed1 = await es.commit([goodEvent, goodEvent2]);
+			const committed2 = await es.commit([{ ...goodEvent, aggregateVersion: 1 }]);
+
+			expect(committed1).to.have.nested.property('[0].position', 1);
+			expect(committed1).to.have.nested.property('[1].position', 2);
+			expect(committed2).to.have.nested.property('[0].position', 3);
+
+			const events = [];
+			for await (const e of es.getAllEvents())
+				events.push(e);
+
+			expect(events.map(e => e.position)).to.deep.eq([1, 2, 3]);
+		});
+
+		it('returns events committed after a given position, limited by batch size', async () => {
+
+			await es.commit([
+				goodEvent,
+				goodEvent2,
+				{ ...goodEvent, aggregateVersion: 1 },
+				{ ...goodEvent2, aggregateVersion: 1 }
+			]);
+
+			const events = [];
+			for await (const e of es.getAllEvents(['somethingHappened'], { afterPosition: 1, limit: 2 }))
+				events.push(e);
+
+			expect(events.map(e => e.position)).to.deep.eq([2, 3]);
+		});
+
+		it('applies limit to events matching requested type patterns', async () => {
+
+			await es.commit([
+				{ aggregateId: '1', aggregateVersion: 0, type: 'a' },
+				{ aggregateId: '1', aggregateVersion: 1, type: 'a' },
+				{ aggregateId: '1', aggregateVersion: 2, type: 'billing.paid' },
+				{ aggregateId: '1', aggregateVersion: 3, type: 'a' },
+				{ aggregateId: '1', aggregateVersion: 4, type: 'billing.refunded' }
+			]);
+
+			const firstPage = [];
+			for await (const e of es.getAllEvents(['billing.*'], { limit: 1 }))
+				firstPage.push(e);
+
+			expect(firstPage.map(e => e.position)).to.deep.eq([3]);
+
+			const secondPage = [];
+			for await (const e of es.getAllEvents(['billing.*'], { afterPosition: 3, limit: 2 }))
+				secondPage.push(e);
+
+			expect(secondPage.map(e => e.position)).to.deep.eq([5]);
+		});
+
+		it('validates options', async () => {
+
+			try {
+				await es.getAllEvents(undefined, { limit: 0 }).next();
+				throw new Error('must fail');
+			}
+			catch (err) {
+				expect(err).to.be.instanceOf(TypeError);
+				expect(err).to.have.property('message', 'options.limit, when specified, must be a positive Integer');
+			}
+		});
+
+		it('returns events matching type patterns', async () => {
+
+			await es.commit([
+				{ aggregateId: '1', aggregateVersion: 0, type: 'userCreated' },
+				{ aggregateId: '1', aggregateVersion: 1, type: 'billing.invoiceIssued' },
+				{ aggregateId: '1', aggregateVersion: 2, type: 'userDeleted' }
+			]);
+
+			const events = [];
+			for await (const event of es.getAllEvents(['user*']))
+				events.push(event.type);
+
+			expect(events).to.deep.eq(['userCreated', 'userDeleted']);
+		});
+	});
+
+	describe('registerUpcaster(eventType, fromVersion, upcaster)', () => {
+
+		const renameUsername = e => ({
+			...e,
+			payload: { email: e.payload.username }
+		});
+
+		const addVerifiedFlag = e => ({
+			...e,
+			payload: { ...e.payload, verified: false }
+		});
+
+		it('assigns current schema version to committed events of upcasted types', async () => {
+
+			es.registerUpcaster('userCreated', 0, renameUsername);
+			es.registerUpcaster('userCreated', 1, addVerifiedFlag);
+
+			const committed = await es.commit([
+				{ aggregateId: '1', aggregateVersion: 0, type: 'userCreated', payload: { email: 'a@b.c', verified: true } },
+				goodEvent2
+			]);
+
+			expect(committed).to.have.nested.property('[0].schemaVersion', 2);
+			expect(committed[1]).to.not.have.property('schemaVersion');
+
+			const events = await es.getAggregateEvents('1');
+			expect(events).to.have.nested.property('[0].payload').that.deep.equals({ email: 'a@b.c', verified: true });
+		});
+
+		it('upcasts aggregate events persisted in older schema versions', async () => {
+
+			await es.commit([
+				{ aggregateId: '1', aggregateVersion: 0, type: 'userCreated', payload: { username: 'a@b.c' } },
+				{ aggregateId: '1', aggregateVersion: 1, type: 'somethingHappened' }
+			]);
+
+			es.registerUpcaster('userCreated', 1, addVerifiedFlag);
+			es.registerUpcaster('userCreated', 0, renameUsername);
+
+			const events = await es.getAggregateEvents('1');
+
+			expect(events).to.have.length(2);
+			expect(events[0]).to.have.property('schemaVersion', 2);
+			expect(events[0]).to.have.property('payload').that.deep.equals({ email: 'a@b.c', verified: false });
+			expect(events[1]).to.not.have.property('schemaVersion');
+		});
+
+		it('retrieves persisted events that get split into requested event types', async () => {
+
+			await es.commit([
+				{ aggregateId: '1', aggregateVersion: 0, type: 'userUpdated', payload: { name: 'A', email: 'a@b.c' } },
+				{ aggregateId: '1', aggregateVersion: 1, type: 'userNameChanged', payload: { name: 'B' } }
+			]);
+
+			es.registerUpcaster('userUpdated', 0, e => [
+				{ ...e, type: 'userNameChanged', payload: { name: e.payload.name } },
+				{ ...e, type: 'userEmailChanged', payload: { email: e.payload.email } }
+			]);
+
+			const events = [];
+			for await (const e of es.getAllEvents(['userNameChanged']))
+				events.push(e);
+
+			expect(events.map(e => e.payload)).to.deep.eq([{ name: 'A' }, { name: 'B' }]);
+			expect(events.map(e => e.position)).to.deep.eq([1, 2]);
+		});
+
+		it('does not allow to register multiple upcasters for the same event schema version', () => {
+
+			es.registerUpcaster('userCreated', 0, renameUsername);
+
+			expect(() => es.registerUpcaster('userCreated', 0, addVerifiedFlag))
+				.to.throw('"userCreated" upcaster from v0 is already registered');
+			expect(() => es.registerUpcaster('snapshot', 0, renameUsername))
+				.to.throw(TypeError);
+		});
+	});
+
+	describe('off(eventType, handler)', () => {
+
+		it('removes subscription set up with on', async () => {
+
+			const handler = sinon.spy();
+			es.on('somethingHappened', handler);
+			es.off('somethingHappened', handler);
+
+			await es.commit([goodEvent]);
+			await new Promise(resolve => setImmediate(resolve));
+
+			expect(handler).to.have.property('called', false);
+		});
 	});
 
 	describe('on(eventType, handler)', () => {
@@ -304,6 +864,21 @@ describe('EventStore', function () {
 				expect(projection2Handler).to.have.property('calledOnce', true);
 			});
 		});
+
+		it('logs events moved to dead-letter queue of the internal message bus', async () => {
+
+			const logger = { log: sinon.spy() };
+			es = new EventStore({ storage, logger, eventStoreConfig: { publishAsync: false } });
+
+			es.on('somethingHappened', () => {
+				throw new Error('handler failure');
+			});
+
+			await es.commit([{ type: 'somethingHappened', aggregateId: 1, aggregateVersion: 0 }]);
+
+			expect(logger.log.calledWith('error', sinon.match('"somethingHappened" handling failed after 1 attempt(s), '
+				+ 'message moved to dead-letter queue: handler failure'))).to.eq(true);
+		});
 	});
 
 	describe('once(eventType, handler, filter)', () => {
@@ -347,5 +922,16 @@ describe('EventStore', function () {
 				expect(e).to.have.property('type', goodEvent.type);
 			});
 		});
+
+		it('supports event type patterns', async () => {
+
+			setImmediate(() => {
+				es.commit([{ aggregateId: '1', aggregateVersion: 0, type: 'userCreated' }]);
+			});
+
+			const event = await es.once('user*');
+
+			expect(event).to.have.property('type', 'userCreated');
+		});
 	});
 });
@@ -0,0 +1,228 @@
+'use strict';
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { FileEventStorage, EventStore, ConcurrencyError } = require('../../src');
+const removeDirectory = require('./mocks/removeDirectory');
+
+async function toArray(iterable) {
+	const r = [];
+	for await (const item of iterable)
+		r.push(item);
+	return r;
+}
+
+describe('FileEventStorage', function () {
+
+	let directory;
+	let storage;
+
+	beforeEach(async () => {
+		directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'node-cqrs-'));
+		storage = new FileEventStorage({ directory });
+	});
+
+	afterEach(async () => {
+		await storage.close();
+		await removeDirectory(directory);
+	});
+
+	it('validates options', () => {
+
+		expect(() => new FileEventStorage()).to.throw(TypeError);
+		expect(() => new FileEventStorage({ directory: '' })).to.throw(TypeError);
+		expect(() => new FileEventStorage({ directory, maxSegmentSize: 0 })).to.throw(TypeError);
+	});
+
+	it('persists committed events between storage instances', async () => {
+
+		const committed = await storage.commitEvents([
+			{ type: 'somethingHappened', aggregateId: 1, aggregateVersion: 0 },
+			{ type: 'somethingHappened', aggregateId: 2, aggregateVersion: 0 }
+		]);
+
+		expect(committed.map(e => e.position)).to.deep.eq([1, 2]);
+
+		await storage.close();
+		storage = new FileEventStorage({ directory });
+
+		const [event] = await storage.commitEvents([{ type: 'somethingHappened', aggregateId: 1, aggregateVersion: 1 }]);
+		expect(event).to.have.property('position', 3);
+
+		const events = await toArray(await storage.getAggregateEvents(1));
+		expect(events).to.deep.eq([
+			{ type: 'somethingHappened', aggregateId: 1, aggregateVersion: 0, position: 1 },
+			{ type: 'somethingHappened', aggregateId: 1, aggregateVersion: 1, position: 3 }
+		]);
+	});
+
+	it('returns aggregate events committed after snapshot', async () => {
+
+		await storage.commitEvents([
+			{ type: 'somethingHappened', aggregateId: 1, aggregateVersion: 0 },
+			{ type: 'somethingHappened', aggregateId: 1, aggregateVersion: 1 },
+			{ type: 'somethingHappened', aggregateId: 1, aggregateVersion: 3 }
+		]);
+
+		const snapshot = { type: 'snapshot', aggregateId: 1, aggregateVersion: 2 };
+		const events = await toArray(await storage.getAggregateEvents(1, { snapshot }));
+
+		expect(events.map(e => e.aggregateVersion)).to.deep.eq([3]);
+	});
+
+	it('returns saga events committed before a given event', async () => {
+
+		await storage.commitEvents([
+			{ type: 'somethingHappened', sagaId: 1, sagaVersion: 0 },
+			{ type: 'anotherHappened', sagaId: 1, sagaVersion: 1 },
+			{ type: 'somethingHappened', sagaId: 2, sagaVersion: 0 }
+		]);
+
+		const events = await toArray(await storage.getSagaEvents(1, { beforeEvent: { sagaVersion: 1 } }));
+
+		expect(events.map(e => e.type)).to.deep.eq(['somethingHappened']);
+	});
+
+	it('returns events starting multiple sagas as the first event of each saga stream', async () => {
+
+		await storage.commitEvents([
+			{ type: 'userSignedUp', aggregateId: 1, aggregateVersion: 0, sagaOrigins: { Onboarding: 'a', Billing: 'b' } },
+			{ type: 'welcomeSent', aggregateId: 2, aggregateVersion: 0, sagaId: 'a', sagaVersion: 1 },
+			{ type: 'invoiceCreated', aggregateId: 3, aggregateVersion: 0, sagaId: 'b', sagaVersion: 1 }
+		]);
+
+		const onboardingEvents = await toArray(await storage.getSagaEvents('a', { beforeEvent: { sagaVersion: 2 } }));
+		expect(onboardingEvents.map(e => e.type)).to.deep.eq(['userSignedUp', 'welcomeSent']);
+
+		const billingEvents = await toArray(await storage.getSagaEvents('b', { beforeEvent: { sagaVersion: 1 } }));
+		expect(billingEvents.map(e => e.type)).to.deep.eq(['userSignedUp']);
+	});
+
+	it('omits saga events included in a given snapshot', async () => {
+
+		await storage.commitEvents([
+			{ type: 'userSignedUp', aggregateId: 1, aggregateVersion: 0, sagaOrigins: { Onboarding: 'a' } },
+			{ type: 'welcomeSent', aggregateId: 2, aggregateVersion: 0, sagaId: 'a', sagaVersion: 1 },
+			{ type: 'profileCompleted', aggregateId: 1, aggregateVersion: 1, sagaId: 'a', sagaVersion: 2 },
+			{ type: 'reminderSent', aggregateId: 2, aggregateVersion: 1, sagaId: 'a', sagaVersion: 3 }
+		]);
+
+		const events = await toArray(await storage.getSagaEvents('a', {
+			beforeEvent: { sagaVersion: 3 },
+			snapshot: { type: 'snapshot', sagaId: 'a', sagaVersion: 2 }
+		}));
+
+		expect(events.map(e => e.type)).to.deep.eq(['profileCompleted']);
+	});
+
+	it('returns events of given types after a given position', async () => {
+
+		await storage.commitEvents([
+			{ type: 'somethingHappened', aggregateId: 1, aggregateVersion: 0 },
+			{ type: 'anotherHappened', aggregateId: 1, aggregateVersion: 1 }
+		]);
+		await storage.commitEvents([
+			{ type: 'somethingHappened', aggregateId: 1, aggregateVersion: 2 },
+			{ type: 'somethingHappened', aggregateId: 1, aggregateVersion: 3 }
+		]);
+
+		const all = await toArray(await storage.getEvents());
+		expect(all.map(e => e.position)).to.deep.eq([1, 2, 3, 4]);
+
+		const filtered = await toArray(await storage.getEvents(['somethingHappened'], { afterPosition: 1, limit: 1 }));
+		expect(filtered.map(e => e.position)).to.deep.eq([3]);
+	});
+
+	it('rejects with ConcurrencyError, when aggregate stream was modified after expected version', async () => {
+
+		await storage.commitEvents([{ type: 'somethingHappened', aggregateId: 1, aggregateVersion: 0 }]);
+
+		try {
+			await storage.commitEvents([{ type: 'somethingHappened', aggregateId: 1, aggregateVersion: 0 }], {
+				expectedVersions: { 1: 0 }
+			});
+			throw new Error('must fail');
+		}
+		catch (err) {
+			expect(err).to.be.instanceOf(ConcurrencyError);
+		}
+
+		const [event] = await storage.commitEvents([{ type: 'somethingHappened', aggregateId: 1, aggregateVersion: 1 }], {
+			expectedVersions: { 1: 1 }
+		});
+		expect(event).to.have.property('position', 2);
+	});
+
+	it('starts a new segment file, when max segment size is reached', async () => {
+
+		storage = new FileEventStorage({ directory, maxSegmentSize: 200 });
+
+		for (let aggregateVersion = 0; aggregateVersion < 3; aggregateVersion++)
+			await storage.commitEvents([{ type: 'somethingHappened', aggregateId: 1, aggregateVersion }]);
+
+		const files = await fs.promises.readdir(directory);
+		expect(files.sort()).to.deep.eq(['segment-000001.ndjson', 'segment-000002.ndjson']);
+
+		const events = await toArray(await storage.getAggregateEvents(1));
+		expect(events.map(e => e.aggregateVersion)).to.deep.eq([0, 1, 2]);
+	});
+
+	it('truncates incomplete commit left by a crash during write', async () => {
+
+		await storage.commitEvents([{ type: 'somethingHappened', aggregateId: 1, aggregateVersion: 0 }]);
+		await storage.close();
+
+		const segmentPath = path.join(directory, 'segment-000001.ndjson');
+		const { size } = await fs.promises.stat(segmentPath);
+		await fs.promises.appendFile(segmentPath, '[{"type":"somethingHappened","aggregateId":1,"aggreg');
+
+		storage = new FileEventStorage({ directory });
+
+		const [event] = await storage.commitEvents([{ type: 'anotherHappened', aggregateId: 1, aggregateVersion: 1 }]);
+		expect(event).to.have.property('position', 2);
+
+		const events = await toArray(await storage.getAggregateEvents(1));
+		expect(events.map(e => e.type)).to.deep.eq(['somethingHappened', 'anotherHappened']);
+		expect((await fs.promises.stat(segmentPath)).size).to.be.greaterThan(size);
+	});
+
+	it('fails to open segment corrupted before the last commit', async () => {
+
+		const segmentPath = path.join(directory, 'segment-000001.ndjson');
+		await fs.promises.writeFile(segmentPath, '[{"type":"somethingHa\n[]\n');
+
+		try {
+			await storage.open();
+			throw new Error('must fail');
+		}
+		catch (err) {
+			expect(err.message).to.match(/^segment-000001\.ndjson is corrupted at offset 0/);
+		}
+
+		storage = new FileEventStorage({ directory });
+	});
+
+	it('generates unique IDs', () => {
+
+		expect(storage.getNewId()).to.be.a('string').that.is.not.eq(storage.getNewId());
+	});
+
+	it('can be used as EventStore storage', async () => {
+
+		const es = new EventStore({ storage });
+
+		await es.commit([{ type: 'somethingHappened', aggregateId: 1, aggregateVersion: 0 }]);
+		await es.commit([{ type: 'somethingHappened', aggregateId: 1, aggregateVersion: 1 }], {
+			expectedVersions: { 1: 1 }
+		});
+
+		const events = await es.getAggregateEvents(1);
+		expect(events).to.have.length(2);
+		expect(events).to.have.nested.property('[1].position', 2);
+
+		expect(await toArray(es.getAllEvents(['somethingHappened'], { afterPosition: 1 }))).to.have.length(1);
+	});
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { FileSnapshotStorage } = require('../../src');
+const removeDirectory = require('./mocks/removeDirectory');
+
+describe('FileSnapshotStorage', function () {
+
+	let directory;
+	let snapshotStorage;
+
+	beforeEach(async () => {
+		directory = path.join(await fs.promises.mkdtemp(path.join(os.tmpdir(), 'node-cqrs-')), 'snapshots');
+		snapshotStorage = new FileSnapshotStorage({ directory });
+	});
+
+	afterEach(async () => {
+		await removeDirectory(path.dirname(directory));
+	});
+
+	it('validates options', () => {
+
+		expect(() => new FileSnapshotStorage()).to.throw(TypeError);
+		expect(() => new FileSnapshotStorage({ directory: '' })).to.throw(TypeError);
+	});
+
+	it('returns undefined, when aggregate snapshot does not exist', async () => {
+
+		expect(await snapshotStorage.getAggregateSnapshot(1)).to.eq(undefined);
+	});
+
+	it('keeps the latest snapshot of each aggregate between storage instances', async () => {
+
+		await snapshotStorage.saveAggregateSnapshot({ type: 'snapshot', aggregateId: 1, aggregateVersion: 1, payload: { v: 1 } });
+		await snapshotStorage.saveAggregateSnapshot({ type: 'snapshot', aggregateId: 1, aggregateVersion: 5, payload: { v: 5 } });
+		await snapshotStorage.saveAggregateSnapshot({ type: 'snapshot', aggregateId: 'a/b', aggregateVersion: 1, payload: {} });
+
+		const reopened = new FileSnapshotStorage({ directory });
+
+		expect(await reopened.getAggregateSnapshot(1)).to.deep.eq({
+			type: 'snapshot',
+			aggregateId: 1,
+			aggregateVersion: 5,
+			payload: { v: 5 }
+		});
+		expect(await reopened.getAggregateSnapshot('a/b')).to.have.property('aggregateId', 'a/b');
+		expect(await fs.promises.readdir(directory)).to.have.length(2);
+	});
+
+	it('keeps saga snapshots apart from aggregate snapshots', async () => {
+
+		await snapshotStorage.saveAggregateSnapshot({ type: 'snapshot', aggregateId: 1, aggregateVersion: 1, payload: { v: 1 } });
+		await snapshotStorage.saveSagaSnapshot({ type: 'snapshot', sagaId: 1, sagaVersion: 3, version: 4, payload: { s: 3 } });
+
+		const reopened = new FileSnapshotStorage({ directory });
+
+		expect(await reopened.getSagaSnapshot(1)).to.have.property('payload').that.deep.eqls({ s: 3 });
+		expect(await reopened.getAggregateSnapshot(1)).to.have.property('payload').that.deep.eqls({ v: 1 });
+		expect(await reopened.getSagaSnapshot(2)).to.eq(undefined);
+	});
+});
@@ -1,6 +1,7 @@
 'use strict';
 
-const { InMemoryMessageBus } = require('../..');
+const { AsyncLocalStorage } = require('async_hooks');
+const { InMemoryMessageBus, EventStore, InMemoryEventStorage } = require('../..');
 const { expect, assert, AssertionError } = require('chai');
 const { spy } = require('sinon');
 
@@ -112,4 +113,293 @@ describe('InMemoryMessageBus', function () {
 			}
 		});
 	});
+
+	describe('retries and dead-letter queue', function () {
+
+		it('validates retry policies', () => {
+
+			expect(() => new InMemoryMessageBus({ retryPolicy: {} })).to.throw(TypeError);
+			expect(() => new InMemoryMessageBus({ retryPolicy: { retries: 1, maxDelay: '1s' } })).to.throw(TypeError);
+			expect(() => bus.on('somethingHappened', () => { }, { retryPolicy: { retries: -1 } })).to.throw(TypeError);
+			expect(() => bus.on('somethingHappened', () => { }, 'queue')).to.throw(TypeError);
+		});
+
+		it('retries failed deliveries according to subscription retry policy', async () => {
+
+			let attempts = 0;
+			bus.on('somethingHappened', () => {
+				attempts += 1;
+				if (attempts < 3)
+					throw new Error('temporary failure');
+			}, { retryPolicy: { retries: 2, delay: 1 } });
+
+			await bus.publish({ type: 'somethingHappened' });
+
+			expect(attempts).to.eq(3);
+			expect(bus.deadLetterQueue).to.have.property('size', 0);
+		});
+
+		it('keeps retry policies of the same handler subscribed to multiple message types', async () => {
+
+			const handler = spy(() => {
+				throw new Error('failure');
+			});
+			bus.on('somethingHappened', handler, { retryPolicy: { retries: 1, delay: 1 } });
+			bus.on('somethingElseHappened', handler, { retryPolicy: { retries: 2, delay: 1 } });
+
+			await bus.publish({ type: 'somethingElseHappened' });
+			expect(handler).to.have.property('callCount', 3);
+
+			bus.off('somethingHappened', handler);
+
+			await bus.publish({ type: 'somethingElseHappened' });
+			expect(handler).to.have.property('callCount', 6);
+		});
+
+		it('does not let a failing subscriber affect the others', async () => {
+
+			const failingHandler = () => Promise.reject(new Error('permanent failure'));
+			const handler = spy();
+
+			bus.on('somethingHappened', failingHandler);
+			bus.on('somethingHappened', handler);
+
+			await bus.publish({ type: 'somethingHappened' });
+
+			expect(handler).to.have.property('calledOnce', true);
+
+			const [deadLetter] = bus.deadLetterQueue.getAll();
+			expect(deadLetter).to.have.property('handler', failingHandler);
+			expect(deadLetter).to.have.property('attempts', 1);
+			expect(deadLetter).to.have.nested.property('message.type', 'somethingHappened');
+			expect(deadLetter).to.have.nested.property('error.message', 'permanent failure');
+		});
+
+		it('logs messages moved to dead-letter queue at error level', async () => {
+
+			const logger = { log: spy() };
+			bus = new InMemoryMessageBus({ logger });
+			bus.on('somethingHappened', () => {
+				throw new Error('permanent failure');
+			});
+
+			await bus.publish({ type: 'somethingHappened' });
+
+			expect(logger.log).to.have.nested.property('lastCall.args[0]', 'error');
+			expect(logger.log).to.have.nested.property('lastCall.args[1]', '"somethingHappened" handling failed after 1 attempt(s), '
+				+ 'message moved to dead-letter queue: permanent failure');
+		});
+
+		it('replays dead-lettered messages to their subscribers', async () => {
+
+			let fail = true;
+			const handler = spy(() => {
+				if (fail)
+					throw new Error('failure');
+			});
+			bus.on('somethingHappened', handler);
+
+			await bus.publish({ type: 'somethingHappened', id: 1 });
+			await bus.publish({ type: 'somethingHappened', id: 2 });
+
+			expect(bus.deadLetterQueue).to.have.property('size', 2);
+			expect(await bus.deadLetterQueue.replay(d => d.message.id === 1)).to.eq(0);
+			expect(bus.deadLetterQueue).to.have.property('size', 2);
+
+			fail = false;
+
+			expect(await bus.deadLetterQueue.replay()).to.eq(2);
+			expect(bus.deadLetterQueue).to.have.property('size', 0);
+			expect(handler).to.have.property('callCount', 5);
+		});
+
+		it('keeps dead-letter queue per named queue, named queues inherit bus retry policy', async () => {
+
+			bus = new InMemoryMessageBus({ retryPolicy: { retries: 1, delay: 1 } });
+
+			const handler = spy(() => {
+				throw new Error('failure');
+			});
+			bus.queue('notifications').on('somethingHappened', handler);
+
+			await bus.publish({ type: 'somethingHappened' });
+
+			expect(handler).to.have.property('callCount', 2);
+			expect(bus.deadLetterQueue).to.have.property('size', 0);
+			expect(bus.queue('notifications').deadLetterQueue).to.have.property('size', 1);
+		});
+	});
+
+	describe('queue(name, options)', function () {
+
+		const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+		it('validates delivery options', () => {
+
+			expect(() => bus.queue('sagas', { concurrency: 0 })).to.throw(TypeError);
+			expect(() => bus.queue('sagas', { orderingKey: 1 })).to.throw(TypeError);
+		});
+
+		it('allows to subscribe again, once the queue handler is removed', async () => {
+
+			const oldHandler = spy();
+			const newHandler = spy();
+
+			bus.queue('q').on('e1', oldHandler);
+			expect(() => bus.queue('q').on('e1', newHandler)).to.throw('"e1" handler is already set up on the "q" queue');
+
+			bus.queue('q').off('e1', oldHandler);
+			bus.queue('q').on('e1', newHandler);
+
+			await bus.publish({ type: 'e1' });
+
+			expect(oldHandler).to.have.property('called', false);
+			expect(newHandler).to.have.property('calledOnce', true);
+		});
+
+		it('limits number of events handled at the same time', async () => {
+
+			let active = 0;
+			let maxActive = 0;
+			bus.queue('sagas', { concurrency: 2 }).on('somethingHappened', async () => {
+				active += 1;
+				maxActive = Math.max(maxActive, active);
+				await delay(5);
+				active -= 1;
+			});
+
+			await Promise.all([1, 2, 3, 4, 5].map(id => bus.publish({ type: 'somethingHappened', id })));
+
+			expect(maxActive).to.eq(2);
+		});
+
+		it('handles events with the same ordering key sequentially, others in parallel', async () => {
+
+			const log = [];
+			bus.queue('sagas', { orderingKey: 'sagaId' }).on('somethingHappened', async ({ sagaId, id }) => {
+				log.push(`${id} started`);
+				await delay(sagaId === 1 ? 10 : 1);
+				log.push(`${id} done`);
+			});
+
+			await Promise.all([
+				bus.publish({ type: 'somethingHappened', sagaId: 1, id: 'a' }),
+				bus.publish({ type: 'somethingHappened', sagaId: 1, id: 'b' }),
+				bus.publish({ type: 'somethingHappened', sagaId: 2, id: 'c' })
+			]);
+
+			expect(log).to.deep.eq([
+				'a started',
+				'c started',
+				'c done',
+				'a done',
+				'b started',
+				'b done'
+			]);
+		});
+
+		// nested publishes are detected with AsyncLocalStorage, which is missing in Node versions before 12.17
+		(AsyncLocalStorage ? it : it.skip)('delivers events committed synchronously by a running queue handler without waiting for it', async () => {
+
+			const eventStore = new EventStore({
+				storage: new InMemoryEventStorage(),
+				messageBus: bus,
+				eventStoreConfig: { publishAsync: false }
+			});
+
+			const handled = [];
+			const sagas = bus.queue('sagas', { concurrency: 1, orderingKey: 'sagaId' });
+			sagas.on('orderPlaced', async ({ sagaId }) => {
+				await eventStore.commit([{ type: 'paymentRequested', sagaId, sagaVersion: 0 }]);
+				handled.push('orderPlaced');
+			});
+			sagas.on('paymentRequested', () => {
+				handled.push('paymentRequested');
+			});
+
+			await eventStore.commit([{ type: 'orderPlaced', aggregateId: 'o1', sagaId: 's1', sagaVersion: 0 }]);
+
+			expect(handled).to.deep.eq(['paymentRequested', 'orderPlaced']);
+		});
+
+		it('accepts ordering key function and applies options to an existing queue', async () => {
+
+			const handled = [];
+			bus.queue('sagas').on('somethingHappened', async ({ payload }) => {
+				await delay(payload.delay);
+				handled.push(payload.delay);
+			});
+			bus.queue('sagas', { orderingKey: e => e.payload.key });
+
+			await Promise.all([
+				bus.publish({ type: 'somethingHappened', payload: { key: 'x', delay: 10 } }),
+				bus.publish({ type: 'somethingHappened', payload: { key: 'x', delay: 1 } })
+			]);
+
+			expect(handled).to.deep.eq([10, 1]);
+		});
+	});
+
+	describe('pattern subscriptions', function () {
+
+		it('delivers events to "*" and prefix pattern subscribers', async () => {
+
+			const all = spy();
+			const userEvents = spy();
+			const billingEvents = spy();
+
+			bus.on('*', all);
+			bus.on('user*', userEvents);
+			bus.on('billing.*', billingEvents);
+
+			await bus.publish({ type: 'userCreated' });
+			await bus.publish({ type: 'billing.invoiceIssued' });
+			await bus.publish({ type: 'billingAddressChanged' });
+
+			expect(all).to.have.property('callCount', 3);
+			expect(userEvents).to.have.property('callCount', 1);
+			expect(billingEvents).to.have.property('callCount', 1);
+			expect(billingEvents).to.have.nested.property('firstCall.args[0].type', 'billing.invoiceIssued');
+		});
+
+		it('invokes exact type handlers before pattern handlers, each handler once', async () => {
+
+			const calls = [];
+			const sharedHandler = () => calls.push('shared');
+
+			bus.on('*', () => calls.push('*'));
+			bus.on('user*', sharedHandler);
+			bus.on('userCreated', () => calls.push('exact'));
+			bus.on('userCreated', sharedHandler);
+
+			await bus.publish({ type: 'userCreated' });
+
+			expect(calls).to.deep.eq(['exact', 'shared', '*']);
+		});
+
+		it('removes pattern subscriptions with off', async () => {
+
+			const handler = spy();
+			bus.on('user*', handler);
+			bus.off('user*', handler);
+
+			await bus.publish({ type: 'userCreated' });
+
+			expect(handler).to.have.property('called', false);
+		});
+
+		it('does not match patterns, when sending commands', async () => {
+
+			bus.on('*', () => { });
+
+			try {
+				await bus.send({ type: 'doSomething' });
+				throw new AssertionError('did not fail');
+			}
+			catch (err) {
+				if (err.message !== 'No \'doSomething\' subscribers found')
+					throw err;
+			}
+		});
+	});
 });
@@ -0,0 +1,117 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { InMemorySagaScheduler, EventStore, InMemoryEventStorage } = require('../../src');
+const ManualClock = require('./mocks/ManualClock');
+
+describe('InMemorySagaScheduler', function () {
+
+	let clock;
+	let eventStore;
+	let scheduler;
+
+	const timeoutEvent = { type: 'paymentTimedOut', sagaId: 's1', sagaVersion: 1 };
+
+	beforeEach(() => {
+		clock = new ManualClock();
+		eventStore = new EventStore({ storage: new InMemoryEventStorage() });
+		scheduler = new InMemorySagaScheduler({ eventStore, clock });
+		sinon.spy(eventStore, 'commit');
+	});
+
+	it('validates options', () => {
+
+		expect(() => new InMemorySagaScheduler()).to.throw(TypeError, 'options argument required');
+		expect(() => new InMemorySagaScheduler({})).to.throw(TypeError, 'options.eventStore argument required');
+		expect(() => new InMemorySagaScheduler({ eventStore, clock: {} })).to.throw(TypeError);
+		expect(() => new InMemorySagaScheduler({ eventStore, retryPolicy: { retries: -1 } })).to.throw(TypeError);
+	});
+
+	it('commits timeout event to the event store, once it is due', async () => {
+
+		const timeout = await scheduler.schedule({ event: timeoutEvent, delay: 1000 });
+
+		expect(timeout).to.have.property('dueAt', 1000);
+		expect(scheduler).to.have.property('size', 1);
+
+		await clock.advance(999);
+		expect(eventStore.commit).to.have.property('called', false);
+
+		await clock.advance(1);
+		expect(eventStore.commit).to.have.property('calledOnce', true);
+		expect(eventStore.commit.firstCall.args[0]).to.deep.eq([timeoutEvent]);
+		expect(scheduler).to.have.property('size', 0);
+	});
+
+	it('delivers timeouts with delays exceeding max timer delay', async () => {
+
+		const maxTimerDelay = (2 ** 31) - 1;
+		sinon.spy(clock, 'setTimeout');
+		await scheduler.schedule({ event: timeoutEvent, delay: maxTimerDelay + 1000 });
+
+		await clock.advance(maxTimerDelay);
+		expect(eventStore.commit).to.have.property('called', false);
+		expect(scheduler).to.have.property('size', 1);
+
+		await clock.advance(999);
+		expect(eventStore.commit).to.have.property('called', false);
+
+		await clock.advance(1);
+		expect(eventStore.commit).to.have.property('calledOnce', true);
+		expect(scheduler).to.have.property('size', 0);
+		expect(clock.setTimeout.args.map(([, ms]) => ms)).to.deep.eq([maxTimerDelay, 1000]);
+	});
+
+	it('retries failed timeout commits, keeping the timeout until it is committed', async () => {
+
+		const failingEventStore = { commit: sinon.stub().resolves() };
+		failingEventStore.commit.onFirstCall().rejects(new Error('storage unavailable'));
+		const retryPolicy = { retries: 2, delay: 100 };
+		scheduler = new InMemorySagaScheduler({ eventStore: failingEventStore, clock, retryPolicy });
+
+		await scheduler.schedule({ event: timeoutEvent, delay: 1000 });
+
+		await clock.advance(1000);
+		expect(failingEventStore.commit).to.have.property('calledOnce', true);
+		expect(scheduler).to.have.property('size', 1);
+
+		await clock.advance(100);
+		expect(failingEventStore.commit).to.have.property('calledTwice', true);
+		expect(scheduler).to.have.property('size', 0);
+	});
+
+	it('logs timeout delivery failure, once retries are exhausted', async () => {
+
+		const logger = { log: sinon.spy() };
+		const failingEventStore = { commit: sinon.stub().rejects(new Error('storage unavailable')) };
+		const retryPolicy = { retries: 1, delay: 100 };
+		scheduler = new InMemorySagaScheduler({ eventStore: failingEventStore, clock, logger, retryPolicy });
+
+		await scheduler.schedule({ event: timeoutEvent, delay: 1000 });
+		await clock.advance(1000);
+		await clock.advance(100);
+
+		expect(failingEventStore.commit).to.have.property('calledTwice', true);
+		expect(scheduler).to.have.property('size', 0);
+		expect(logger.log.calledWith('error',
+			'"paymentTimedOut" timeout of saga s1 delivery failed after 2 attempt(s): storage unavailable')).to.eq(true);
+	});
+
+	it('cancels saga timeouts of a given type or all saga timeouts', async () => {
+
+		await scheduler.schedule({ event: timeoutEvent, delay: 100 });
+		await scheduler.schedule({ event: { ...timeoutEvent, type: 'reminderDue' }, delay: 100 });
+		await scheduler.schedule({ event: { ...timeoutEvent, sagaId: 's2' }, delay: 100 });
+
+		await scheduler.cancel('s1', 'reminderDue');
+		expect(scheduler).to.have.property('size', 2);
+
+		await scheduler.cancel('s1');
+		expect(scheduler).to.have.property('size', 1);
+
+		await clock.advance(100);
+		expect(eventStore.commit).to.have.property('calledOnce', true);
+		expect(eventStore.commit.firstCall.args[0]).to.have.nested.property('[0].sagaId', 's2');
+	});
+});
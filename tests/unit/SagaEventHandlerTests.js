@@ -2,7 +2,17 @@
 
 const { expect } = require('chai');
 const sinon = require('sinon');
-const { SagaEventHandler, InMemoryEventStorage, EventStore, CommandBus, AbstractSaga } = require('../..');
+const {
+	SagaEventHandler,
+	InMemoryEventStorage,
+	InMemorySnapshotStorage,
+	EventStore,
+	CommandBus,
+	AbstractSaga,
+	InMemorySagaScheduler,
+	snapshotPolicies
+} = require('../..');
+const ManualClock = require('./mocks/ManualClock');
 
 class Saga extends AbstractSaga {
 	static get startsWith() {
@@ -31,7 +41,9 @@ describe('SagaEventHandler', function () {
 
 	beforeEach(() => {
 		commandBus = new CommandBus();
-		eventStore = new EventStore({ storage: new InMemoryEventStorage() });
+
+		// events are published synchronously, so that commit resolves once sagas have handled them
+		eventStore = new EventStore({ storage: new InMemoryEventStorage(), eventStoreConfig: { publishAsync: false } });
 		sagaEventHandler = new SagaEventHandler({ sagaType: Saga, eventStore, commandBus });
 	});
 
@@ -53,10 +65,41 @@ describe('SagaEventHandler', function () {
 
 		await sagaEventHandler.handle(triggeringEvent);
 
+		// saga missing in the registry gets its status looked up in the event stream first
 		expect(sagaEventHandler._restoreSaga).to.have.property('callCount', 1);
-		expect(eventStore.getSagaEvents).to.have.property('callCount', 1);
+		expect(eventStore.getSagaEvents).to.have.property('callCount', 2);
 
 		await doSomethingCommandHandler;
+
+		await sagaEventHandler.handle({ ...triggeringEvent, sagaVersion: 1 });
+
+		expect(sagaEventHandler._restoreSaga).to.have.property('callCount', 2);
+		expect(eventStore.getSagaEvents).to.have.property('callCount', 3);
+	});
+
+	it('stops handling saga events after dispose', async () => {
+
+		sinon.spy(sagaEventHandler, 'handle');
+		sagaEventHandler.subscribe(eventStore);
+		sagaEventHandler.dispose();
+
+		await eventStore.commit([{ type: 'somethingHappened', aggregateId: 1, aggregateVersion: 0 }]);
+
+		expect(sagaEventHandler.handle).to.have.property('called', false);
+	});
+
+	it('attaches correlationId and causationId of the triggering event to produced commands', async () => {
+
+		const doSomethingCommandHandler = new Promise(resolve => {
+			commandBus.on('doSomething', resolve);
+		});
+
+		await sagaEventHandler.handle({ ...triggeringEvent, id: 'event-1', correlationId: 'flow-1' });
+
+		const command = await doSomethingCommandHandler;
+		expect(command).to.have.property('correlationId', 'flow-1');
+		expect(command).to.have.property('causationId', 'event-1');
+		expect(command).to.have.property('id').that.is.a('string');
 	});
 
 	it('passes command execution errors to saga.onError', async () => {
@@ -82,4 +125,924 @@ describe('SagaEventHandler', function () {
 		expect(fixConfirmationCommand).to.have.nested.property('payload.command.type', 'doSomething');
 		expect(fixConfirmationCommand).to.have.nested.property('payload.error.message', 'command execution failed');
 	});
+
+	describe('with multiple sagas started by the same event type', () => {
+
+		class OnboardingSaga extends AbstractSaga {
+			static get startsWith() {
+				return ['userSignedUp'];
+			}
+			static get handles() {
+				return ['stepCompleted'];
+			}
+			userSignedUp() {
+				super.enqueue('sendWelcomeEmail', 1);
+			}
+			stepCompleted() {
+				super.enqueue('completeOnboarding', 1);
+			}
+		}
+
+		class BillingSaga extends AbstractSaga {
+			static get startsWith() {
+				return ['userSignedUp'];
+			}
+			static get handles() {
+				return ['stepCompleted'];
+			}
+			userSignedUp() {
+				super.enqueue('createInvoice', 2);
+			}
+			stepCompleted() {
+				super.enqueue('completeBilling', 2);
+			}
+		}
+
+		let commands;
+
+		beforeEach(() => {
+			commands = [];
+			for (const commandType of ['sendWelcomeEmail', 'completeOnboarding', 'createInvoice', 'completeBilling'])
+				commandBus.on(commandType, command => commands.push(command));
+
+			new SagaEventHandler({ sagaType: OnboardingSaga, eventStore, commandBus }).subscribe(eventStore);
+			new SagaEventHandler({ sagaType: BillingSaga, eventStore, commandBus }).subscribe(eventStore);
+		});
+
+		it('starts each saga with its own sagaId', async () => {
+
+			const [userSignedUp] = await eventStore.commit([{ type: 'userSignedUp', aggregateId: 1, aggregateVersion: 0 }]);
+
+			const sendWelcomeEmail = commands.find(c => c.type === 'sendWelcomeEmail');
+			expect(sendWelcomeEmail).to.have.property('sagaId', userSignedUp.sagaOrigins.OnboardingSaga);
+			expect(sendWelcomeEmail).to.have.property('sagaVersion', 0);
+			expect(sendWelcomeEmail).to.have.property('sagaDescriptor', 'OnboardingSaga');
+
+			const createInvoice = commands.find(c => c.type === 'createInvoice');
+			expect(createInvoice).to.have.property('sagaId', userSignedUp.sagaOrigins.BillingSaga);
+			expect(createInvoice).to.have.property('sagaDescriptor', 'BillingSaga');
+		});
+
+		it('keeps saga IDs under the saga descriptor, when it is defined explicitly', async () => {
+
+			class MinifiedSaga extends OnboardingSaga {
+				static get sagaDescriptor() {
+					return 'referral';
+				}
+			}
+
+			new SagaEventHandler({ sagaType: MinifiedSaga, eventStore, commandBus }).subscribe(eventStore);
+
+			const [userSignedUp] = await eventStore.commit([{ type: 'userSignedUp', aggregateId: 1, aggregateVersion: 0 }]);
+
+			expect(userSignedUp.sagaOrigins).to.have.keys('OnboardingSaga', 'BillingSaga', 'referral');
+			expect(commands.filter(c => c.sagaDescriptor === 'referral')).to.have.length(1);
+		});
+
+		it('passes events produced by saga commands to the same saga type only', async () => {
+
+			await eventStore.commit([{ type: 'userSignedUp', aggregateId: 1, aggregateVersion: 0 }]);
+
+			const { sagaId, sagaVersion, sagaDescriptor } = commands.find(c => c.type === 'sendWelcomeEmail');
+			commands.length = 0;
+
+			await eventStore.commit([
+				{ type: 'stepCompleted', aggregateId: 1, aggregateVersion: 1, sagaId, sagaVersion, sagaDescriptor }
+			]);
+
+			expect(commands.map(c => c.type)).to.deep.eq(['completeOnboarding']);
+			expect(commands[0]).to.have.property('sagaId', sagaId);
+		});
+	});
+
+	describe('with saga correlations', () => {
+
+		class OrderSaga extends AbstractSaga {
+			static get startsWith() {
+				return ['orderPlaced'];
+			}
+			static get handles() {
+				return ['paymentReceived', 'orderShipped'];
+			}
+			static get correlations() {
+				return {
+					orderPlaced: e => e.aggregateId,
+					paymentReceived: e => e.payload.orderId,
+					orderShipped: e => e.payload.orderId
+				};
+			}
+			orderPlaced(event) {
+				this._orderId = event.aggregateId;
+			}
+			paymentReceived() {
+				this._paid = true;
+			}
+			orderShipped() {
+				if (this._paid)
+					super.enqueue('completeOrder', this._orderId);
+			}
+		}
+
+		let commands;
+		let orderSagaHandler;
+
+		beforeEach(() => {
+			commands = [];
+			commandBus.on('completeOrder', command => commands.push(command));
+
+			orderSagaHandler = new SagaEventHandler({ sagaType: OrderSaga, eventStore, commandBus });
+			orderSagaHandler.subscribe(eventStore);
+		});
+
+		it('validates correlations', () => {
+
+			const options = { sagaType: () => ({}), eventStore, commandBus, startsWith: ['orderPlaced'], handles: [] };
+
+			expect(() => new SagaEventHandler({ ...options, sagaDescriptor: 'OrderSaga', correlations: {} }))
+				.to.throw(TypeError, 'correlations argument must contain getters for all saga starter events');
+			expect(() => new SagaEventHandler({ ...options, correlations: { orderPlaced: e => e.aggregateId } }))
+				.to.throw(TypeError, 'sagaDescriptor argument required, when saga correlations are defined');
+		});
+
+		it('restores saga from events correlated by business key, when events do not carry sagaId', async () => {
+
+			const [orderPlaced] = await eventStore.commit([{ type: 'orderPlaced', aggregateId: 'o1', aggregateVersion: 0 }]);
+			await eventStore.commit([{ type: 'orderPlaced', aggregateId: 'o2', aggregateVersion: 0 }]);
+			await eventStore.commit([
+				{ type: 'paymentReceived', aggregateId: 'p1', aggregateVersion: 0, payload: { orderId: 'o1' } }
+			]);
+			await eventStore.commit([
+				{ type: 'orderShipped', aggregateId: 's1', aggregateVersion: 0, payload: { orderId: 'o2' } },
+				{ type: 'orderShipped', aggregateId: 's2', aggregateVersion: 0, payload: { orderId: 'o1' } }
+			]);
+
+			expect(commands).to.have.length(1);
+			expect(commands[0]).to.have.property('aggregateId', 'o1');
+			expect(commands[0]).to.have.property('sagaId', orderPlaced.sagaOrigins.OrderSaga);
+		});
+
+		it('records correlated events in the saga event stream, so that saga is restored without scanning all events', async () => {
+
+			const [orderPlaced] = await eventStore.commit([{ type: 'orderPlaced', aggregateId: 'o1', aggregateVersion: 0 }]);
+			const sagaId = orderPlaced.sagaOrigins.OrderSaga;
+
+			sinon.spy(eventStore, 'getAllEvents');
+
+			await eventStore.commit([
+				{ type: 'paymentReceived', aggregateId: 'p1', aggregateVersion: 0, payload: { orderId: 'o1' } }
+			]);
+			await eventStore.commit([
+				{ type: 'orderShipped', aggregateId: 's1', aggregateVersion: 0, payload: { orderId: 'o1' } }
+			]);
+
+			expect(eventStore.getAllEvents).to.have.property('called', false);
+			expect(commands).to.have.length(1);
+
+			const sagaEvents = await eventStore.getSagaEvents(sagaId, {
+				beforeEvent: { sagaVersion: Number.MAX_SAFE_INTEGER }
+			});
+			expect(sagaEvents.map(e => e.type)).to.deep.eq(['orderPlaced', 'sagaEventCorrelated', 'sagaEventCorrelated']);
+			expect(sagaEvents[1]).to.have.nested.property('payload.type', 'paymentReceived');
+		});
+
+		it('handles correlated events without global position', async () => {
+
+			await eventStore.commit([{ type: 'orderPlaced', aggregateId: 'o1', aggregateVersion: 0 }]);
+
+			await orderSagaHandler.handle({ type: 'paymentReceived', aggregateId: 'p1', payload: { orderId: 'o1' } });
+			await orderSagaHandler.handle({ type: 'orderShipped', aggregateId: 's1', payload: { orderId: 'o1' } });
+
+			expect(commands).to.have.length(1);
+			expect(commands[0]).to.have.property('aggregateId', 'o1');
+		});
+
+		it('restores correlation index from saga starter events, when business key is not found in it', async () => {
+
+			await eventStore.commit([{ type: 'orderPlaced', aggregateId: 'o1', aggregateVersion: 0 }]);
+			await eventStore.commit([
+				{ type: 'paymentReceived', aggregateId: 'p1', aggregateVersion: 0, payload: { orderId: 'o1' } }
+			]);
+
+			// new saga receptor with an empty correlation index emulates app restart
+			orderSagaHandler.dispose();
+			new SagaEventHandler({ sagaType: OrderSaga, eventStore, commandBus }).subscribe(eventStore);
+
+			await eventStore.commit([
+				{ type: 'orderShipped', aggregateId: 's1', aggregateVersion: 0, payload: { orderId: 'o1' } }
+			]);
+
+			expect(commands).to.have.length(1);
+			expect(commands[0]).to.have.property('aggregateId', 'o1');
+		});
+
+		it('restores saga from snapshot and correlated events recorded after its position', async () => {
+
+			class PaymentSaga extends AbstractSaga {
+				static get startsWith() {
+					return ['orderPlaced'];
+				}
+				static get handles() {
+					return ['paymentReceived', 'orderShipped'];
+				}
+				static get correlations() {
+					return OrderSaga.correlations;
+				}
+				constructor({ id, events }) {
+					super({ id, events, state: { payments: 0 } });
+				}
+				orderPlaced(event) {
+					this.state.orderId = event.aggregateId;
+				}
+				paymentReceived() {
+					this.state.payments += 1;
+				}
+				orderShipped() {
+					super.enqueue('completeOrder', this.state.orderId, { payments: this.state.payments });
+				}
+			}
+
+			const snapshotStorage = new InMemorySnapshotStorage();
+			eventStore = new EventStore({
+				storage: new InMemoryEventStorage(),
+				snapshotStorage,
+				eventStoreConfig: { publishAsync: false }
+			});
+			new SagaEventHandler({
+				sagaType: PaymentSaga,
+				eventStore,
+				commandBus,
+				snapshotPolicy: snapshotPolicies.everyNEvents(1)
+			}).subscribe(eventStore);
+
+			const [orderPlaced] = await eventStore.commit([{ type: 'orderPlaced', aggregateId: 'o1', aggregateVersion: 0 }]);
+			for (const aggregateId of ['p1', 'p2']) {
+				await eventStore.commit([
+					{ type: 'paymentReceived', aggregateId, aggregateVersion: 0, payload: { orderId: 'o1' } }
+				]);
+			}
+
+			const snapshot = await snapshotStorage.getSagaSnapshot(orderPlaced.sagaOrigins.PaymentSaga);
+			expect(snapshot).to.include({ sagaVersion: 0, position: 4, version: 2 });
+			expect(snapshot).to.have.deep.property('payload', { orderId: 'o1', payments: 1 });
+
+			await eventStore.commit([
+				{ type: 'orderShipped', aggregateId: 's1', aggregateVersion: 0, payload: { orderId: 'o1' } }
+			]);
+
+			expect(commands).to.have.length(1);
+			expect(commands[0]).to.have.nested.property('payload.payments', 2);
+		});
+
+		it('skips events, which business key does not correlate with any saga, logging them at debug level', async () => {
+
+			const logger = { log: sinon.spy() };
+			const handler = new SagaEventHandler({ sagaType: OrderSaga, eventStore, commandBus, logger });
+
+			await handler.handle({ type: 'orderShipped', aggregateId: 's1', payload: { orderId: 'unknown' } });
+
+			expect(commands).to.be.empty;
+			expect(logger.log.args).to.deep.include([
+				'debug',
+				'"orderShipped" event does not relate to any OrderSaga saga, skipped',
+				{ service: 'OrderSaga' }
+			]);
+		});
+
+		it('skips events without business key', async () => {
+
+			await orderSagaHandler.handle({ type: 'orderShipped', aggregateId: 's1', payload: {} });
+
+			expect(commands).to.be.empty;
+		});
+	});
+
+	describe('with timeouts', () => {
+
+		const PAYMENT_TIMEOUT = 30 * 60 * 1000;
+
+		class PaymentSaga extends AbstractSaga {
+			static get startsWith() {
+				return ['orderPlaced'];
+			}
+			static get handles() {
+				return ['paymentReceived', 'paymentTimedOut'];
+			}
+			orderPlaced(event) {
+				this.scheduleTimeout('paymentTimedOut', PAYMENT_TIMEOUT, { orderId: event.aggregateId });
+			}
+			paymentReceived() {
+				this.cancelTimeout('paymentTimedOut');
+			}
+			paymentTimedOut(event) {
+				super.enqueue('cancelOrder', event.payload.orderId);
+			}
+		}
+
+		let clock;
+		let sagaScheduler;
+		let commands;
+
+		beforeEach(() => {
+			clock = new ManualClock();
+			sagaScheduler = new InMemorySagaScheduler({ eventStore, clock });
+			commands = [];
+			commandBus.on('cancelOrder', command => commands.push(command));
+
+			new SagaEventHandler({ sagaType: PaymentSaga, eventStore, commandBus, sagaScheduler }).subscribe(eventStore);
+		});
+
+		it('delivers timeout event back to the saga, once it is due', async () => {
+
+			const [orderPlaced] = await eventStore.commit([{ type: 'orderPlaced', aggregateId: 'o1', aggregateVersion: 0 }]);
+
+			expect(sagaScheduler).to.have.property('size', 1);
+
+			await clock.advance(PAYMENT_TIMEOUT);
+
+			expect(commands).to.have.length(1);
+			expect(commands[0]).to.have.property('aggregateId', 'o1');
+			expect(commands[0]).to.have.property('sagaId', orderPlaced.sagaOrigins.PaymentSaga);
+		});
+
+		it('cancels timeout, when saga requests it', async () => {
+
+			const [orderPlaced] = await eventStore.commit([{ type: 'orderPlaced', aggregateId: 'o1', aggregateVersion: 0 }]);
+
+			await eventStore.commit([{
+				type: 'paymentReceived',
+				aggregateId: 'p1',
+				aggregateVersion: 0,
+				sagaId: orderPlaced.sagaOrigins.PaymentSaga,
+				sagaVersion: 1,
+				sagaDescriptor: 'PaymentSaga'
+			}]);
+
+			expect(sagaScheduler).to.have.property('size', 0);
+
+			await clock.advance(PAYMENT_TIMEOUT);
+			expect(commands).to.be.empty;
+		});
+
+		it('applies timeout to the latest saga state, including changes made after scheduling', async () => {
+
+			class ReminderSaga extends AbstractSaga {
+				static get startsWith() {
+					return ['orderPlaced'];
+				}
+				static get handles() {
+					return ['itemAdded', 'paymentReminderDue'];
+				}
+				orderPlaced(event) {
+					this._orderId = event.aggregateId;
+					this._items = 0;
+					this.scheduleTimeout('paymentReminderDue', PAYMENT_TIMEOUT);
+				}
+				itemAdded() {
+					this._items += 1;
+				}
+				paymentReminderDue() {
+					super.enqueue('remindPayment', this._orderId, { items: this._items });
+				}
+			}
+
+			const reminders = [];
+			commandBus.on('remindPayment', command => reminders.push(command));
+			new SagaEventHandler({ sagaType: ReminderSaga, eventStore, commandBus, sagaScheduler }).subscribe(eventStore);
+
+			const [orderPlaced] = await eventStore.commit([{ type: 'orderPlaced', aggregateId: 'o1', aggregateVersion: 0 }]);
+			await eventStore.commit([{
+				type: 'itemAdded',
+				aggregateId: 'o1',
+				aggregateVersion: 1,
+				sagaId: orderPlaced.sagaOrigins.ReminderSaga,
+				sagaVersion: 1,
+				sagaDescriptor: 'ReminderSaga'
+			}]);
+
+			await clock.advance(PAYMENT_TIMEOUT);
+
+			expect(reminders).to.have.length(1);
+			expect(reminders[0]).to.have.property('aggregateId', 'o1');
+			expect(reminders[0]).to.have.nested.property('payload.items', 1);
+			expect(reminders[0]).to.have.property('sagaVersion', 2);
+		});
+
+		it('fails, when saga schedules a timeout and no scheduler is configured', async () => {
+
+			const handler = new SagaEventHandler({ sagaType: PaymentSaga, eventStore, commandBus });
+
+			let error;
+			try {
+				await handler.handle({ type: 'orderPlaced', aggregateId: 'o1', sagaOrigins: { PaymentSaga: 's1' } });
+			}
+			catch (err) {
+				error = err;
+			}
+
+			expect(error).to.have.property('message', 'sagaScheduler is required to schedule saga timeouts');
+		});
+	});
+
+	describe('saga completion', () => {
+
+		class DeliverySaga extends AbstractSaga {
+			static get startsWith() {
+				return ['orderPlaced'];
+			}
+			static get handles() {
+				return ['orderDelivered', 'orderLost', 'deliveryOverdue'];
+			}
+			orderPlaced() {
+				this.scheduleTimeout('deliveryOverdue', 1000);
+			}
+			orderDelivered() {
+				this.complete();
+			}
+			orderLost() {
+				this.fail('order lost');
+			}
+			deliveryOverdue() {
+				super.enqueue('escalate', undefined);
+			}
+		}
+
+		let sagaScheduler;
+		let onLateEvent;
+		let handler;
+		let sagaId;
+
+		const sagaEvent = (type, sagaVersion) => ({
+			type,
+			aggregateId: 'delivery-1',
+			sagaId,
+			sagaVersion,
+			sagaDescriptor: 'DeliverySaga'
+		});
+
+		beforeEach(async () => {
+			sagaScheduler = new InMemorySagaScheduler({ eventStore, clock: new ManualClock() });
+			onLateEvent = sinon.spy();
+			handler = new SagaEventHandler({ sagaType: DeliverySaga, eventStore, commandBus, sagaScheduler, onLateEvent });
+			handler.subscribe(eventStore);
+
+			const [orderPlaced] = await eventStore.commit([{ type: 'orderPlaced', aggregateId: 'o1', aggregateVersion: 0 }]);
+
+			sagaId = orderPlaced.sagaOrigins.DeliverySaga;
+		});
+
+		it('keeps track of active sagas', async () => {
+
+			expect(await handler.getActiveSagaIds()).to.deep.eq([sagaId]);
+
+			await eventStore.commit([sagaEvent('orderDelivered', 1)]);
+
+			expect(await handler.getActiveSagaIds()).to.be.empty;
+		});
+
+		it('records saga status change in the event store and cancels saga timeouts', async () => {
+
+			await eventStore.commit([sagaEvent('orderLost', 1)]);
+
+			const statusEvents = [];
+			for await (const e of eventStore.getAllEvents(['sagaCompleted', 'sagaFailed']))
+				statusEvents.push(e);
+
+			expect(statusEvents).to.have.length(1);
+			expect(statusEvents[0]).to.include({ type: 'sagaFailed', sagaId, sagaVersion: 2 });
+			expect(statusEvents[0]).to.have.nested.property('payload.reason', 'order lost');
+			expect(sagaScheduler).to.have.property('size', 0);
+		});
+
+		it('passes events received by finished sagas to onLateEvent handler', async () => {
+
+			sinon.spy(handler, '_restoreSaga');
+
+			await eventStore.commit([sagaEvent('orderDelivered', 1)]);
+			await eventStore.commit([sagaEvent('orderLost', 1)]);
+
+			expect(handler._restoreSaga).to.have.property('calledOnce', true);
+			expect(onLateEvent).to.have.property('calledOnce', true);
+			expect(onLateEvent.firstCall.args[0]).to.have.property('type', 'orderLost');
+			expect(onLateEvent.firstCall.args[1]).to.deep.eq({ sagaId, status: 'completed' });
+		});
+
+		it('removes finished sagas from the registry', async () => {
+
+			await eventStore.commit([sagaEvent('orderDelivered', 1)]);
+
+			expect(await handler._sagaRegistry.getStatus('DeliverySaga', sagaId)).to.eq(undefined);
+		});
+
+		it('restores active sagas started before restart, skipping finished ones', async () => {
+
+			const [secondOrderPlaced] = await eventStore.commit([{ type: 'orderPlaced', aggregateId: 'o2', aggregateVersion: 0 }]);
+			await eventStore.commit([sagaEvent('orderDelivered', 1)]);
+			handler.dispose();
+
+			const restartedHandler = new SagaEventHandler({ sagaType: DeliverySaga, eventStore, commandBus, sagaScheduler });
+			restartedHandler.subscribe(eventStore);
+
+			expect(await restartedHandler.getActiveSagaIds()).to.deep.eq([secondOrderPlaced.sagaOrigins.DeliverySaga]);
+		});
+
+		it('detects finished sagas from their event stream, when saga registry does not contain them', async () => {
+
+			await eventStore.commit([sagaEvent('orderDelivered', 1)]);
+			handler.dispose();
+
+			const restartedHandler = new SagaEventHandler({ sagaType: DeliverySaga, eventStore, commandBus, onLateEvent });
+			await restartedHandler.handle(sagaEvent('orderLost', 3));
+
+			expect(onLateEvent).to.have.property('calledOnce', true);
+			expect(onLateEvent.firstCall.args[1]).to.deep.eq({ sagaId, status: 'completed' });
+		});
+	});
+
+	describe('onError decisions', () => {
+
+		class PaymentSaga extends AbstractSaga {
+			static get startsWith() {
+				return ['orderPlaced'];
+			}
+			orderPlaced() {
+				super.enqueue('chargeCard', 'card-1');
+				super.enqueue('sendReceipt', 'customer-1');
+			}
+			async onError() {
+				await new Promise(resolve => setImmediate(resolve));
+				if (this.decision === 'alternative') {
+					super.enqueue('requestInvoicePayment', 'customer-1');
+					return 'skip';
+				}
+				return this.decision;
+			}
+		}
+
+		let chargeAttempts;
+		let sentCommands;
+		let decisions;
+		let orderPlaced;
+
+		const createHandler = (decision, commandRetryPolicy = { retries: 2, delay: 0 }) => new SagaEventHandler({
+			sagaType: params => Object.assign(new PaymentSaga(params), { decision }),
+			startsWith: PaymentSaga.startsWith,
+			handles: PaymentSaga.handles,
+			sagaDescriptor: 'PaymentSaga',
+			eventStore,
+			commandBus,
+			commandRetryPolicy,
+			onErrorDecision: info => decisions.push(info.decision)
+		});
+
+		beforeEach(async () => {
+			chargeAttempts = 0;
+			sentCommands = [];
+			decisions = [];
+			commandBus.on('chargeCard', () => {
+				chargeAttempts += 1;
+				if (chargeAttempts < 3)
+					throw new Error('payment gateway unavailable');
+			});
+			for (const type of ['sendReceipt', 'requestInvoicePayment'])
+				commandBus.on(type, command => sentCommands.push(command.type));
+
+			createHandler();
+			[orderPlaced] = await eventStore.commit([{ type: 'orderPlaced', aggregateId: 'o1', aggregateVersion: 0 }]);
+		});
+
+		it('validates command retry policy and decision hook', () => {
+
+			expect(() => createHandler(undefined, { retries: -1 })).to.throw(TypeError);
+			expect(() => new SagaEventHandler({ sagaType: PaymentSaga, eventStore, commandBus, onErrorDecision: true }))
+				.to.throw(TypeError);
+		});
+
+		it('retries failed command according to command retry policy', async () => {
+
+			await createHandler('retry').handle(orderPlaced);
+
+			expect(chargeAttempts).to.eq(3);
+			expect(decisions).to.deep.eq(['retry', 'retry']);
+			expect(sentCommands).to.deep.eq(['sendReceipt']);
+		});
+
+		it('rethrows command error, once retries are exhausted', async () => {
+
+			let error;
+			try {
+				await createHandler('retry', { retries: 1, delay: 0 }).handle(orderPlaced);
+			}
+			catch (err) {
+				error = err;
+			}
+
+			expect(error).to.have.property('message', 'payment gateway unavailable');
+			expect(decisions).to.deep.eq(['retry', 'rethrow']);
+			expect(sentCommands).to.be.empty;
+		});
+
+		it('sends commands enqueued by async onError, when failed command is skipped', async () => {
+
+			await createHandler('alternative').handle(orderPlaced);
+
+			expect(chargeAttempts).to.eq(1);
+			expect(decisions).to.deep.eq(['skip']);
+			expect(sentCommands).to.deep.eq(['sendReceipt', 'requestInvoicePayment']);
+		});
+
+		it('rejects unknown decisions', async () => {
+
+			let error;
+			try {
+				await createHandler('ignore').handle(orderPlaced);
+			}
+			catch (err) {
+				error = err;
+			}
+
+			expect(error).to.be.instanceOf(TypeError);
+		});
+	});
+
+	describe('with compensations', () => {
+
+		class BookingSaga extends AbstractSaga {
+			static get startsWith() {
+				return ['tripRequested'];
+			}
+			static get handles() {
+				return ['hotelBooked'];
+			}
+			static get compensations() {
+				return {
+					bookHotel: c => ({ type: 'cancelHotel', aggregateId: c.aggregateId }),
+					bookFlight: c => ({ type: 'cancelFlight', aggregateId: c.aggregateId })
+				};
+			}
+			tripRequested() {
+				super.enqueue('bookHotel', 'hotel-1');
+				super.enqueue('notifyTraveller', 'traveller-1');
+			}
+			hotelBooked() {
+				super.enqueue('bookFlight', 'flight-1');
+				super.enqueue('bookCar', 'car-1');
+				super.enqueue('sendItinerary', 'traveller-1');
+			}
+		}
+
+		let sentCommands;
+		let handler;
+		let sagaId;
+
+		beforeEach(async () => {
+			sentCommands = [];
+			for (const type of ['bookHotel', 'notifyTraveller', 'bookFlight', 'sendItinerary', 'cancelHotel', 'cancelFlight'])
+				commandBus.on(type, command => sentCommands.push(command));
+			commandBus.on('bookCar', () => {
+				throw new Error('no cars available');
+			});
+
+			handler = new SagaEventHandler({ sagaType: BookingSaga, eventStore, commandBus });
+
+			const [tripRequested] = await eventStore.commit([{ type: 'tripRequested', aggregateId: 't1', aggregateVersion: 0 }]);
+			sagaId = tripRequested.sagaOrigins.BookingSaga;
+			await handler.handle(tripRequested);
+		});
+
+		it('validates compensations', () => {
+
+			const options = { sagaType: () => ({}), eventStore, commandBus, startsWith: ['tripRequested'], handles: [] };
+
+			expect(() => new SagaEventHandler({ ...options, compensations: { bookHotel: 'cancelHotel' } }))
+				.to.throw(TypeError, 'compensations argument must contain Functions only');
+		});
+
+		it('compensates steps completed before saga snapshot was taken', async () => {
+
+			class StatefulBookingSaga extends BookingSaga {
+				constructor({ id, events }) {
+					super({ id, events, state: {} });
+				}
+			}
+
+			const snapshotStorage = new InMemorySnapshotStorage();
+			eventStore = new EventStore({ storage: new InMemoryEventStorage(), snapshotStorage });
+			handler = new SagaEventHandler({
+				sagaType: StatefulBookingSaga,
+				sagaDescriptor: 'BookingSaga',
+				eventStore,
+				commandBus,
+				snapshotPolicy: snapshotPolicies.everyNEvents(1)
+			});
+
+			const [tripRequested] = await eventStore.commit([{ type: 'tripRequested', aggregateId: 't1', aggregateVersion: 0 }]);
+			sagaId = tripRequested.sagaOrigins.BookingSaga;
+			await handler.handle(tripRequested);
+			sentCommands = [];
+
+			await handler.handle({ type: 'hotelBooked', aggregateId: 'hotel-1', sagaId, sagaVersion: 1, sagaDescriptor: 'BookingSaga' });
+
+			expect(await snapshotStorage.getSagaSnapshot(sagaId)).to.have.nested.property('completedSteps[0].type', 'bookHotel');
+			expect(sentCommands.map(c => c.type)).to.deep.eq(['bookFlight', 'cancelFlight', 'cancelHotel']);
+		});
+
+		it('records completed steps in the saga event stream', async () => {
+
+			const sagaEvents = await eventStore.getSagaEvents(sagaId, {
+				beforeEvent: { sagaVersion: Number.MAX_SAFE_INTEGER }
+			});
+
+			expect(sagaEvents.map(e => e.type)).to.deep.eq(['tripRequested', 'sagaStepCompleted']);
+			expect(sagaEvents[1]).to.include({ sagaId, sagaVersion: 0, sagaDescriptor: 'BookingSaga' });
+			expect(sagaEvents[1]).to.have.nested.property('payload.command.type', 'bookHotel');
+
+			const [bookHotel] = sentCommands;
+			expect(bookHotel).to.have.property('id').that.is.a('string');
+			expect(sagaEvents[1]).to.have.property('causationId', bookHotel.id);
+			expect(sagaEvents[1]).to.have.nested.property('payload.command.id', bookHotel.id);
+		});
+
+		it('compensates steps completed before app restart', async () => {
+
+			const restartedHandler = new SagaEventHandler({ sagaType: BookingSaga, eventStore, commandBus });
+			await restartedHandler.handle({
+				type: 'hotelBooked',
+				aggregateId: 'hotel-1',
+				sagaId,
+				sagaVersion: 1,
+				sagaDescriptor: 'BookingSaga'
+			});
+
+			expect(sentCommands.map(c => c.type)).to.deep.eq([
+				'bookHotel',
+				'notifyTraveller',
+				'bookFlight',
+				'cancelFlight',
+				'cancelHotel'
+			]);
+		});
+
+		it('compensates completed steps in reverse order, when saga command fails', async () => {
+
+			await handler.handle({ type: 'hotelBooked', aggregateId: 'hotel-1', sagaId, sagaVersion: 1, sagaDescriptor: 'BookingSaga' });
+
+			expect(sentCommands.map(c => c.type)).to.deep.eq([
+				'bookHotel',
+				'notifyTraveller',
+				'bookFlight',
+				'cancelFlight',
+				'cancelHotel'
+			]);
+			expect(sentCommands[4]).to.include({ aggregateId: 'hotel-1', sagaId, sagaDescriptor: 'BookingSaga' });
+
+			const statusEvents = [];
+			for await (const e of eventStore.getAllEvents(['sagaCompensated']))
+				statusEvents.push(e);
+
+			expect(statusEvents).to.have.length(1);
+			expect(statusEvents[0]).to.have.nested.property('payload.reason', 'no cars available');
+			expect(await handler.getActiveSagaIds()).to.be.empty;
+		});
+
+		it('records saga as failed, when compensation fails', async () => {
+
+			commandBus.on('cancelHotel', () => {
+				throw new Error('booking not found');
+			});
+
+			await handler.handle({ type: 'hotelBooked', aggregateId: 'hotel-1', sagaId, sagaVersion: 1, sagaDescriptor: 'BookingSaga' });
+
+			const statusEvents = [];
+			for await (const e of eventStore.getAllEvents(['sagaCompensated', 'sagaFailed']))
+				statusEvents.push(e);
+
+			expect(statusEvents.map(e => e.type)).to.deep.eq(['sagaFailed']);
+			expect(statusEvents[0]).to.have.nested.property('payload.reason', 'cancelHotel compensation(s) failed');
+		});
+	});
+
+	describe('with snapshots', () => {
+
+		class CounterSaga extends AbstractSaga {
+			static get startsWith() {
+				return ['counterStarted'];
+			}
+			static get handles() {
+				return ['counterIncremented'];
+			}
+			constructor({ id, events }) {
+				super({ id, events, state: { count: 0 } });
+			}
+			counterStarted() {
+				this.state.count = 0;
+			}
+			counterIncremented() {
+				this.state.count += 1;
+				super.enqueue('reportCount', undefined, { count: this.state.count });
+			}
+		}
+
+		let snapshotStorage;
+		let handler;
+		let reportedCounts;
+		let sagaId;
+
+		const increment = sagaVersion => ({
+			type: 'counterIncremented',
+			aggregateId: 'c1',
+			sagaId,
+			sagaVersion,
+			sagaDescriptor: 'CounterSaga'
+		});
+
+		beforeEach(async () => {
+			snapshotStorage = new InMemorySnapshotStorage();
+			eventStore = new EventStore({
+				storage: new InMemoryEventStorage(),
+				snapshotStorage,
+				eventStoreConfig: { publishAsync: false }
+			});
+			handler = new SagaEventHandler({
+				sagaType: CounterSaga,
+				eventStore,
+				commandBus,
+				snapshotPolicy: snapshotPolicies.everyNEvents(3)
+			});
+
+			reportedCounts = [];
+			commandBus.on('reportCount', command => reportedCounts.push(command.payload.count));
+
+			const [counterStarted] = await eventStore.commit([{ type: 'counterStarted', aggregateId: 'c1', aggregateVersion: 0 }]);
+			sagaId = counterStarted.sagaOrigins.CounterSaga;
+		});
+
+		it('validates snapshot policy', () => {
+
+			expect(() => new SagaEventHandler({ sagaType: CounterSaga, eventStore, commandBus, snapshotPolicy: 3 }))
+				.to.throw(TypeError);
+		});
+
+		it('saves restored saga state snapshot, when snapshot policy requires it', async () => {
+
+			for (const sagaVersion of [1, 2]) {
+				const [event] = await eventStore.commit([increment(sagaVersion)]);
+				await handler.handle(event);
+			}
+
+			expect(await snapshotStorage.getSagaSnapshot(sagaId)).to.eq(undefined);
+
+			const [event] = await eventStore.commit([increment(3)]);
+			await handler.handle(event);
+
+			expect(await snapshotStorage.getSagaSnapshot(sagaId)).to.include({
+				type: 'snapshot',
+				sagaId,
+				sagaVersion: 3,
+				version: 3,
+				sagaDescriptor: 'CounterSaga'
+			}).and.to.have.deep.property('payload', { count: 2 });
+			expect(reportedCounts).to.deep.eq([1, 2, 3]);
+		});
+
+		it('takes snapshot policy and snapshot schema version from options, when saga factory is used', async () => {
+
+			const factoryHandler = new SagaEventHandler({
+				sagaType: params => new CounterSaga(params),
+				startsWith: CounterSaga.startsWith,
+				handles: CounterSaga.handles,
+				sagaDescriptor: 'CounterSaga',
+				eventStore,
+				commandBus,
+				snapshotPolicy: snapshotPolicies.everyNEvents(1),
+				snapshotSchemaVersion: 2
+			});
+
+			const [event] = await eventStore.commit([increment(1)]);
+			await factoryHandler.handle(event);
+
+			expect(await snapshotStorage.getSagaSnapshot(sagaId)).to.include({
+				type: 'snapshot',
+				sagaId,
+				sagaVersion: 1,
+				schemaVersion: 2
+			});
+		});
+
+		it('restores saga from snapshot and events not included in it', async () => {
+
+			for (const sagaVersion of [1, 2, 3, 4]) {
+				const [event] = await eventStore.commit([increment(sagaVersion)]);
+				await handler.handle(event);
+			}
+
+			sinon.spy(eventStore, 'getSagaEvents');
+
+			const [event] = await eventStore.commit([increment(5)]);
+			await handler.handle(event);
+
+			const restoredFrom = await eventStore.getSagaEvents.firstCall.returnValue;
+			expect(restoredFrom.map(e => e.type)).to.deep.eq(['snapshot', 'counterIncremented', 'counterIncremented']);
+			expect(reportedCounts).to.deep.eq([1, 2, 3, 4, 5]);
+		});
+	});
 });
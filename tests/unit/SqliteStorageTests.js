@@ -0,0 +1,341 @@
+'use strict';
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const ManualClock = require('./mocks/ManualClock');
+const removeDirectory = require('./mocks/removeDirectory');
+
+const {
+	SqliteEventStorage,
+	SqliteSnapshotStorage,
+	SqliteSagaScheduler,
+	InMemoryEventStorage,
+	EventStore,
+	ConcurrencyError
+} = require('../../src');
+
+const { Database, describeSqlite } = require('./mocks/sqlite');
+
+async function toArray(iterable) {
+	const r = [];
+	for await (const item of iterable)
+		r.push(item);
+	return r;
+}
+
+describeSqlite('SqliteEventStorage', function () {
+
+	let db;
+	let storage;
+
+	beforeEach(() => {
+		db = new Database(':memory:');
+		storage = new SqliteEventStorage({ db });
+	});
+
+	afterEach(() => {
+		db.close();
+	});
+
+	it('validates options', () => {
+
+		expect(() => new SqliteEventStorage()).to.throw(TypeError);
+		expect(() => new SqliteEventStorage({})).to.throw('either options.db or options.fileName argument required');
+		expect(() => new SqliteEventStorage({ db: {} })).to.throw(TypeError);
+	});
+
+	it('commits events in a single transaction, assigning global positions', async () => {
+
+		const committed = await storage.commitEvents([
+			{ type: 'somethingHappened', aggregateId: 1, aggregateVersion: 0 },
+			{ type: 'somethingHappened', aggregateId: 2, aggregateVersion: 0 }
+		]);
+
+		expect(committed.map(e => e.position)).to.deep.eq([1, 2]);
+
+		try {
+			await storage.commitEvents([
+				{ type: 'somethingHappened', aggregateId: 3, aggregateVersion: 0 },
+				{ type: 'somethingHappened', aggregateId: 1, aggregateVersion: 0 }
+			]);
+			throw new Error('must fail');
+		}
+		catch (err) {
+			expect(err).to.be.instanceOf(ConcurrencyError);
+		}
+
+		expect(await toArray(await storage.getEvents())).to.have.length(2);
+	});
+
+	it('rejects with ConcurrencyError, when aggregate stream was modified after expected version', async () => {
+
+		await storage.commitEvents([{ type: 'somethingHappened', aggregateId: 1, aggregateVersion: 0 }]);
+
+		try {
+			await storage.commitEvents([{ type: 'somethingHappened', aggregateId: 1, aggregateVersion: 5 }], {
+				expectedVersions: { 1: 0 }
+			});
+			throw new Error('must fail');
+		}
+		catch (err) {
+			expect(err).to.be.instanceOf(ConcurrencyError);
+			expect(err).to.have.property('expectedVersion', 0);
+		}
+	});
+
+	it('returns aggregate events committed after snapshot', async () => {
+
+		await storage.commitEvents([
+			{ type: 'somethingHappened', aggregateId: 1, aggregateVersion: 0 },
+			{ type: 'somethingHappened', aggregateId: 1, aggregateVersion: 1 },
+			{ type: 'somethingHappened', aggregateId: 2, aggregateVersion: 0 },
+			{ type: 'somethingHappened', aggregateId: 1, aggregateVersion: 3 }
+		]);
+
+		const all = await storage.getAggregateEvents(1);
+		expect(all.map(e => e.aggregateVersion)).to.deep.eq([0, 1, 3]);
+		expect(all[0]).to.deep.eq({ type: 'somethingHappened', aggregateId: 1, aggregateVersion: 0, position: 1 });
+
+		const afterSnapshot = await storage.getAggregateEvents('1', { snapshot: { aggregateVersion: 2 } });
+		expect(afterSnapshot.map(e => e.aggregateVersion)).to.deep.eq([3]);
+	});
+
+	it('returns saga events committed before a given event', async () => {
+
+		await storage.commitEvents([
+			{ type: 'somethingHappened', sagaId: 1, sagaVersion: 0 },
+			{ type: 'anotherHappened', sagaId: 1, sagaVersion: 1 },
+			{ type: 'somethingHappened', sagaId: 2, sagaVersion: 0 }
+		]);
+
+		const events = await storage.getSagaEvents(1, { beforeEvent: { sagaVersion: 1 } });
+
+		expect(events.map(e => e.type)).to.deep.eq(['somethingHappened']);
+	});
+
+	it('returns events starting multiple sagas as the first event of each saga stream', async () => {
+
+		await storage.commitEvents([
+			{ type: 'userSignedUp', aggregateId: 1, aggregateVersion: 0, sagaOrigins: { Onboarding: 'a', Billing: 'b' } },
+			{ type: 'welcomeSent', aggregateId: 2, aggregateVersion: 0, sagaId: 'a', sagaVersion: 1 },
+			{ type: 'invoiceCreated', aggregateId: 3, aggregateVersion: 0, sagaId: 'b', sagaVersion: 1 }
+		]);
+
+		const onboardingEvents = await storage.getSagaEvents('a', { beforeEvent: { sagaVersion: 2 } });
+		expect(onboardingEvents.map(e => e.type)).to.deep.eq(['userSignedUp', 'welcomeSent']);
+
+		const billingEvents = await storage.getSagaEvents('b', { beforeEvent: { sagaVersion: 1 } });
+		expect(billingEvents.map(e => e.type)).to.deep.eq(['userSignedUp']);
+
+		const startingEvents = await storage.getSagaEvents('b', { beforeEvent: { sagaVersion: 0 } });
+		expect(startingEvents).to.be.empty;
+	});
+
+	it('omits saga events included in a given snapshot', async () => {
+
+		await storage.commitEvents([
+			{ type: 'userSignedUp', aggregateId: 1, aggregateVersion: 0, sagaOrigins: { Onboarding: 'a' } },
+			{ type: 'welcomeSent', aggregateId: 2, aggregateVersion: 0, sagaId: 'a', sagaVersion: 1 },
+			{ type: 'profileCompleted', aggregateId: 1, aggregateVersion: 1, sagaId: 'a', sagaVersion: 2 },
+			{ type: 'reminderSent', aggregateId: 2, aggregateVersion: 1, sagaId: 'a', sagaVersion: 3 }
+		]);
+
+		const events = await storage.getSagaEvents('a', {
+			beforeEvent: { sagaVersion: 3 },
+			snapshot: { type: 'snapshot', sagaId: 'a', sagaVersion: 2 }
+		});
+
+		expect(events.map(e => e.type)).to.deep.eq(['profileCompleted']);
+	});
+
+	it('returns events of given types after a given position', async () => {
+
+		await storage.commitEvents([
+			{ type: 'somethingHappened', aggregateId: 1, aggregateVersion: 0 },
+			{ type: 'anotherHappened', aggregateId: 1, aggregateVersion: 1 },
+			{ type: 'somethingHappened', aggregateId: 1, aggregateVersion: 2 },
+			{ type: 'somethingHappened', aggregateId: 1, aggregateVersion: 3 }
+		]);
+
+		const filtered = await toArray(storage.getEvents(['somethingHappened'], { afterPosition: 1, limit: 1 }));
+		expect(filtered.map(e => e.position)).to.deep.eq([3]);
+
+		const all = await toArray(storage.getEvents(['somethingHappened', 'anotherHappened']));
+		expect(all.map(e => e.position)).to.deep.eq([1, 2, 3, 4]);
+	});
+
+	it('records events committed with outbox option as unpublished, until they are marked published', async () => {
+
+		await storage.commitEvents([{ id: 'a', type: 'somethingHappened', aggregateId: 1, aggregateVersion: 0 }]);
+		await storage.commitEvents([
+			{ id: 'b', type: 'somethingHappened', aggregateId: 1, aggregateVersion: 1 },
+			{ id: 'c', type: 'somethingHappened', aggregateId: 1, aggregateVersion: 2 }
+		], { outbox: true });
+
+		expect((await storage.getUnpublishedEvents()).map(e => [e.id, e.position])).to.deep.eq([['b', 2], ['c', 3]]);
+
+		await storage.markEventsPublished(['b']);
+
+		expect((await storage.getUnpublishedEvents()).map(e => e.id)).to.deep.eq(['c']);
+	});
+
+	it('persists events to a database file', async () => {
+
+		const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'node-cqrs-'));
+		const fileName = path.join(directory, 'events.db');
+
+		try {
+			const fileStorage = new SqliteEventStorage({ fileName });
+			const es = new EventStore({
+				storage: fileStorage,
+				snapshotStorage: new SqliteSnapshotStorage({ db: fileStorage._db })
+			});
+
+			await es.commit([
+				{ type: 'somethingHappened', aggregateId: 1, aggregateVersion: 0 },
+				{ type: 'snapshot', aggregateId: 1, aggregateVersion: 0, payload: { foo: 'bar' } }
+			]);
+			await es.commit([{ type: 'somethingHappened', aggregateId: 1, aggregateVersion: 1 }]);
+			fileStorage._db.close();
+
+			const reopenedDb = new Database(fileName);
+			const reopened = new EventStore({
+				storage: new SqliteEventStorage({ db: reopenedDb }),
+				snapshotStorage: new SqliteSnapshotStorage({ db: reopenedDb })
+			});
+
+			const events = await reopened.getAggregateEvents(1);
+			expect(events.map(e => e.type)).to.deep.eq(['snapshot', 'somethingHappened']);
+			expect(events).to.have.nested.property('[1].position', 2);
+			reopenedDb.close();
+		}
+		finally {
+			await removeDirectory(directory);
+		}
+	});
+});
+
+describeSqlite('SqliteSnapshotStorage', function () {
+
+	let db;
+	let snapshotStorage;
+
+	beforeEach(() => {
+		db = new Database(':memory:');
+		snapshotStorage = new SqliteSnapshotStorage({ db });
+	});
+
+	afterEach(() => {
+		db.close();
+	});
+
+	it('keeps the latest snapshot of each aggregate', async () => {
+
+		await snapshotStorage.saveAggregateSnapshot({ type: 'snapshot', aggregateId: 1, aggregateVersion: 1, payload: { v: 1 } });
+		await snapshotStorage.saveAggregateSnapshot({ type: 'snapshot', aggregateId: 1, aggregateVersion: 5, payload: { v: 5 } });
+
+		expect(await snapshotStorage.getAggregateSnapshot(1)).to.deep.eq({
+			type: 'snapshot',
+			aggregateId: 1,
+			aggregateVersion: 5,
+			payload: { v: 5 }
+		});
+		expect(await snapshotStorage.getAggregateSnapshot(2)).to.eq(undefined);
+	});
+
+	it('keeps the latest snapshot of each saga', async () => {
+
+		await snapshotStorage.saveAggregateSnapshot({ type: 'snapshot', aggregateId: 1, aggregateVersion: 1, payload: { v: 1 } });
+		await snapshotStorage.saveSagaSnapshot({ type: 'snapshot', sagaId: 1, sagaVersion: 2, version: 3, payload: { s: 2 } });
+		await snapshotStorage.saveSagaSnapshot({ type: 'snapshot', sagaId: 1, sagaVersion: 4, version: 6, payload: { s: 4 } });
+
+		expect(await snapshotStorage.getSagaSnapshot(1)).to.deep.eq({
+			type: 'snapshot',
+			sagaId: 1,
+			sagaVersion: 4,
+			version: 6,
+			payload: { s: 4 }
+		});
+		expect(await snapshotStorage.getAggregateSnapshot(1)).to.have.nested.property('payload.v', 1);
+		expect(await snapshotStorage.getSagaSnapshot(2)).to.eq(undefined);
+	});
+});
+
+describeSqlite('SqliteSagaScheduler', function () {
+
+	let db;
+	let clock;
+	let eventStore;
+
+	beforeEach(() => {
+		db = new Database(':memory:');
+		clock = new ManualClock();
+		eventStore = new EventStore({ storage: new InMemoryEventStorage() });
+		sinon.spy(eventStore, 'commit');
+	});
+
+	afterEach(() => {
+		db.close();
+	});
+
+	it('restores persisted timeouts upon start', async () => {
+
+		const scheduler = new SqliteSagaScheduler({ db, eventStore, clock });
+		await scheduler.schedule({ event: { type: 'paymentTimedOut', sagaId: 's1', sagaVersion: 1 }, delay: 100 });
+		await scheduler.schedule({ event: { type: 'paymentTimedOut', sagaId: 's2', sagaVersion: 1 }, delay: 100 });
+		await scheduler.cancel('s2');
+		scheduler.dispose();
+
+		const restartedClock = new ManualClock(50);
+		const restarted = new SqliteSagaScheduler({ db, eventStore, clock: restartedClock });
+		expect(restarted).to.have.property('size', 0);
+
+		await restarted.start();
+		expect(restarted).to.have.property('size', 1);
+
+		await restartedClock.advance(50);
+
+		expect(eventStore.commit).to.have.property('calledOnce', true);
+		expect(eventStore.commit.firstCall.args[0]).to.deep.eq([{ type: 'paymentTimedOut', sagaId: 's1', sagaVersion: 1 }]);
+		expect(new SqliteSagaScheduler({ db, eventStore, clock })).to.have.property('size', 0);
+	});
+
+	it('cancels persisted timeouts, which are not restored yet', async () => {
+
+		const scheduler = new SqliteSagaScheduler({ db, eventStore, clock });
+		await scheduler.schedule({ event: { type: 'paymentTimedOut', sagaId: 's1', sagaVersion: 1 }, delay: 100 });
+		scheduler.dispose();
+
+		const restarted = new SqliteSagaScheduler({ db, eventStore, clock });
+		await restarted.cancel('s1');
+		await restarted.start();
+
+		expect(restarted).to.have.property('size', 0);
+	});
+
+	it('keeps persisted timeout, while its delivery is being retried', async () => {
+
+		const failingEventStore = { commit: sinon.stub().resolves() };
+		failingEventStore.commit.onFirstCall().rejects(new Error('storage unavailable'));
+
+		const retryPolicy = { retries: 1, delay: 10 };
+		const scheduler = new SqliteSagaScheduler({ db, eventStore: failingEventStore, clock, retryPolicy });
+		await scheduler.schedule({ event: { type: 'paymentTimedOut', sagaId: 's1', sagaVersion: 1 }, delay: 100 });
+
+		await clock.advance(100);
+		const restarted = new SqliteSagaScheduler({ db, eventStore, clock });
+		await restarted.start();
+		expect(restarted).to.have.property('size', 1);
+		restarted.dispose();
+
+		await clock.advance(10);
+		expect(failingEventStore.commit).to.have.property('calledTwice', true);
+
+		const restartedAfterDelivery = new SqliteSagaScheduler({ db, eventStore, clock });
+		await restartedAfterDelivery.start();
+		expect(restartedAfterDelivery).to.have.property('size', 0);
+	});
+});
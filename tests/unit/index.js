@@ -1,14 +1,21 @@
 'use strict';
 
 require('./sizeOfTests');
+require('./snapshotPoliciesTests');
 
 require('./InMemoryMessageBusTests');
 require('./InMemoryViewTests');
+require('./InMemorySagaSchedulerTests');
+require('./EventStorageTests');
+require('./FileEventStorageTests');
+require('./FileSnapshotStorageTests');
+require('./SqliteStorageTests');
 
 require('./EventStream');
 require('./EventStoreTests');
 require('./CommandBusTests');
 require('./ContainerTests');
+require('./registrationOptionsTests');
 
 require('./AbstractAggregate');
 require('./AggregateCommandHandlerTests');
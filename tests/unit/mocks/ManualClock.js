@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * Clock, which time moves forward only when advanced by a test
+ */
+module.exports = class ManualClock {
+
+	constructor(time = 0) {
+		this._time = time;
+		this._timers = new Set();
+	}
+
+	now() {
+		return this._time;
+	}
+
+	setTimeout(callback, ms) {
+		const timer = { callback, dueAt: this._time + ms };
+		this._timers.add(timer);
+		return timer;
+	}
+
+	clearTimeout(timer) {
+		this._timers.delete(timer);
+	}
+
+	/**
+	 * Move time forward and invoke due timer callbacks, awaiting their results
+	 *
+	 * @param {number} ms
+	 */
+	async advance(ms) {
+		this._time += ms;
+
+		const dueTimers = [...this._timers]
+			.filter(t => t.dueAt <= this._time)
+			.sort((a, b) => a.dueAt - b.dueAt);
+
+		for (const timer of dueTimers) {
+			this._timers.delete(timer);
+			await timer.callback();
+		}
+	}
+};
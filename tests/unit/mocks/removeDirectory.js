@@ -0,0 +1,20 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Remove directory with its content, without relying on fs.promises.rm missing in Node < 14.14
+ */
+module.exports = async function removeDirectory(directory) {
+	const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+	for (const entry of entries) {
+		const entryPath = path.join(directory, entry.name);
+		if (entry.isDirectory())
+			await removeDirectory(entryPath);
+		else
+			await fs.promises.unlink(entryPath);
+	}
+
+	await fs.promises.rmdir(directory);
+};
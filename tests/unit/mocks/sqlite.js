@@ -0,0 +1,34 @@
+'use strict';
+
+// better-sqlite3 is an optional peer dependency, which is not installed with dev dependencies,
+// as its recent versions cannot be built for all supported Node versions
+let Database;
+let loadingError;
+try {
+	Database = require('better-sqlite3'); // eslint-disable-line global-require
+
+	// native bindings are loaded upon first database instance creation
+	new Database(':memory:').close();
+}
+catch (err) {
+	Database = undefined;
+	loadingError = err;
+}
+
+/**
+ * Declare a test suite, which requires better-sqlite3.
+ * When the package cannot be loaded, the suite is skipped with the reason added to its title
+ *
+ * @param {string} title
+ * @param {function} fn
+ */
+function describeSqlite(title, fn) {
+	if (Database)
+		return describe(title, fn);
+
+	const reason = loadingError.message.split('\n')[0];
+	return describe.skip(`${title} (skipped, better-sqlite3 cannot be loaded: ${reason})`, fn);
+}
+
+exports.Database = Database;
+exports.describeSqlite = describeSqlite;
@@ -0,0 +1,173 @@
+'use strict';
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const getSagaEventHandlerOptions = require('../../src/utils/getSagaEventHandlerOptions');
+const getAggregateCommandHandlerOptions = require('../../src/utils/getAggregateCommandHandlerOptions');
+const {
+	SagaEventHandler,
+	AggregateCommandHandler,
+	AbstractSaga,
+	AbstractAggregate,
+	EventStore,
+	CommandBus,
+	InMemoryEventStorage,
+	InMemorySnapshotStorage,
+	snapshotPolicies
+} = require('../../src');
+
+describe('getSagaEventHandlerOptions(SagaType, options, sagaFactory)', function () {
+
+	let commandBus;
+	let eventStore;
+	let snapshotStorage;
+
+	beforeEach(() => {
+		commandBus = new CommandBus();
+		snapshotStorage = new InMemorySnapshotStorage();
+
+		// events are published synchronously, so that commit resolves once saga has handled them
+		eventStore = new EventStore({
+			storage: new InMemoryEventStorage(),
+			snapshotStorage,
+			eventStoreConfig: { publishAsync: false }
+		});
+	});
+
+	it('takes saga descriptor and queue name from saga type', () => {
+
+		class OrderSaga extends AbstractSaga {
+			static get startsWith() {
+				return ['orderPlaced'];
+			}
+		}
+
+		const sagaFactory = options => new OrderSaga(options);
+
+		expect(getSagaEventHandlerOptions(OrderSaga, undefined, sagaFactory)).to.include({
+			sagaType: sagaFactory,
+			queueName: 'OrderSaga',
+			sagaDescriptor: 'OrderSaga'
+		});
+	});
+
+	it('passes saga compensations to saga event handler', async () => {
+
+		class BookingSaga extends AbstractSaga {
+			static get startsWith() {
+				return ['tripRequested'];
+			}
+			static get compensations() {
+				return {
+					bookHotel: c => ({ type: 'cancelHotel', aggregateId: c.aggregateId })
+				};
+			}
+			tripRequested() {
+				super.enqueue('bookHotel', 'hotel-1');
+				super.enqueue('bookFlight', 'flight-1');
+			}
+		}
+
+		const options = getSagaEventHandlerOptions(BookingSaga, {}, sagaOptions => new BookingSaga(sagaOptions));
+		new SagaEventHandler({ ...options, eventStore, commandBus }).subscribe(eventStore);
+
+		const sentCommands = [];
+		commandBus.on('bookHotel', () => sentCommands.push('bookHotel'));
+		commandBus.on('cancelHotel', () => sentCommands.push('cancelHotel'));
+		commandBus.on('bookFlight', () => {
+			throw new Error('no flights available');
+		});
+
+		await eventStore.commit([{ type: 'tripRequested', aggregateId: 't1', aggregateVersion: 0 }]);
+
+		expect(sentCommands).to.deep.eq(['bookHotel', 'cancelHotel']);
+	});
+
+	it('passes saga snapshot policy and snapshot schema version to saga event handler', async () => {
+
+		class CounterSaga extends AbstractSaga {
+			static get startsWith() {
+				return ['counterStarted'];
+			}
+			static get handles() {
+				return ['counterIncremented'];
+			}
+			static get snapshotSchemaVersion() {
+				return 2;
+			}
+			constructor(options) {
+				super({ ...options, state: { count: 0 } });
+			}
+			counterStarted() { }
+			counterIncremented() {
+				this.state.count += 1;
+			}
+		}
+
+		const options = getSagaEventHandlerOptions(CounterSaga, { snapshotPolicy: snapshotPolicies.everyNEvents(1) },
+			sagaOptions => new CounterSaga(sagaOptions));
+		new SagaEventHandler({ ...options, eventStore, commandBus }).subscribe(eventStore);
+
+		const [counterStarted] = await eventStore.commit([
+			{ type: 'counterStarted', aggregateId: 'c1', aggregateVersion: 0 }
+		]);
+		const sagaId = counterStarted.sagaOrigins.CounterSaga;
+
+		await eventStore.commit([
+			{ type: 'counterIncremented', aggregateId: 'c1', sagaId, sagaVersion: 1, sagaDescriptor: 'CounterSaga' }
+		]);
+
+		expect(await snapshotStorage.getSagaSnapshot(sagaId)).to.include({
+			sagaVersion: 1,
+			schemaVersion: 2
+		});
+	});
+});
+
+describe('getAggregateCommandHandlerOptions(AggregateType, options, aggregateFactory)', function () {
+
+	class CounterAggregate extends AbstractAggregate {
+		static get snapshotSchemaVersion() {
+			return 3;
+		}
+		constructor(options) {
+			super({ ...options, state: {} });
+		}
+		increment() {
+			this.emit('incremented');
+		}
+	}
+
+	it('takes handled command types from aggregate type', () => {
+
+		const aggregateFactory = options => new CounterAggregate(options);
+
+		expect(getAggregateCommandHandlerOptions(CounterAggregate, undefined, aggregateFactory)).to.deep.include({
+			aggregateType: aggregateFactory,
+			handles: ['increment'],
+			snapshotSchemaVersion: 3
+		});
+	});
+
+	it('passes aggregate snapshot policy to aggregate command handler', async () => {
+
+		const eventStore = new EventStore({
+			storage: new InMemoryEventStorage(),
+			snapshotStorage: new InMemorySnapshotStorage()
+		});
+
+		const snapshotPolicy = snapshotPolicies.everyNEvents(2);
+		const options = getAggregateCommandHandlerOptions(CounterAggregate, { snapshotPolicy },
+			aggregateOptions => new CounterAggregate(aggregateOptions));
+		const handler = new AggregateCommandHandler({ ...options, eventStore });
+
+		sinon.spy(eventStore, 'commit');
+
+		const [{ aggregateId }] = await handler.execute({ type: 'increment' });
+		await handler.execute({ type: 'increment', aggregateId });
+
+		const committedEvents = eventStore.commit.lastCall.args[0];
+		expect(committedEvents.map(e => e.type)).to.deep.eq(['incremented', 'snapshot']);
+		expect(committedEvents[1]).to.have.property('schemaVersion', 3);
+	});
+});
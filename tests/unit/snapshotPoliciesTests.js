@@ -0,0 +1,75 @@
+'use strict';
+
+const { expect } = require('chai');
+const { snapshotPolicies } = require('../../src');
+
+describe('snapshotPolicies', function () {
+
+	const context = (overrides = {}) => ({
+		aggregate: {},
+		eventsSinceSnapshot: 0,
+		restoredEventsCount: 0,
+		lastSnapshotTimestamp: Date.now(),
+		...overrides
+	});
+
+	it('validates policy arguments', () => {
+
+		expect(() => snapshotPolicies.everyNEvents(0)).to.throw(TypeError);
+		expect(() => snapshotPolicies.timeSinceLastSnapshot('1000')).to.throw(TypeError);
+		expect(() => snapshotPolicies.restoredStreamSize()).to.throw(TypeError);
+		expect(() => snapshotPolicies.anyOf()).to.throw(TypeError);
+		expect(() => snapshotPolicies.anyOf(() => true, 'policy')).to.throw(TypeError);
+	});
+
+	describe('everyNEvents', () => {
+
+		it('requires a snapshot once N events are committed after the latest one', () => {
+
+			const policy = snapshotPolicies.everyNEvents(3);
+
+			expect(policy(context({ eventsSinceSnapshot: 2 }))).to.eq(false);
+			expect(policy(context({ eventsSinceSnapshot: 3 }))).to.eq(true);
+		});
+	});
+
+	describe('timeSinceLastSnapshot', () => {
+
+		it('requires a snapshot, when the latest one is older than a given time and new events exist', () => {
+
+			const policy = snapshotPolicies.timeSinceLastSnapshot(1000);
+			const lastSnapshotTimestamp = Date.now() - 2000;
+
+			expect(policy(context({ eventsSinceSnapshot: 1 }))).to.eq(false);
+			expect(policy(context({ eventsSinceSnapshot: 0, lastSnapshotTimestamp }))).to.eq(false);
+			expect(policy(context({ eventsSinceSnapshot: 1, lastSnapshotTimestamp }))).to.eq(true);
+			expect(policy(context({ eventsSinceSnapshot: 1, lastSnapshotTimestamp: undefined }))).to.eq(true);
+		});
+	});
+
+	describe('restoredStreamSize', () => {
+
+		it('requires a snapshot, when restoring replayed N events or more', () => {
+
+			const policy = snapshotPolicies.restoredStreamSize(10);
+
+			expect(policy(context({ eventsSinceSnapshot: 20, restoredEventsCount: 0 }))).to.eq(false);
+			expect(policy(context({ eventsSinceSnapshot: 20, restoredEventsCount: 10 }))).to.eq(true);
+		});
+	});
+
+	describe('anyOf', () => {
+
+		it('requires a snapshot, when any of given policies requires it', () => {
+
+			const policy = snapshotPolicies.anyOf(
+				snapshotPolicies.everyNEvents(5),
+				snapshotPolicies.restoredStreamSize(2)
+			);
+
+			expect(policy(context({ eventsSinceSnapshot: 1, restoredEventsCount: 1 }))).to.eq(false);
+			expect(policy(context({ eventsSinceSnapshot: 5 }))).to.eq(true);
+			expect(policy(context({ eventsSinceSnapshot: 1, restoredEventsCount: 2 }))).to.eq(true);
+		});
+	});
+});
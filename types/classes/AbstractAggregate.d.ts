@@ -9,6 +9,19 @@ namespace NodeCqrs {
 		 */
 		static readonly handles: Array<string>;
 
+		/**
+		 * Optional JSON Schemas of command and event payloads, keyed by message type.
+		 * Can be overridden in the aggregate implementation
+		 */
+		static readonly schemas: TMessageSchemas;
+
+		/**
+		 * Optional version of the state snapshot structure.
+		 * Should be incremented, when state structure changes, so that snapshots taken before
+		 * get discarded and the aggregate state gets restored from events instead
+		 */
+		static readonly snapshotSchemaVersion: number;
+
 		/** Aggregate ID */
 		readonly id: string | number;
 
@@ -49,7 +62,16 @@ namespace NodeCqrs {
 		/** Register aggregate event and mutate aggregate state */
 		protected emitRaw(event: IEvent): void;
 
-		/** Take an aggregate state snapshot and add it to the changes queue */
+		/** Clear the changes queue, once changes are committed */
+		resetChanges(): void;
+
+		/**
+		 * Take an aggregate state snapshot and add it to the changes queue.
+		 * Snapshot event gets `schemaVersion` assigned from the static `snapshotSchemaVersion` property, if defined,
+		 * and a `timestamp` of the moment it was taken, so that snapshot policies can determine its age.
+		 * Snapshot `aggregateVersion` is the version of the last event included in it,
+		 * so the snapshot does not occupy a version, which the next aggregate event is committed with
+		 */
 		takeSnapshot(): void;
 
 		/** Create an aggregate state snapshot */
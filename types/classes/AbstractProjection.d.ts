@@ -18,6 +18,7 @@ namespace NodeCqrs {
 
 		/**
 		 * Indicates if view should be restored from EventStore on start.
+		 * Views that persist checkpoints are caught up from the last checkpoint.
 		 * Override for custom behavior.
 		 */
 		readonly shouldRestoreView: boolean | Promise<boolean>;
@@ -28,6 +29,12 @@ namespace NodeCqrs {
 		/** Subscribe to event store */
 		subscribe(eventStore: IEventStore): Promise<void>;
 
+		/**
+		 * Unsubscribe projection from the event store, so that it stops receiving new events.
+		 * Projection can be subscribed again afterwards
+		 */
+		dispose(): void;
+
 		/** Pass event to projection event handler */
 		project(event: IEvent): Promise<void>;
 
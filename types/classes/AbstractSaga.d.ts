@@ -9,15 +9,61 @@ namespace NodeCqrs {
 		/** List of event types being handled by Saga, must be overridden in Saga implementation */
 		static readonly handles: Array<string>;
 
+		/**
+		 * Unique saga type name, which IDs of started sagas are kept under in `event.sagaOrigins`.
+		 * Defaults to the class name, which changes, when code gets minified,
+		 * so it should be defined explicitly for sagas persisted in a durable event storage
+		 */
+		static readonly sagaDescriptor: string;
+
+		/**
+		 * Business key getters of handled events, keyed by event type.
+		 * Allows saga to handle events, which do not carry sagaId, i.e. events from other bounded contexts.
+		 * Must include getters for saga starter events
+		 */
+		static readonly correlations: TSagaCorrelations;
+
+		/**
+		 * Compensating command getters, keyed by type of the command they compensate.
+		 * When a saga command fails, commands sent by the saga before are compensated in reverse order
+		 * and saga gets recorded as compensated
+		 */
+		static readonly compensations: TSagaCompensations;
+
+		/**
+		 * Defines when saga state snapshots are taken, snapshots are not taken by default.
+		 * Saga state must be kept in the `state` object passed to the constructor,
+		 * or makeSnapshot and restoreSnapshot methods must be overridden
+		 */
+		static readonly snapshotPolicy: TSnapshotPolicy;
+
+		/**
+		 * Optional version of the state snapshot structure.
+		 * Should be incremented, when state structure changes, so that snapshots taken before
+		 * get discarded and the saga state gets restored from events instead
+		 */
+		static readonly snapshotSchemaVersion: number;
+
 		/** Saga ID */
 		readonly id: string | number;
 
 		/** Saga version */
 		readonly version: number;
 
+		/** Saga status, either "active", "completed", "failed" or "compensated" */
+		readonly status: TSagaStatus;
+
+		/** Reason of saga failure, as passed to the fail method */
+		readonly failureReason: string;
+
 		/** Command execution queue */
 		readonly uncommittedMessages: Array<ICommand>;
 
+		/** Timeouts scheduled or cancelled by saga, but not passed to scheduler yet */
+		readonly uncommittedTimeouts: Array<TSagaTimeoutRequest>;
+
+		state;
+
 		/** Creates an instance of AbstractSaga */
 		constructor(options: TSagaConstructorParams): void;
 
@@ -33,6 +79,40 @@ namespace NodeCqrs {
 		/** Clear the execution queue */
 		resetUncommittedMessages(): void;
 
+		/**
+		 * Schedule an event to be delivered back to the saga after a given delay,
+		 * i.e. to cancel an order, if payment is not received in time.
+		 * Saga must handle the event type
+		 */
+		protected scheduleTimeout(timeoutType: string, delay: number, payload?: object): void;
+
+		/**
+		 * Cancel previously scheduled timeouts of a given type,
+		 * or all saga timeouts, when type is not specified
+		 */
+		protected cancelTimeout(timeoutType?: string): void;
+
+		/** Clear the list of scheduled timeouts */
+		resetUncommittedTimeouts(): void;
+
+		/** Create a saga state snapshot */
+		protected makeSnapshot(): object;
+
+		/** Restore saga state from a snapshot */
+		protected restoreSnapshot(snapshotEvent: IEvent): void;
+
+		/**
+		 * Mark saga as completed.
+		 * Saga timeouts get cancelled and events received afterwards are not passed to the saga
+		 */
+		protected complete(): void;
+
+		/**
+		 * Mark saga as failed.
+		 * Saga timeouts get cancelled and events received afterwards are not passed to the saga
+		 */
+		protected fail(reason?: string): void;
+
 		/** Get human-readable Saga name */
 		toString(): string;
 	}
@@ -10,12 +10,18 @@ namespace NodeCqrs {
 	declare class AggregateCommandHandler implements ICommandHandler {
 
 		/** Creates an instance of AggregateCommandHandler. */
-		constructor(options: { eventStore: IEventStore, aggregateType: IAggregateConstructor | IAggregateFactory, handles?: Array<string>, logger?: ILogger }): void;
+		constructor(options: { eventStore: IEventStore, aggregateType: IAggregateConstructor | IAggregateFactory, handles?: Array<string>, schemas?: TMessageSchemas, snapshotSchemaVersion?: number, concurrencyRetryPolicy?: TRetryPolicy, serializeCommands?: boolean, aggregateCache?: { maxSize: number, ttl?: number }, snapshotPolicy?: TSnapshotPolicy, asyncSnapshots?: boolean, logger?: ILogger }): void;
 
-		/** Subscribe to all command types handled by aggregateType */
+		/**
+		 * Subscribe to all command types handled by aggregateType
+		 * and register aggregate command and event schemas, if the commandBus and eventStore support them
+		 */
 		subscribe(commandBus: ICommandBus): any;
 
 		/** Pass a command to corresponding aggregate */
 		execute(cmd: ICommand): Promise<IEventStream>;
+
+		/** Restore aggregate, pass a command to it and commit produced events */
+		protected _execute(cmd: ICommand): Promise<IEventStream>;
 	}
 }
@@ -3,7 +3,13 @@ namespace NodeCqrs {
 	declare class CommandBus implements ICommandBus {
 
 		/** Creates an instance of CommandBus. */
-		constructor(options?: { messageBus?: IMessageBus, logger?: ILogger }): void;
+		constructor(options?: { messageBus?: IMessageBus, commandSchemas?: object, logger?: ILogger }): void;
+
+		/**
+		 * Register JSON Schema of a given command type payload.
+		 * Commands not matching the schema are rejected with ValidationError before being sent to handlers
+		 */
+		registerCommandSchema(commandType: string, schema: object | boolean): void;
 
 		/** Set up a command handler */
 		on(commandType: string, handler: IMessageHandler): any;
@@ -11,7 +17,11 @@ namespace NodeCqrs {
 		/** Format and send a command for execution */
 		send(type: string, aggregateId: string, options?: { payload?: any, context?: object }, otherArgs?: object): Promise<IEventStream>;
 
-		/** Send a command for execution */
+		/**
+		 * Send a command for execution.
+		 * A copy of the command gets sent, with a unique `id` and,
+		 * unless it is a part of an existing flow, a `correlationId` assigned
+		 */
 		sendRaw(command: ICommand): Promise<IEventStream>;
 	}
 }
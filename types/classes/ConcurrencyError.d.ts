@@ -0,0 +1,21 @@
+namespace NodeCqrs {
+
+	/**
+	 * Error thrown by event storage, when committed events conflict
+	 * with events already persisted for the same aggregate
+	 */
+	declare class ConcurrencyError extends Error {
+
+		/** Error type */
+		static readonly type: string;
+
+		/** ID of the aggregate, which stream has been modified concurrently */
+		aggregateId: Identifier;
+
+		/** Aggregate version the rejected events were produced upon */
+		expectedVersion: number;
+
+		/** Creates an instance of ConcurrencyError */
+		constructor(message?: string, details?: { aggregateId?: Identifier, expectedVersion?: number }): void;
+	}
+}
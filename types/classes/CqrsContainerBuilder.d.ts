@@ -18,9 +18,9 @@ namespace NodeCqrs {
 		registerProjection(ProjectionType: IProjectionConstructor, exposedViewAlias?: string): void;
 
 		/** Register aggregate type in the container */
-		registerAggregate(AggregateType: IAggregateConstructor): void;
+		registerAggregate(AggregateType: IAggregateConstructor, options?: { snapshotPolicy?: TSnapshotPolicy, asyncSnapshots?: boolean }): void;
 
 		/** Register saga type in the container */
-		registerSaga(SagaType: ISagaConstructor): void;
+		registerSaga(SagaType: ISagaConstructor, options?: { snapshotPolicy?: TSnapshotPolicy }): void;
 	}
 }
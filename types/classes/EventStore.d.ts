@@ -11,41 +11,78 @@ namespace NodeCqrs {
 		/** Whether storage supports aggregate snapshots */
 		readonly snapshotsSupported: boolean;
 
+		/** Whether snapshot storage supports saga snapshots */
+		readonly sagaSnapshotsSupported: boolean;
+
 		/** Creates an instance of EventStore. */
-		constructor(options: { storage: IEventStorage, snapshotStorage?: IAggregateSnapshotStorage, messageBus?: IMessageBus, eventValidator?: function, eventStoreConfig?: EventStoreConfig, logger?: ILogger }): void;
+		constructor(options: { storage: IEventStorage, snapshotStorage?: IAggregateSnapshotStorage, messageBus?: IMessageBus, eventValidator?: function, eventSchemas?: object, eventStoreConfig?: EventStoreConfig, logger?: ILogger }): void;
 
 		/** Retrieve new ID from the storage */
 		getNewId(): Promise<Identifier>;
 
-		/** Retrieve all events of specific types */
-		getAllEvents(eventTypes: Array<string>): AsyncIterableIterator<IEvent>;
+		/**
+		 * Retrieve all events of specific types.
+		 * Event types may include patterns, such as "*" or "user*", in which case events of all types are read from storage
+		 */
+		getAllEvents(eventTypes?: Array<string>, options?: { afterPosition?: number, limit?: number }): AsyncIterableIterator<IEvent>;
 
 		/** Retrieve all events of specific Aggregate */
-		getAggregateEvents(aggregateId: Identifier): Promise<IEventStream>;
+		getAggregateEvents(aggregateId: Identifier, options?: { snapshotSchemaVersion?: number }): Promise<IEventStream>;
 
 		/** Retrieve events of specific Saga */
-		getSagaEvents(sagaId: Identifier, filter: { beforeEvent: IEvent }): Promise<IEventStream>;
+		getSagaEvents(sagaId: Identifier, filter: { beforeEvent: IEvent, snapshotSchemaVersion?: number }): Promise<IEventStream>;
+
+		/**
+		 * Save saga state snapshot, replacing the previous one.
+		 * Snapshot `sagaVersion` defines which saga events are included in it:
+		 * those with a lower `sagaVersion`, and the event that started the saga
+		 */
+		saveSagaSnapshot(snapshotEvent: IEvent): Promise<void>;
 
 		/**
 		 * Register event types that start sagas.
-		 * Upon such event commit a new sagaId will be assigned
+		 * Upon such event commit a new saga ID will be assigned to event.sagaId
+		 * or, when sagaDescriptor is provided, to event.sagaOrigins[sagaDescriptor],
+		 * so that multiple sagas can be started by the same event type
+		 */
+		registerSagaStarters(eventTypes: Array<string>, sagaDescriptor?: string): void;
+
+		/**
+		 * Register upcaster converting persisted events of a given type from a given schema version to the next one.
+		 * Upcasters are applied to events retrieved with getAllEvents, getAggregateEvents and getSagaEvents,
+		 * newly committed events of the given type get the current schema version assigned.
+		 */
+		registerUpcaster(eventType: string, fromVersion: number, upcaster: TEventUpcaster): void;
+
+		/**
+		 * Register JSON Schema of a given event type payload.
+		 * Events not matching the schema are rejected on commit with ValidationError
 		 */
-		registerSagaStarters(eventTypes: Array<string>): void;
+		registerEventSchema(eventType: string, schema: object | boolean): void;
 
 		/** Validate events, commit to storage and publish to messageBus, if needed */
-		commit(events: IEventStream): Promise<IEventStream>;
+		commit(events: IEventStream, options?: { expectedVersions?: TExpectedAggregateVersions }): Promise<IEventStream>;
 
 		/** Save events to the persistent storage(s) */
-		save(events: IEventStream): Promise<IEventStream>;
+		save(events: IEventStream, options?: { expectedVersions?: TExpectedAggregateVersions }): Promise<IEventStream>;
 
 		/** After events are */
 		publish(eventStream: IEventStream): void;
 
+		/**
+		 * Publish events left unpublished in the storage outbox, i.e. by a process that stopped between commit and publish.
+		 * Should be invoked on application startup, after all event subscribers are set up
+		 */
+		dispatchOutbox(): Promise<number>;
+
 		/** Setup a listener for a specific event type */
 		on(messageType: string, handler: function): void;
 
+		/** Remove subscription set up with `on` */
+		off(messageType: string, handler: function): void;
+
 		/** Get or create a named queue, which delivers events to a single handler only */
-		queue(name: string): void;
+		queue(name: string, options?: object): void;
 
 		/** Creates one-time subscription for one or multiple events that match a filter */
 		once(messageTypes: string | Array<string>, handler?: function, filter?: function): Promise<IEvent>;
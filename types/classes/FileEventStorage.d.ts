@@ -0,0 +1,39 @@
+namespace NodeCqrs {
+
+	/**
+	 * Durable append-only event storage, which persists events to newline-delimited JSON segment files.
+	 * 
+	 * Each line of a segment file contains a JSON array of events committed together,
+	 * so a commit interrupted by a crash leaves an incomplete last line only,
+	 * which gets truncated next time the storage is opened.
+	 * Stream indexes are kept in memory and are rebuilt from segment files on start.
+	 */
+	declare class FileEventStorage implements IEventStorage {
+
+		/** Default configuration */
+		static defaults: Object;
+
+		/** Creates an instance of FileEventStorage */
+		constructor(options: { directory: string, maxSegmentSize?: number, fsync?: boolean, logger?: ILogger }): void;
+
+		/**
+		 * Open storage directory, recover from a partial write, if any, and build stream indexes.
+		 * Invoked automatically on first storage access
+		 */
+		open(): Promise<void>;
+
+		/** Persist events, assigning each of them a global position */
+		commitEvents(events: Array<IEvent>, options?: { expectedVersions?: TExpectedAggregateVersions }): Promise<Array<IEvent>>;
+
+		getAggregateEvents(aggregateId: Identifier, options?: { snapshot?: IEvent }): Promise<AsyncIterableIterator<IEvent>>;
+
+		getSagaEvents(sagaId: Identifier, options: { beforeEvent: IEvent, snapshot?: IEvent }): Promise<AsyncIterableIterator<IEvent>>;
+
+		getEvents(eventTypes?: Array<string>, options?: { afterPosition?: number, limit?: number }): Promise<AsyncIterableIterator<IEvent>>;
+
+		getNewId(): string;
+
+		/** Wait for pending commits and close segment files */
+		close(): Promise<void>;
+	}
+}
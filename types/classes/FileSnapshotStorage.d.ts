@@ -0,0 +1,24 @@
+namespace NodeCqrs {
+
+	/**
+	 * Snapshot storage, which keeps the latest snapshot of each aggregate and saga in a separate JSON file.
+	 * Snapshot files are replaced atomically, so a crash during write leaves the previous snapshot intact
+	 */
+	declare class FileSnapshotStorage implements IAggregateSnapshotStorage {
+
+		/** Creates an instance of FileSnapshotStorage */
+		constructor(options: { directory: string, fsync?: boolean }): void;
+
+		/** Get latest aggregate snapshot */
+		getAggregateSnapshot(aggregateId: Identifier): Promise<IEvent>;
+
+		/** Save new aggregate snapshot, replacing the previous one */
+		saveAggregateSnapshot(snapshotEvent: IEvent): void;
+
+		/** Get latest saga snapshot */
+		getSagaSnapshot(sagaId: Identifier): Promise<IEvent>;
+
+		/** Save new saga snapshot, replacing the previous one */
+		saveSagaSnapshot(snapshotEvent: IEvent): void;
+	}
+}
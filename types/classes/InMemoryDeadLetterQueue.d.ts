@@ -0,0 +1,30 @@
+namespace NodeCqrs {
+
+	/**
+	 * Keeps messages, which subscribers failed to handle after all delivery retries,
+	 * so that they can be inspected and replayed
+	 */
+	declare class InMemoryDeadLetterQueue {
+
+		/** Number of dead-lettered messages */
+		readonly size: number;
+
+		/** Creates an instance of InMemoryDeadLetterQueue */
+		constructor(options: { redeliver: function }): void;
+
+		/** Put a message, which could not be delivered, to the queue */
+		add(deadLetter: TDeadLetter): void;
+
+		/** Get dead-lettered messages, optionally filtered */
+		getAll(filter?: function): Array<TDeadLetter>;
+
+		/**
+		 * Remove dead-lettered messages from the queue and deliver them to their handlers again.
+		 * Messages failing again are put back to the queue
+		 */
+		replay(filter?: function): Promise<number>;
+
+		/** Remove dead-lettered messages from the queue without delivering them */
+		remove(filter?: function): Array<TDeadLetter>;
+	}
+}
@@ -8,13 +8,20 @@ namespace NodeCqrs {
 
 		constructor(): void;
 
-		commitEvents(events: Array<IEvent>): Promise<void>;
+		/** Persist events, assigning each of them a global position */
+		commitEvents(events: Array<IEvent>, options?: { expectedVersions?: TExpectedAggregateVersions, outbox?: boolean }): Promise<Array<IEvent>>;
 
 		getAggregateEvents(aggregateId: Identifier, options?: { snapshot?: IEvent }): Promise<IEventStream>;
 
-		getSagaEvents(sagaId: Identifier, options?: { beforeEvent?: IEvent }): Promise<IEventStream>;
+		getSagaEvents(sagaId: Identifier, options?: { beforeEvent?: IEvent, snapshot?: IEvent }): Promise<IEventStream>;
 
-		getEvents(eventTypes: Array<string>): Promise<IEventStream>;
+		getEvents(eventTypes: Array<string>, options?: { afterPosition?: number, limit?: number }): Promise<IEventStream>;
+
+		/** Get events committed to the outbox and not marked as published yet, ordered by position */
+		getUnpublishedEvents(): Promise<Array<IEvent>>;
+
+		/** Remove events from the outbox */
+		markEventsPublished(eventIds: Array<Identifier>): Promise<void>;
 
 		getNewId(): number;
 	}
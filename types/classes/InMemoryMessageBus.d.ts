@@ -1,22 +1,29 @@
 namespace NodeCqrs {
 
-	/** Default implementation of the message bus. Keeps all subscriptions and messages in memory. */
+	/**
+	 * Default implementation of the message bus. Keeps all subscriptions and messages in memory.
+	 * Events, which subscribers fail to handle after all retries, are put to the dead-letter queue
+	 */
 	declare class InMemoryMessageBus implements IMessageBus {
 
 		/** Indicates that message bus supports named queue subscriptions */
 		static readonly supportsQueues: boolean;
 
+		/** Events, which subscribers failed to handle after all retries */
+		readonly deadLetterQueue: InMemoryDeadLetterQueue;
+
 		/** Creates an instance of InMemoryMessageBus */
-		constructor(options?: { name?: string, uniqueEventHandlers?: boolean }): void;
+		constructor(options?: { name?: string, uniqueEventHandlers?: boolean, retryPolicy?: TRetryPolicy, concurrency?: number, orderingKey?: string | function, logger?: ILogger }): void;
 
-		/** Subscribe to message type */
-		on(messageType: string, handler: IMessageHandler): void;
+		/** Subscribe to message type or a pattern, such as "*", "user*" or "billing.*" */
+		on(messageType: string, handler: IMessageHandler, options?: { retryPolicy?: TRetryPolicy }): void;
 
 		/**
 		 * Get or create a named queue.
 		 * Named queues support only one handler per event type.
+		 * Delivery options, when provided, are applied to the new or existing queue
 		 */
-		queue(name: string): IObservable;
+		queue(name: string, options?: { concurrency?: number, orderingKey?: string | function }): IObservable;
 
 		/** Remove subscription */
 		off(messageType: string, handler: IMessageHandler): void;
@@ -24,7 +31,10 @@ namespace NodeCqrs {
 		/** Send command to exactly 1 command handler */
 		send(command: ICommand): Promise<any>;
 
-		/** Publish event to all subscribers (if any) */
-		publish(event: IEvent): Promise<any>;
+		/**
+		 * Publish event to all subscribers (if any).
+		 * Each subscriber receives the event independently, so that failure of one does not affect the others
+		 */
+		publish(event: IEvent): Promise<void>;
 	}
 }
@@ -0,0 +1,19 @@
+namespace NodeCqrs {
+
+	/**
+	 * In-memory index of running sagas by their business keys.
+	 * Index content resets on app restart,
+	 * saga receptor restores it from saga starter events, when a business key is not found
+	 */
+	declare class InMemorySagaCorrelationIndex implements ISagaCorrelationIndex {
+
+		/** Creates an instance of InMemorySagaCorrelationIndex */
+		constructor(): void;
+
+		/** Get ID of the saga of a given type, correlated with a business key */
+		get(sagaDescriptor: string, key: Identifier): Promise<Identifier>;
+
+		/** Correlate saga of a given type with a business key */
+		set(sagaDescriptor: string, key: Identifier, sagaId: Identifier): void;
+	}
+}
@@ -0,0 +1,22 @@
+namespace NodeCqrs {
+
+	/**
+	 * In-memory registry of active sagas and their statuses.
+	 * Finished sagas are removed from the registry, their statuses are restored from saga event streams instead.
+	 * Registry content resets on app restart, active sagas are registered again by saga event receptors
+	 */
+	declare class InMemorySagaRegistry implements ISagaRegistry {
+
+		/** Creates an instance of InMemorySagaRegistry */
+		constructor(): void;
+
+		/** Get status of a saga of a given type */
+		getStatus(sagaDescriptor: string, sagaId: Identifier): Promise<TSagaStatus>;
+
+		/** Register saga of a given type or update its status, finished sagas get removed from the registry */
+		setStatus(sagaDescriptor: string, sagaId: Identifier, status: TSagaStatus): void;
+
+		/** Get IDs of sagas of a given type, which are not finished (completed, failed or compensated) */
+		getActiveSagaIds(sagaDescriptor: string): Promise<Array<Identifier>>;
+	}
+}
@@ -0,0 +1,51 @@
+namespace NodeCqrs {
+
+	/**
+	 * Saga timeout scheduler, which keeps timeouts in memory and commits timeout events to the event store,
+	 * once they are due. Scheduled timeouts are lost on app restart
+	 */
+	declare class InMemorySagaScheduler implements ISagaScheduler {
+
+		/** Number of timeouts waiting for delivery */
+		readonly size: number;
+
+		/** Creates an instance of InMemorySagaScheduler */
+		constructor(options: { eventStore: IEventStore, clock?: IClock, retryPolicy?: TRetryPolicy, logger?: ILogger }): void;
+
+		/** Schedule event to be committed to the event store after a given delay */
+		schedule(params: { event: IEvent, delay: number }): Promise<TSagaTimeout>;
+
+		/** Cancel saga timeouts of a given type, or all saga timeouts, when type is not specified */
+		cancel(sagaId: Identifier, type?: string): void;
+
+		/**
+		 * Arm timeouts restored from a durable storage, if any.
+		 * Should be invoked once saga event receptors are subscribed to the event store,
+		 * so that overdue timeouts are not delivered before sagas can handle them
+		 */
+		start(): Promise<void>;
+
+		/** Stop all timers, timeouts are not delivered afterwards */
+		dispose(): void;
+
+		/** Start a timer delivering the timeout, once it is due */
+		protected _arm(timeout: TSagaTimeout): void;
+
+		protected _disarm(id: string): void;
+
+		/**
+		 * Commit timeout event to the event store, so that it gets delivered to the saga.
+		 * Timeout is kept until the commit succeeds, failed commits are retried according to the retry policy
+		 */
+		protected _deliver(timeout: TSagaTimeout, attempt?: number): Promise<void>;
+
+		/** Save timeout to a durable storage, if any */
+		protected _persist(timeout: TSagaTimeout): Promise<void>;
+
+		/** Get timeouts saved to a durable storage, if any */
+		protected _restore(): Promise<Array<TSagaTimeout>>;
+
+		/** Remove delivered or cancelled timeouts from a durable storage, if any */
+		protected _unpersist(ids: Array<string>): Promise<void>;
+	}
+}
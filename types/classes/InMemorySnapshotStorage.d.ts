@@ -1,7 +1,7 @@
 namespace NodeCqrs {
 
 	/**
-	 * In-memory storage for aggregate snapshots.
+	 * In-memory storage for aggregate and saga snapshots.
 	 * Storage content resets on app restart
 	 */
 	declare class InMemorySnapshotStorage implements IAggregateSnapshotStorage {
@@ -14,5 +14,11 @@ namespace NodeCqrs {
 
 		/** Save new aggregate snapshot */
 		saveAggregateSnapshot(snapshotEvent: IEvent): void;
+
+		/** Get latest saga snapshot */
+		getSagaSnapshot(sagaId: Identifier): Promise<IEvent>;
+
+		/** Save new saga snapshot */
+		saveSagaSnapshot(snapshotEvent: IEvent): void;
 	}
 }
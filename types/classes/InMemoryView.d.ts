@@ -48,6 +48,12 @@ namespace NodeCqrs {
 		/** Delete all records that match filter criteria */
 		deleteAll(filter?: function): void;
 
+		/** Get global position of the last event projected to the view */
+		getCheckpoint(): Promise<(number|undefined)>;
+
+		/** Save global position of the last event projected to the view */
+		saveCheckpoint(position: number): Promise<void>;
+
 		/** Create a Promise which will resolve to a first emitted event of a given type */
 		once(eventType: "ready"): Promise<any>;
 
@@ -9,11 +9,20 @@ namespace NodeCqrs {
 	declare class SagaEventHandler implements IEventReceptor {
 
 		/** Creates an instance of SagaEventHandler */
-		constructor(options: { sagaType: ISagaConstructor | ISagaFactory, eventStore: IEventStore, commandBus: ICommandBus, logger?: ILogger, queueName?: string, startsWith?: Array<string>, handles?: Array<string> }): void;
+		constructor(options: { sagaType: ISagaConstructor | ISagaFactory, eventStore: IEventStore, commandBus: ICommandBus, logger?: ILogger, queueName?: string, sagaDescriptor?: string, startsWith?: Array<string>, handles?: Array<string>, correlations?: TSagaCorrelations, sagaCorrelationIndex?: ISagaCorrelationIndex, sagaScheduler?: ISagaScheduler, sagaRegistry?: ISagaRegistry, onLateEvent?: TSagaLateEventHandler, compensations?: TSagaCompensations, snapshotPolicy?: TSnapshotPolicy, snapshotSchemaVersion?: number, commandRetryPolicy?: TRetryPolicy, onErrorDecision?: TSagaErrorDecisionHook }): void;
 
 		/** Overrides observer subscribe method */
 		subscribe(): void;
 
+		/** Unsubscribe from the event store, so that saga events are no longer handled */
+		dispose(): void;
+
+		/**
+		 * Get IDs of sagas of the handled type, which are not finished (completed, failed or compensated).
+		 * Sagas started before, i.e. prior to app restart, are put to the saga registry once, upon the first call
+		 */
+		getActiveSagaIds(): Promise<Array<Identifier>>;
+
 		/** Handle saga event */
 		handle(event: IEvent): Promise<void>;
 	}
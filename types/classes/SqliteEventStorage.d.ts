@@ -0,0 +1,33 @@
+namespace NodeCqrs {
+
+	/**
+	 * Event storage persisting events to an embedded SQLite database (requires better-sqlite3 package).
+	 * Aggregate streams are protected from concurrent modification with a unique (aggregateId, aggregateVersion) index
+	 */
+	declare class SqliteEventStorage implements IEventStorage {
+
+		/** Creates an instance of SqliteEventStorage */
+		constructor(options: { db?: object, fileName?: string }): void;
+
+		/** Persist events in a single transaction, assigning each of them a global position */
+		commitEvents(events: Array<IEvent>, options?: { expectedVersions?: TExpectedAggregateVersions, outbox?: boolean }): Promise<Array<IEvent>>;
+
+		getAggregateEvents(aggregateId: Identifier, options?: { snapshot?: IEvent }): Promise<Array<IEvent>>;
+
+		getSagaEvents(sagaId: Identifier, options: { beforeEvent: IEvent, snapshot?: IEvent }): Promise<Array<IEvent>>;
+
+		/**
+		 * Get events of given types, ordered by global position.
+		 * Events are read in batches, so that the whole table does not have to fit in memory
+		 */
+		getEvents(eventTypes?: Array<string>, options?: { afterPosition?: number, limit?: number }): AsyncIterableIterator<IEvent>;
+
+		/** Get events committed to the outbox and not marked as published yet, ordered by position */
+		getUnpublishedEvents(): Promise<Array<IEvent>>;
+
+		/** Remove events from the outbox */
+		markEventsPublished(eventIds: Array<Identifier>): Promise<void>;
+
+		getNewId(): string;
+	}
+}
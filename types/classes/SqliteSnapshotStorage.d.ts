@@ -0,0 +1,24 @@
+namespace NodeCqrs {
+
+	/**
+	 * Snapshot storage persisting latest aggregate and saga snapshots to an embedded SQLite database
+	 * (requires better-sqlite3 package)
+	 */
+	declare class SqliteSnapshotStorage implements IAggregateSnapshotStorage {
+
+		/** Creates an instance of SqliteSnapshotStorage */
+		constructor(options: { db?: object, fileName?: string }): void;
+
+		/** Get latest aggregate snapshot */
+		getAggregateSnapshot(aggregateId: Identifier): Promise<IEvent>;
+
+		/** Save new aggregate snapshot, replacing the previous one */
+		saveAggregateSnapshot(snapshotEvent: IEvent): void;
+
+		/** Get latest saga snapshot */
+		getSagaSnapshot(sagaId: Identifier): Promise<IEvent>;
+
+		/** Save new saga snapshot, replacing the previous one */
+		saveSagaSnapshot(snapshotEvent: IEvent): void;
+	}
+}
@@ -0,0 +1,18 @@
+namespace NodeCqrs {
+
+	/** Error thrown when command or event payload does not match the JSON Schema registered for its type */
+	declare class ValidationError extends Error {
+
+		/** Error type */
+		static readonly type: string;
+
+		/** Type of the command or event that failed validation */
+		messageType: string;
+
+		/** Schema violations, one per failed check */
+		errors: Array<TValidationErrorDetails>;
+
+		/** Creates an instance of ValidationError */
+		constructor(message?: string, details?: { messageType?: string, errors?: Array<TValidationErrorDetails> }): void;
+	}
+}
@@ -2,6 +2,12 @@
  * Minimum aggregate interface, as it's used by default `AggregateCommandHandler`
  */
 declare interface IAggregate {
+	/** Aggregate ID */
+	readonly id?: Identifier;
+
+	/** Aggregate version, used for optimistic concurrency control on commit */
+	readonly version?: number;
+
 	/** Main entry point for aggregate commands */
 	handle(command: ICommand): void | Promise<void>;
 
@@ -13,6 +19,9 @@ declare interface IAggregate {
 
 	/** Make a snapshot event and append it to `changes` */
 	takeSnapshot?(): void;
+
+	/** Clear `changes` once they are committed, required for aggregate caching */
+	resetChanges?(): void;
 }
 
 declare type TAggregateConstructorParams = {
@@ -24,6 +33,8 @@ declare type TAggregateConstructorParams = {
 declare interface IAggregateConstructor {
 	new(options: TAggregateConstructorParams): IAggregate;
 	readonly handles?: string[];
+	readonly schemas?: TMessageSchemas;
+	readonly snapshotSchemaVersion?: number;
 }
 
 declare type IAggregateFactory = (options: TAggregateConstructorParams) => IAggregate;
@@ -1,4 +1,10 @@
 declare interface IAggregateSnapshotStorage {
 	getAggregateSnapshot(aggregateId: Identifier): Promise<IEvent>;
 	saveAggregateSnapshot(IEvent): Promise<void>;
+
+	/** Get latest saga snapshot, required for saga snapshots support */
+	getSagaSnapshot?(sagaId: Identifier): Promise<IEvent>;
+
+	/** Save saga snapshot, replacing the previous one, required for saga snapshots support */
+	saveSagaSnapshot?(snapshotEvent: IEvent): Promise<void>;
 }
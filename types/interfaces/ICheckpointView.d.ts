@@ -0,0 +1,16 @@
+/**
+ * View that persists global position of the last projected event,
+ * so that projection can catch up from it, instead of replaying all events
+ */
+declare interface ICheckpointView {
+
+	/**
+	 * Get global position of the last event projected to the view
+	 */
+	getCheckpoint(): Promise<number | undefined>;
+
+	/**
+	 * Save global position of the last event projected to the view
+	 */
+	saveCheckpoint(position: number): Promise<void>;
+}
@@ -3,4 +3,5 @@ interface ICommandBus extends IObservable {
 		Promise<IEventStream>;
 	sendRaw(ICommand):
 		Promise<IEventStream>;
+	registerCommandSchema?(commandType: string, schema: object | boolean): void;
 }
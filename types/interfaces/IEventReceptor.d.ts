@@ -1,3 +1,4 @@
 declare interface IEventReceptor extends IObserver {
 	subscribe(eventStore: IEventStore): void;
+	dispose?(): void;
 }
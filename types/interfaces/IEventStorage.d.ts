@@ -3,18 +3,39 @@ declare interface IEventEmitter extends IObservable {
 	off?(messageType: string, handler: IMessageHandler): void;
 }
 
+/** Aggregate versions, keyed by aggregate ID, the committed events were produced upon */
+declare type TExpectedAggregateVersions = { [aggregateId: string]: number };
+
 declare interface IEventStorage extends IEventEmitter {
 	getNewId(): Identifier | Promise<Identifier>;
 
-	commitEvents(events: ReadonlyArray<IEvent>):
-		Promise<any>;
+	/**
+	 * Persist events.
+	 * When `expectedVersions` are provided, must reject with `ConcurrencyError`,
+	 * if any of the aggregate streams contains events with `aggregateVersion` >= expected one.
+	 * May resolve to committed events augmented with a monotonically increasing global `position`.
+	 * When `outbox` is true, must record events as unpublished atomically with the commit
+	 */
+	commitEvents(events: ReadonlyArray<IEvent>, options?: { expectedVersions?: TExpectedAggregateVersions, outbox?: boolean }):
+		Promise<IEvent[] | any>;
 
 	getAggregateEvents(aggregateId: Identifier, options: { snapshot: IEvent }):
-		Promise<IEventStream> | AsyncIterableIterator<IEvent>;
+		Promise<IEventStream | AsyncIterableIterator<IEvent>> | AsyncIterableIterator<IEvent>;
+
+	/**
+	 * Get saga events with `sagaVersion` lower than the `beforeEvent` one, starting with the event that started the saga.
+	 * When `snapshot` is provided, events with `sagaVersion` lower than the snapshot one are omitted
+	 */
+	getSagaEvents(sagaId: Identifier, filter: { beforeEvent: IEvent, snapshot?: IEvent }):
+		Promise<IEventStream | AsyncIterableIterator<IEvent>> | AsyncIterableIterator<IEvent>;
+
+	/** Get events of given types, ordered by global position */
+	getEvents(eventTypes: string[], options?: { afterPosition?: number, limit?: number }):
+		Promise<IEventStream | AsyncIterableIterator<IEvent>> | AsyncIterableIterator<IEvent>;
 
-	getSagaEvents(sagaId: Identifier, filter: { beforeEvent: IEvent }):
-		Promise<IEventStream> | AsyncIterableIterator<IEvent>;
+	/** Get events committed with `outbox` option and not marked as published yet, ordered by position */
+	getUnpublishedEvents?(): Promise<IEvent[]>;
 
-	getEvents(eventTypes: string[]):
-		Promise<IEventStream> | AsyncIterableIterator<IEvent>;
+	/** Remove events from the outbox */
+	markEventsPublished?(eventIds: Identifier[]): Promise<void>;
 }
@@ -1,19 +1,38 @@
 declare interface IEventStore extends IObservable {
 	getNewId(): Promise<Identifier>;
 
-	commit(events: IEventStream): Promise<IEventStream>;
+	commit(events: IEventStream, options?: { expectedVersions?: TExpectedAggregateVersions }): Promise<IEventStream>;
 
-	getAllEvents(eventTypes: string[]): AsyncIterableIterator<IEvent>;
+	getAllEvents(eventTypes?: string[], options?: { afterPosition?: number, limit?: number }): AsyncIterableIterator<IEvent>;
 
-	getAggregateEvents(aggregateId: Identifier): Promise<IEventStream>;
+	getAggregateEvents(aggregateId: Identifier, options?: { snapshotSchemaVersion?: number }): Promise<IEventStream>;
 
-	getSagaEvents(sagaId: Identifier, filter: { beforeEvent: IEvent }): Promise<IEventStream>;
+	getSagaEvents(sagaId: Identifier, filter: { beforeEvent: IEvent, snapshotSchemaVersion?: number }):
+		Promise<IEventStream>;
 
-	registerSagaStarters(eventTypes: string[]): void;
+	saveSagaSnapshot?(snapshotEvent: IEvent): Promise<void>;
+
+	registerSagaStarters(eventTypes: string[], sagaDescriptor?: string): void;
+
+	registerUpcaster?(eventType: string, fromVersion: number, upcaster: TEventUpcaster): void;
+
+	registerEventSchema?(eventType: string, schema: object | boolean): void;
+
+	/** Publish events left unpublished in the storage outbox */
+	dispatchOutbox?(): Promise<number>;
+
+	off?(messageType: string, handler: IMessageHandler): void;
 
 	once(messageType: string, handler?: IMessageHandler, filter?: function(IEvent): boolean):
 		Promise<IEvent>;
 
 	snapshotsSupported?: boolean;
+
+	sagaSnapshotsSupported?: boolean;
 }
 
+/**
+ * Converts persisted event to the next schema version,
+ * returns a new event or multiple events, if the event has been split
+ */
+declare type TEventUpcaster = (event: IEvent) => IEvent | IEvent[];
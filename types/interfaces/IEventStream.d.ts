@@ -1,11 +1,38 @@
 declare interface IMessage {
+	/** Unique message ID, assigned to commands on send and to events on commit */
+	id?: string;
 	type: string;
 	aggregateId?: Identifier;
 	aggregateVersion?: number;
 	sagaId?: Identifier;
 	sagaVersion?: number;
+
+	/** Name of the saga type, which the message (or the command it was produced by) belongs to */
+	sagaDescriptor?: string;
+
+	/** IDs of sagas started by the event, keyed by saga descriptor */
+	sagaOrigins?: { [sagaDescriptor: string]: Identifier };
+
+	/** Set on saga timeout events, which are applied to the latest saga state, rather than the one they were scheduled at */
+	sagaTimeout?: boolean;
+
 	payload?: any;
 	context?: any;
+
+	/** ID of the command that started the business flow the message belongs to */
+	correlationId?: string;
+
+	/** ID of the message that caused this message */
+	causationId?: string;
+
+	/** Event commit timestamp, in milliseconds */
+	timestamp?: number;
+
+	/** Global event position in the event storage, assigned on commit */
+	position?: number;
+
+	/** Event schema version, assigned on commit when upcasters are registered for the event type, or snapshot structure version */
+	schemaVersion?: number;
 }
 
 declare type ICommand = IMessage;
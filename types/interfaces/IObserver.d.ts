@@ -1,11 +1,19 @@
 declare type IMessageHandler = (message: IMessage) => void;
 
 declare interface IObservable {
-	on(type: string, handler: IMessageHandler): void;
+	on(type: string, handler: IMessageHandler, options?: { retryPolicy?: TRetryPolicy }): void;
 
-	queue?(name: string): IObservable;
+	off?(type: string, handler: IMessageHandler): void;
+
+	queue?(name: string, options?: { concurrency?: number, orderingKey?: string | ((message: IMessage) => Identifier) }): IObservable;
 }
 
+/** Handle returned by the `subscribe` helper */
+declare type TSubscription = {
+	/** Remove all handlers set up by the subscribe call */
+	unsubscribe(): void
+};
+
 declare interface IObserver {
 	subscribe(observable: IObservable): void;
 }
@@ -2,6 +2,7 @@ declare interface IProjection extends IObserver {
 	readonly view: object;
 	subscribe(eventStore: IEventStore): void;
 	project(event: IEvent, options?: { nowait: boolean }): Promise<void>;
+	dispose?(): void;
 }
 
 declare interface IProjectionConstructor {
@@ -1,4 +1,16 @@
 declare interface ISaga {
+	/** Saga ID, as passed to the constructor */
+	readonly id?: Identifier;
+
+	/** Number of events applied to Saga */
+	readonly version?: number;
+
+	/** Saga status, sagas without status are considered active */
+	readonly status?: TSagaStatus;
+
+	/** Reason of Saga failure, recorded in the event store along with the status */
+	readonly failureReason?: string;
+
 	/** List of commands emitted by Saga */
 	readonly uncommittedMessages: ICommand[];
 
@@ -7,10 +19,27 @@ declare interface ISaga {
 
 	/** Reset emitted commands when they are not longer needed */
 	resetUncommittedMessages(): void;
+
+	/** List of timeouts scheduled or cancelled by Saga */
+	readonly uncommittedTimeouts?: TSagaTimeoutRequest[];
+
+	/** Reset scheduled timeouts when they are passed to scheduler */
+	resetUncommittedTimeouts?(): void;
+
+	/** Create a snapshot of Saga state, required for saga snapshots */
+	makeSnapshot?(): object;
+
+	/**
+	 * Decide how to proceed, when a command sent by Saga fails.
+	 * Commands enqueued from onError are sent afterwards, undefined result skips the failed command
+	 */
+	onError?(error: Error, context: { event: IEvent, command: ICommand, attempt: number }):
+		TSagaErrorDecision | void | Promise<TSagaErrorDecision | void>;
 }
 
 declare type TSagaConstructorParams = {
 	id: Identifier,
+	state?: object,
 	events?: IEventStream
 };
 
@@ -24,4 +53,44 @@ declare interface ISagaConstructor {
 
 	/** List of events being handled by Saga */
 	readonly handles: string[];
+
+	/** Unique saga type name, saga class name is used, when not defined */
+	readonly sagaDescriptor?: string;
+
+	/** Business key getters of handled events, used to find sagas events relate to */
+	readonly correlations?: TSagaCorrelations;
+
+	/** Compensating command getters, keyed by type of the command they compensate */
+	readonly compensations?: TSagaCompensations;
+
+	/** Defines when saga state snapshots are taken */
+	readonly snapshotPolicy?: TSnapshotPolicy;
+
+	/** Version of the saga state snapshot structure */
+	readonly snapshotSchemaVersion?: number;
 }
+
+/**
+ * Returns a command compensating the given one, sent when a subsequent saga command fails.
+ * Saga metadata and event context get attached to the returned command
+ */
+declare type TSagaCompensation = (command: ICommand) => ICommand | undefined;
+
+/** Compensating command getters, keyed by type of the command they compensate */
+declare type TSagaCompensations = { [commandType: string]: TSagaCompensation };
+
+/** Defines whether a failed saga command is retried, skipped, or its error is rethrown */
+declare type TSagaErrorDecision = 'retry' | 'skip' | 'rethrow';
+
+/** Receives decisions made upon failed saga commands */
+declare type TSagaErrorDecisionHook = (info: {
+	sagaId: Identifier,
+	event: IEvent,
+	command: ICommand,
+	error: Error,
+
+	/** Number of the failed attempt, starting from 1 */
+	attempt: number,
+
+	decision: TSagaErrorDecision
+}) => void | Promise<void>;
@@ -0,0 +1,14 @@
+/** Returns business key the event relates to, or undefined, if the event is not relevant to any saga */
+declare type TSagaCorrelation = (event: IEvent) => Identifier | undefined;
+
+declare type TSagaCorrelations = {
+	[eventType: string]: TSagaCorrelation
+};
+
+declare interface ISagaCorrelationIndex {
+	/** Get ID of the saga of a given type, correlated with a business key */
+	get(sagaDescriptor: string, key: Identifier): Promise<Identifier | undefined>;
+
+	/** Correlate saga of a given type with a business key */
+	set(sagaDescriptor: string, key: Identifier, sagaId: Identifier): Promise<void>;
+}
@@ -0,0 +1,16 @@
+declare type TSagaStatus = 'active' | 'completed' | 'failed' | 'compensated';
+
+declare interface ISagaRegistry {
+	/** Get status of a saga of a given type, undefined if saga is not registered */
+	getStatus(sagaDescriptor: string, sagaId: Identifier): Promise<TSagaStatus | undefined>;
+
+	/** Register saga of a given type or update its status */
+	setStatus(sagaDescriptor: string, sagaId: Identifier, status: TSagaStatus): Promise<void>;
+
+	/** Get IDs of sagas of a given type, which are not finished (completed, failed or compensated) */
+	getActiveSagaIds(sagaDescriptor: string): Promise<Identifier[]>;
+}
+
+/** Handles events received by sagas, which are already completed, failed or compensated */
+declare type TSagaLateEventHandler = (event: IEvent, saga: { sagaId: Identifier, status: TSagaStatus }) =>
+	void | Promise<void>;
@@ -0,0 +1,45 @@
+/** Source of time and timers, can be replaced to control time in tests */
+declare interface IClock {
+	now(): number;
+	setTimeout(callback: () => void, ms: number): any;
+	clearTimeout(handle: any): void;
+}
+
+/** Timeout requested by saga, but not passed to scheduler yet */
+declare type TSagaTimeoutRequest = {
+	/** Type of the event delivered to saga when the timeout expires */
+	type?: string,
+
+	/** Milliseconds to wait before delivery */
+	delay?: number,
+	payload?: any,
+
+	/** Saga version the timeout was requested at */
+	sagaVersion?: number,
+
+	/** Cancel previously scheduled timeouts of the type, or all saga timeouts, when type is not specified */
+	cancel?: boolean
+};
+
+declare type TSagaTimeout = {
+	id: string,
+	sagaId: Identifier,
+	type: string,
+
+	/** Time the timeout event should be committed at */
+	dueAt: number,
+
+	/** Event committed to the event store when the timeout expires */
+	event: IEvent
+};
+
+declare interface ISagaScheduler {
+	/** Schedule event to be committed to the event store after a given delay */
+	schedule(timeout: { event: IEvent, delay: number }): Promise<TSagaTimeout>;
+
+	/** Cancel saga timeouts of a given type, or all saga timeouts, when type is not specified */
+	cancel(sagaId: Identifier, type?: string): Promise<void>;
+
+	/** Arm timeouts restored from a durable storage, once saga event receptors are subscribed */
+	start?(): Promise<void>;
+}
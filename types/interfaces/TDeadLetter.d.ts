@@ -0,0 +1,16 @@
+declare type TDeadLetter = {
+	/** Message that could not be delivered */
+	message: IMessage,
+
+	/** Subscriber that failed to handle the message */
+	handler: IMessageHandler,
+
+	/** Last delivery error */
+	error: Error,
+
+	/** Number of delivery attempts made */
+	attempts: number,
+
+	/** Time the message was dead-lettered at */
+	timestamp: number
+};
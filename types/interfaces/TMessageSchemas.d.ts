@@ -0,0 +1,7 @@
+declare type TMessageSchemas = {
+	/** JSON Schemas of command payloads, keyed by command type */
+	commands?: { [commandType: string]: object | boolean },
+
+	/** JSON Schemas of event payloads, keyed by event type */
+	events?: { [eventType: string]: object | boolean }
+};
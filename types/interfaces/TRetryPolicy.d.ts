@@ -0,0 +1,13 @@
+declare type TRetryPolicy = {
+	/** Max number of retries after the first failed attempt */
+	retries: number,
+
+	/** Delay before the first retry, in milliseconds */
+	delay?: number,
+
+	/** Multiplier applied to the delay after each retry, 2 by default */
+	factor?: number,
+
+	/** Max delay between retries, in milliseconds */
+	maxDelay?: number
+};
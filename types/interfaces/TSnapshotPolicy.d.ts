@@ -0,0 +1,25 @@
+declare type TSnapshotPolicyContext = {
+	/** Aggregate, which has just processed a command */
+	aggregate?: IAggregate,
+
+	/** Saga, which has just been restored to handle an event */
+	saga?: ISaga,
+
+	/**
+	 * Number of events committed after the latest snapshot,
+	 * including events produced by the current command, for aggregates
+	 */
+	eventsSinceSnapshot: number,
+
+	/**
+	 * Number of events replayed to restore the aggregate for the current command,
+	 * 0 for new and cached aggregates
+	 */
+	restoredEventsCount: number,
+
+	/** Time the latest snapshot was taken at, if known */
+	lastSnapshotTimestamp?: number
+};
+
+/** Defines whether an aggregate snapshot should be taken after command execution, or a saga snapshot after restoring */
+declare type TSnapshotPolicy = (context: TSnapshotPolicyContext) => boolean;
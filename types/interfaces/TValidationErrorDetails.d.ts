@@ -0,0 +1,13 @@
+declare type TValidationErrorDetails = {
+	/** Path to the invalid value, i.e. "payload.profile.email" */
+	path: string,
+
+	/** JSON Schema keyword that failed, i.e. "required" or "format" */
+	keyword: string,
+
+	/** Human-readable error description */
+	message: string,
+
+	/** Keyword-specific details, i.e. { missingProperty: "email" } for "required" */
+	params: object
+};